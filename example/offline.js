@@ -0,0 +1,89 @@
+/**
+ * Runs the data layer against botoweb.transport.FakeServer, without a
+ * server or a browser: a query, paging through a model page by page and
+ * streaming the same model. Needs jsdom and jquery:
+ *
+ * npm install jsdom jquery@3
+ * node example/offline.js
+ *
+ * Exits with status 1 if any step fails.
+ */
+var path = require('path');
+var assert = require('assert');
+
+var window = new (require('jsdom').JSDOM)('').window;
+var botoweb = require('../src/botoweb.node.js')({
+	jQuery: require('jquery')(window),
+	xml: window
+});
+
+var fixtures = path.join(__dirname, 'fixtures', 'example.json');
+
+function titles (objs) {
+	return objs.map(function (obj) {
+		return obj.model.name + ' ' + obj.id;
+	});
+}
+
+// Two objects per page, so that paging is visible with the few fixtures
+botoweb.transport.FakeServer.load(fixtures, { page_size: 2 }).then(function (server) {
+	var mock = server.install(new botoweb.transport.Mock());
+
+	return new Promise(function (resolve) {
+		botoweb.init(server.base_url, { transport: mock }, resolve);
+	}).then(function () {
+		var models = botoweb.env.models;
+
+		// Failed requests should fail the example rather than be retried
+		botoweb.env.cfg.retry = null;
+
+		console.log('Models:', botoweb.env.model_names.join(', '));
+
+		return models.Project.query(new botoweb.Query().where('status', '=', 'open')).then(function (projects) {
+			console.log('Open projects:', titles(projects));
+			assert.ok(projects.length, 'the query found no open projects');
+
+			projects.forEach(function (project) {
+				assert.equal(project.data.status.toString(), 'open');
+			});
+
+			// Load one page at a time, asking for the next one each time
+			return new Promise(function (resolve, reject) {
+				var pages = 0;
+				var received = 0;
+
+				models.Task.all(function (objs, page, count, next_page, error) {
+					if (error)
+						return reject(error);
+
+					pages++;
+					received += objs.length;
+					console.log('Task page', page + ':', titles(objs), 'of', count);
+
+					if (next_page)
+						next_page();
+					else if (pages < 2)
+						reject(new Error('the tasks were not paged'));
+					else
+						resolve(received);
+
+					return false;
+				}).then(null, reject);
+			});
+		}).then(function (paged) {
+			// The same objects, streamed as the server finds them
+			return models.Task.stream([], function (objs) {
+				console.log('Streamed:', titles(objs));
+				return true;
+			}).then(function (streamed) {
+				assert.equal(streamed.length, paged, 'streaming and paging found different objects');
+				console.log('Streamed', streamed.length, 'objects, paged', paged);
+			});
+		});
+	});
+}).then(function () {
+	console.log('OK');
+}, function (e) {
+	console.error(e && (e.stack || e));
+	process.exitCode = 1;
+});
@@ -0,0 +1,57 @@
+/**
+ * Writes TypeScript declarations and JSON Schema documents for the models of
+ * an API, see botoweb.generate. The source is a saved Index XML file or the
+ * URL of a live API:
+ *
+ * node src/botoweb.generate.js index.xml types/
+ * node src/botoweb.generate.js https://example.com/api/ types/ --references=id
+ *
+ * Files are written to the output directory (the current directory by
+ * default). Like botoweb.node.js this needs jquery and jsdom.
+ */
+var fs = require('fs');
+var path = require('path');
+
+var args = process.argv.slice(2);
+var opt = {};
+
+args = args.filter(function (arg) {
+	var m = /^--(\w+)=(.*)$/.exec(arg);
+
+	if (m)
+		opt[m[1]] = m[2];
+
+	return !m;
+});
+
+if (!args.length) {
+	console.error('Usage: node botoweb.generate.js <index.xml|API URL> [output directory] [--references=id] [--suffix=.schema.json]');
+	process.exit(1);
+}
+
+var window = new (require('jsdom').JSDOM)('').window;
+var botoweb = require('./botoweb.node.js')({
+	jQuery: require('jquery')(window),
+	xml: window
+});
+
+var out = args[1] || '.';
+
+function write (source) {
+	var files = botoweb.generate.files(source, opt);
+
+	fs.mkdirSync(out, { recursive: true });
+
+	Object.keys(files).forEach(function (name) {
+		fs.writeFileSync(path.join(out, name), files[name]);
+		console.log('Wrote ' + path.join(out, name));
+	});
+}
+
+if (/^https?:\/\//.test(args[0])) {
+	new botoweb.Environment(args[0], function (env) {
+		write(env);
+	}, { env_cache: false });
+}
+else
+	write(fs.readFileSync(args[0], 'utf8'));
@@ -9,9 +9,40 @@ var botoweb = {
 	// A unique ID which allows us to recognize a user with multiple browser tabs
 	uuid: '',
 
+	// The default Environment, used by the UI
 	env: {},
+
+	// The local database of the default Environment, see botoweb.LocalDB
+	ldb: null,
+
+	// Every Environment, see env_for
+	envs: [],
+
 	util: {},
 
+	//
+	// Function: env_for
+	// Finds the Environment a URL belongs to, the one with the longest
+	// base_url which the URL starts with
+	// @param url: A URL
+	// @return The Environment, or the default environment if none matches
+	//
+	env_for: function (url) {
+		var found = botoweb.env;
+		var length = -1;
+
+		url = '' + url;
+
+		$.each(botoweb.envs, function (i, env) {
+			if (url.indexOf(env.base_url) == 0 && env.base_url.length > length) {
+				found = env;
+				length = env.base_url.length;
+			}
+		});
+
+		return found;
+	},
+
 	//
 	// Get all items at this url
 	//
@@ -24,8 +55,22 @@ var botoweb = {
 	// @param url: The URL to search at
 	// @param filters: The Filters to apply (or null for none), this should be of the form {name: value, name2: value2}
 	// @param fnc: The function to call back to
+	// @param opt: Options, opt.signal is an AbortSignal which cancels the
+	// 		request and any pending next page, opt.lane is the
+	// 		botoweb.ajax.scheduler lane (pages loaded before the callback
+	// 		asks for them use the prefetch lane by default)
+	// @return A Promise which resolves with every object received once no
+	// 		more pages will be loaded, or rejects if the request fails
 	//
 	find: function(url, filters, model_names, fnc, opt){
+		// Objects belong to the environment of the URL
+		opt = $.extend({ env: botoweb.env_for(url) }, opt);
+
+		var d = botoweb.util.deferred(fnc);
+		var collect = botoweb.util.collect_pages(fnc, d, opt);
+		var signal = opt.signal;
+		var timer;
+
 		// Apply the filters
 		url += "?";
 		for (var filter in filters){
@@ -35,6 +80,16 @@ var botoweb = {
 		if ($.isArray(model_names))
 			model_names = model_names.join(', ');
 
+		// Any page may fail, url is then the URL of that page
+		var fail = function (data, xhr) {
+			var error = botoweb.Error.from_response(xhr, { method: 'GET', url: url });
+
+			if (fnc)
+				fnc([], page, 0, null, error);
+
+			d.reject(error);
+		};
+
 		var ts = new Date().valueOf();
 
 		var page = 0;
@@ -45,7 +100,7 @@ var botoweb = {
 			var t = new Date().valueOf();
 			//DEBUG console.log('Completed botoweb find in ' + (t - ts) + 'ms');
 
-			xml.find(model_names).each(function () {
+			botoweb.xml.find_objects(xml, model_names).each(function () {
 				var obj = botoweb.xml.to_obj(this, opt);
 				if(obj.id){
 					data.push(obj);
@@ -61,68 +116,67 @@ var botoweb = {
 			var next_page;
 
 			if (url) {
-				next_page = function () {
-					setTimeout(function () {
-						botoweb.ajax.get(url, process);
+				next_page = function (lane) {
+					timer = setTimeout(function () {
+						// Paging may be resumed explicitly after the signal
+						// was aborted, e.g. when a cached page is shown again
+						botoweb.ajax.get(url, process, fail, { signal: (signal && !signal.aborted) ? signal : null, lane: lane || opt.lane, log: opt.log });
 					}, 100);
 				}
 			}
 
-			// Get the next page if the callback returns true
-			if (fnc && fnc(data, page++, count, next_page) && next_page)
-				next_page();
+			// Get the next page if the callback returns true. Nobody is
+			// waiting for it yet, so it is only prefetched
+			if (collect(data, page++, count, next_page) && next_page)
+				next_page(opt.lane || 'prefetch');
 
 			ts = new Date().valueOf();
 		}
 
-			return botoweb.ajax.get(url, process, function () {
-				fnc([], 0, 0);
-			});
+		botoweb.util.on_abort(signal, function () {
+			clearTimeout(timer);
+			d.reject(botoweb.util.abort_error(signal));
+		});
+
+		botoweb.ajax.get(url, process, fail, { signal: signal, lane: opt.lane, log: opt.log });
+
+		return d.promise;
 	},
 
 	//
 	// Advanced query searching
 	// @param url: The URL to search at
-	// @param query: The Query to use, this must be an array of tuples [name, op, value]
+	// @param query: The Query to use, either a botoweb.Query or an array of tuples [name, op, value]
 	// 		if "value" is a list, this is treated as an "or" and results in ["name" op "value" or "name" op "value"]
 	// 		"op" must be one of the following: (=|>=|<=|!=|<|>|starts-with|ends-with|like|not like)
 	// @param fnc: The callback function
+	// @param opt: Options, opt.signal is an AbortSignal which cancels the
+	// 		request and any pending next page, opt.lane is the
+	// 		botoweb.ajax.scheduler lane (pages loaded before the callback
+	// 		asks for them use the prefetch lane by default)
+	// @return A Promise which resolves with every object received once no
+	// 		more pages will be loaded, or rejects if the request fails
 	//
 	query: function(url, query, obj_name, fnc, opt){
-		if (!opt) opt = {};
+		// Objects belong to the environment of the URL
+		opt = $.extend({ env: botoweb.env_for(url) }, opt);
 
-		// Build the query string
-		parts = [];
-		for (query_num in query){
-			query_part = query[query_num];
-			name = query_part[0];
-			op = query_part[1];
-			value = query_part[2];
-
-			if(name.indexOf(",") > 0){
-				var tmp = name.split(",");
-				name = '["' + tmp.join('","') + '"]';
-			} else if(name.constructor.toString().indexOf("Array") != -1){
-				name = '["' + name.join('","') + '"]';
-			} else {
-				name = '"' + name + '"';
-			}
+		var d = botoweb.util.deferred(fnc);
+		var collect = botoweb.util.collect_pages(fnc, d, opt);
+		var signal = opt.signal;
+		var timer;
 
-			var value_to_json = function (v) {
-				if (v === null)
-					return 'null';
-				else
-					return '"' + v + '"';
-			}
+		url += "?query=" + encodeURIComponent(botoweb.Query.from(query));
 
-			if(value && value.constructor.toString().indexOf("Array") != -1){
-				parts.push('[' + name + ',"' + op + '",[' + $.map(value, value_to_json).join(',') + ']]');
-			} else {
-				parts.push('[' + name + ',"' + op + '",' + value_to_json(value) + ']');
-			}
-		}
+		// Any page may fail, url is then the URL of that page
+		var fail = function (data, xhr) {
+			var error = botoweb.Error.from_response(xhr, { method: 'GET', url: url });
 
-		url += "?query=[" + escape(parts.join(",") + "]");
+			if (fnc)
+				fnc([], page, 0, null, error);
+
+			d.reject(error);
+		};
 
 		var ts = new Date().valueOf();
 
@@ -132,7 +186,7 @@ var botoweb = {
 			//DEBUG console.log('Completed botoweb query in ' + (t - ts) + 'ms');
 
 			var data = [];
-			$(xml).find(obj_name).each(function(){
+			botoweb.xml.find_objects(xml, obj_name).each(function(){
 				var obj = botoweb.xml.to_obj(this, opt);
 
 				data.push(obj);
@@ -149,76 +203,182 @@ var botoweb = {
 			var next_page;
 
 			if (url) {
-				next_page = function () {
-					setTimeout(function () {
+				next_page = function (lane) {
+					timer = setTimeout(function () {
 						data = null;
 						xml = null;
-						botoweb.ajax.get(url, process);
+
+						// Paging may be resumed explicitly after the signal
+						// was aborted, e.g. when a cached page is shown again
+						botoweb.ajax.get(url, process, fail, { signal: (signal && !signal.aborted) ? signal : null, lane: lane || opt.lane, log: opt.log });
 					}, 100);
 				}
 			}
 
-			// Get the next page
-			if (fnc(data, page++, count, next_page) && next_page)
-				next_page()
+			// Get the next page, which nobody is waiting for yet
+			if (collect(data, page++, count, next_page) && next_page)
+				next_page(opt.lane || 'prefetch');
 
 			ts = new Date().valueOf();
 		}
 
-		return botoweb.ajax.get(url, process, function () {
-			fnc([], 0, 0);
+		botoweb.util.on_abort(signal, function () {
+			clearTimeout(timer);
+			d.reject(botoweb.util.abort_error(signal));
+		});
+
+		botoweb.ajax.get(url, process, fail, { signal: signal, lane: opt.lane, log: opt.log });
+
+		return d.promise;
+	},
+
+	//
+	// Function: stream
+	// Like query, but receives the objects over a streaming connection as
+	// the server sends them, see botoweb.data. Pages hold opt.page_size
+	// objects (50 by default). The count is the total the server reports,
+	// otherwise the number of objects so far plus one until the stream ends.
+	// @param url: The URL to stream from
+	// @param query: The Query to use, as for query, or null for every object
+	// @param fnc: The callback function
+	// @param opt: Options, opt.signal is an AbortSignal which closes the
+	// 		stream
+	// @return A Promise which resolves with every object received once no
+	// 		more pages will be loaded, or rejects if the stream fails
+	//
+	stream: function(url, query, fnc, opt){
+		// Objects belong to the environment of the URL
+		opt = $.extend({ env: botoweb.env_for(url) }, opt);
+
+		var d = botoweb.util.deferred(fnc);
+		var collect = botoweb.util.collect_pages(fnc, d, opt);
+		var received = 0;
+		var page = 0;
+
+		if (query && (!$.isArray(query) || query.length))
+			url += "?query=" + encodeURIComponent(botoweb.Query.from(query));
+
+		botoweb.data.get(url, function (items, controller) {
+			var data = $.map(items, function (item) {
+				return botoweb.json.to_obj(item, opt);
+			});
+
+			received += data.length;
+
+			var next_page;
+
+			if (!controller.finished) {
+				next_page = function () {
+					controller.next_page();
+				};
+			}
+
+			var count = (controller.count === null) ? received + ((next_page) ? 1 : 0) : controller.count;
+
+			// Keep streaming if the callback returns true
+			if (collect(data, page++, count, next_page) && next_page)
+				next_page();
+		}, function (e) {
+			var error = (e instanceof botoweb.Error || !e.response) ? e : botoweb.Error.from_response(e.response, { method: 'GET', url: url });
+
+			if (fnc)
+				fnc([], 0, 0, null, error);
+
+			d.reject(error);
+		}, { signal: opt.signal, queue_size: opt.page_size, stream: opt.stream });
+
+		botoweb.util.on_abort(opt.signal, function () {
+			d.reject(botoweb.util.abort_error(opt.signal));
 		});
+
+		return d.promise;
 	},
 
 	//
 	// Function: get_by_id
-	// Find a specific object by ID
+	// Find a specific object by ID, opt.signal is an AbortSignal which
+	// cancels the request and opt.lane is the botoweb.ajax.scheduler lane
+	// @return A Promise which resolves with the object (undefined if there is
+	// 		no such object), or rejects if the request fails
 	//
 	get_by_id: function(url, id, fnc, opt){
-		if (!id)
-			return fnc();
+		// Objects belong to the environment of the URL
+		opt = $.extend({ env: botoweb.env_for(url) }, opt);
 
-		botoweb.ajax.get(url + "/" + id, function(data){
-			if ($(data).children())
-				fnc(botoweb.xml.to_obj($(data).children().first(), opt));
-			else
+		var d = botoweb.util.deferred(fnc || opt.error);
+
+		if (!id) {
+			if (fnc)
 				fnc();
-		}, (opt.error || fnc));
+
+			d.resolve();
+			return d.promise;
+		}
+
+		botoweb.util.on_abort(opt.signal, function () {
+			d.reject(botoweb.util.abort_error(opt.signal));
+		});
+
+		botoweb.ajax.get(url + "/" + id, function(data, xhr){
+			var obj;
+
+			if ($(data).children())
+				obj = botoweb.xml.to_obj($(data).children().first(), opt);
+
+			// Allows a later save to check that the object is unchanged
+			if (obj)
+				obj.etag = xhr.getResponseHeader('ETag');
+
+			if (fnc)
+				fnc(obj);
+
+			d.resolve(obj);
+		}, function (data, xhr) {
+			var callback = opt.error || fnc;
+			var error = botoweb.Error.from_response(xhr, { method: 'GET', url: url + "/" + id });
+
+			if (callback)
+				callback(data, xhr, error);
+
+			d.reject(error);
+		}, { signal: opt.signal, lane: opt.lane, log: opt.log });
+
+		return d.promise;
 	},
 
-	count: function(url, query, fnc){
-		parts = [];
-		for (query_num in query){
-			query_part = query[query_num];
-			name = query_part[0];
-			op = query_part[1];
-			value = query_part[2];
+	//
+	// Function: count
+	// Count the results of a query with a HEAD request
+	// @param query: A botoweb.Query or an array of tuples [name, op, value]
+	// @param opt: Options, opt.lane is the botoweb.ajax.scheduler lane
+	// @return A Promise which resolves with the count, or rejects if the
+	// 		request fails. Without fnc, count used to return the number
+	// 		synchronously, it now returns the Promise in every case.
+	//
+	count: function(url, query, fnc, opt){
+		if (!opt) opt = {};
+
+		url += "?query=" + encodeURIComponent(botoweb.Query.from(query));
 
-			if(value.constructor.toString().indexOf("Array") != -1){
-				parts.push('["' + name + '","' + op + '",["' + value.join('","') + '"]]');
-			} else {
-				parts.push('["' + name + '","' + op + '","' + value + '"]');
-			}
-		}
+		var d = botoweb.util.deferred(fnc);
 
-		url += "?query=[" + escape(parts.join(",") + "]");
+		botoweb.ajax.send({ method: "HEAD", url: url, lane: opt.lane, log: opt.log }, function(data, xhr) {
+			var count = xhr.getResponseHeader('X-Result-Count') || 0;
 
-		if(fnc){
-			$.ajax({
-				type: "HEAD",
-				url: url,
-				complete: function(data) {
-					fnc(data.getResponseHeader('X-Result-Count') || 0);
-				}
-			});
-		} else {
-			var data = $.ajax({
-				type: "HEAD",
-				async: false,
-				url: url
-			});
-			return data.getResponseHeader("X-Result-Count") || 0;
-		}
+			if (fnc)
+				fnc(count);
+
+			d.resolve(count);
+		}, function(xhr) {
+			var error = botoweb.Error.from_response(xhr, { method: 'HEAD', url: url });
+
+			if (fnc)
+				fnc(0, error);
+
+			d.reject(error);
+		});
+
+		return d.promise;
 	},
 
 	//
@@ -227,89 +387,333 @@ var botoweb = {
 	// the Data string is a simple class mapping
 	// which is then converted into the proper XML document
 	// to be sent to the server
+	// @param opt: Options, opt.no_ldb leaves the local DB for the caller to
+	// 		update, opt.silent skips handle_error and opt.etag only saves
+	// 		if the object on the server still has that ETag. A save kept in
+	// 		the outbox is checked against opt.modstamp instead when there is
+	// 		no ETag.
+	// @return A Promise which resolves with the saved object, or rejects if
+	// 		the request fails. Saves of local models which cannot reach the
+	// 		server are kept in the outbox of their environment (unless
+	// 		opt.no_outbox is set, see botoweb.LocalDB.Outbox) and resolve
+	// 		with the object as it will be once sent.
 	//
-	save: function(url, obj_name, data, method, fnc){
+	save: function(url, obj_name, data, method, fnc, opt){
+		if (!opt) opt = {};
 
-		var doc = botoweb.xml.from_obj(obj_name, data);
+		var d = botoweb.util.deferred(fnc);
+
+		var env = botoweb.env_for(url);
+		var doc = botoweb.xml.from_obj(obj_name, data, env);
 
 		//DEBUG
 		//alert(url + "\n\n" + (new XMLSerializer()).serializeToString(doc));
-		console.log(method + ' ' + url + "\n\n" + (new XMLSerializer()).serializeToString(doc));
+		console.log(method + ' ' + url + "\n\n" + botoweb.xml.serialize(doc));
 		//fnc({status: 201, getResponseHeader: function() { return '123' ;}});
 		//return
 
-		opts = {
+		var req = {
+			method: method || "PUT",
 			url: url,
-			processData: false,
-			data: doc
+			headers: { 'Content-Type': 'text/xml' },
+			body: doc,
+			log: opt.log
 		};
 
-		if(method){
-			opts.type = method;
-		} else {
-			opts.type = "PUT";
-		}
+		if (opt.etag)
+			req.headers['If-Match'] = opt.etag;
 
-		if(fnc){
-			opts.success = function (data) {
-				if (!data)
-					return fnc();
-
-				// Parse new XML, ensure that it isn't loaded from cache
-				var obj = botoweb.xml.to_obj($(data).children().first(), { no_cache: true });
-
-				// Update cache regardless of whether the object was cached before
-				// or not. This is *required* since SimpleDB will return a 404
-				// for the object immediately after creation, which will break
-				// any subsequent attempt to use the new object.
-				obj.model.objs[obj.id] = obj;
-				delete obj.model.dummy_objs[obj.id];
-
-				// Update database immediately. Usually a sync following the
-				// update is good enough, but if another sync is already running
-				// the update may spend some time in the update queue. This
-				// ensures that the update is applied and allows pages to
-				// refresh immediately.
-				if (obj.model.local) {
-					botoweb.ldb.sync.process([obj], null, null, function () {
-						fnc(obj);
-					});
-				}
-				// Non-local data will not update immediately. If the callback
-				// needs to refresh the page to see updated data it should wait
-				// about 1s before doing so.
-				else
+		var $outbox = env.ldb && env.ldb.outbox;
+
+		var queue = function () {
+			$outbox.add({ method: req.method, url: url, data: data, etag: opt.etag, modstamp: opt.modstamp }).then(function (obj) {
+				if (fnc)
 					fnc(obj);
-			};
-			opts.error = function (e) {
-				botoweb.handle_error(e, fnc);
+
+				d.resolve(obj);
+			}, function (e) {
+				if (fnc)
+					fnc(null, e);
+
+				d.reject(e);
+			});
+
+			return d.promise;
+		};
+
+		if ($outbox && $outbox.accepts(url, opt) && $outbox.waiting(url))
+			return queue();
+
+		var success = function (data, xhr) {
+			if (!data) {
+				if (fnc)
+					fnc();
+
+				d.resolve();
+				return;
 			}
-		}
-		$.ajax(opts);
+
+			// Parse new XML, ensure that it isn't loaded from cache
+			var obj = botoweb.xml.to_obj($(data).children().first(), { no_cache: true, env: env });
+
+			// Update cache regardless of whether the object was cached before
+			// or not. This is *required* since SimpleDB will return a 404
+			// for the object immediately after creation, which will break
+			// any subsequent attempt to use the new object.
+			obj.model.objs[obj.id] = obj;
+			delete obj.model.dummy_objs[obj.id];
+
+			obj.etag = xhr.getResponseHeader('ETag');
+
+			var done = function () {
+				if (fnc)
+					fnc(obj);
+
+				d.resolve(obj);
+			};
+
+			// Update database immediately. Usually a sync following the
+			// update is good enough, but if another sync is already running
+			// the update may spend some time in the update queue. This
+			// ensures that the update is applied and allows pages to
+			// refresh immediately.
+			if (obj.model.local && !opt.no_ldb)
+				obj.model.env.ldb.sync.process([obj], null, null, done);
+			// Non-local data will not update immediately. If the callback
+			// needs to refresh the page to see updated data it should wait
+			// about 1s before doing so.
+			else
+				done();
+		};
+		var error = function (xhr) {
+			// The server could not be reached
+			if (!xhr.status && $outbox && $outbox.accepts(url, opt))
+				return queue();
+
+			var error = botoweb.Error.from_response(xhr, req);
+
+			var report = function () {
+				if (fnc)
+					fnc(null, error);
+
+				d.reject(error);
+			};
+
+			// Conflicts (412) are resolved by the caller, see Object.update
+			if (opt.silent || error.status == 412)
+				report();
+			else
+				botoweb.handle_error(error, report);
+		};
+
+		botoweb.ajax.send(req, success, error);
+
+		return d.promise;
 	},
 
-	del: function(url, fnc){
-		$.ajax({
-			type: "DELETE",
+	//
+	// Function: del
+	// Delete the object at this URL
+	// @param opt: Options, opt.silent skips handle_error
+	// @return A Promise which resolves when the object is deleted, or rejects
+	// 		if the request fails. Deletes which cannot reach the server are
+	// 		kept in the outbox, as for save.
+	//
+	del: function(url, fnc, opt){
+		if (!opt) opt = {};
+
+		var d = botoweb.util.deferred(fnc);
+		var ldb = botoweb.env_for(url).ldb;
+		var $outbox = ldb && ldb.outbox;
+
+		var deleted = function () {
+			if (fnc)
+				fnc(true);
+
+			d.resolve(true);
+		};
+
+		var queue = function () {
+			$outbox.add({ method: 'DELETE', url: url }).then(deleted, function (e) {
+				if (fnc)
+					fnc(false, e);
+
+				d.reject(e);
+			});
+
+			return d.promise;
+		};
+
+		if ($outbox && $outbox.accepts(url, opt) && $outbox.waiting(url))
+			return queue();
+
+		botoweb.ajax.send({ method: "DELETE", url: url, log: opt.log }, deleted, function (xhr) {
+			// The server could not be reached
+			if (!xhr.status && $outbox && $outbox.accepts(url, opt))
+				return queue();
+
+			var error = botoweb.Error.from_response(xhr, { method: 'DELETE', url: url });
+
+			var report = function () {
+				if (fnc)
+					fnc(false, error);
+
+				d.reject(error);
+			};
+
+			if (opt.silent)
+				report();
+			else
+				botoweb.handle_error(error, report);
+		});
+
+		return d.promise;
+	},
+
+	//
+	// Function: invoke
+	// Calls a custom method the API declares for a model or object (see the
+	// methods of botoweb.Model), e.g. approve or send
+	// @param url: The URL of the method, see Model.invoke and Object.invoke
+	// @param method: The method name, the root element of an XML payload
+	// @param args: A map of argument names to values, which may be strings,
+	// 		numbers, booleans, Dates, botoweb.Objects, maps or arrays of these
+	// @param opt: Options, opt.format 'json' sends the arguments as JSON
+	// 		rather than XML, opt.http_method defaults to POST, opt.silent
+	// 		skips handle_error, opt.no_ldb does not store returned objects
+	// 		in the local database
+	// @return A Promise which resolves with the result: the botoweb.Object
+	// 		or array of them returned by the method, any other data returned,
+	// 		or undefined if there is none. Rejects if the request fails.
+	//
+	invoke: function(url, method, args, fnc, opt){
+		if (!opt) opt = {};
+
+		var d = botoweb.util.deferred(fnc);
+		var env = botoweb.env_for(url);
+
+		var req = {
+			method: opt.http_method || 'POST',
 			url: url,
-			success: function () {
+			log: opt.log
+		};
+
+		if (opt.format == 'json') {
+			req.headers = { 'Content-Type': 'application/json' };
+			req.body = JSON.stringify(botoweb.json.from_args(args));
+		}
+		else {
+			req.headers = { 'Content-Type': 'text/xml' };
+			req.body = botoweb.xml.from_args(method, args);
+		}
+
+		// Returned objects replace any cached copies
+		var objs = [];
+		var to_obj = function (parse, data) {
+			var obj = parse(data, { no_cache: true, env: env });
+
+			if (!obj)
+				return;
+
+			obj.model.objs[obj.id] = obj;
+			delete obj.model.dummy_objs[obj.id];
+
+			if (obj.model.local)
+				objs.push(obj);
+
+			return obj;
+		};
+
+		var success = function (data, xhr) {
+			try {
+				parse(data, xhr);
+			} catch (e) {
 				if (fnc)
-					fnc(true);
-			},
-			error: function (e) {
-				botoweb.handle_error(e, function () {
-					if (fnc)
-						fnc(false);
-				});
+					fnc(null, e);
+
+				d.reject(e);
 			}
+		};
+
+		var parse = function (data, xhr) {
+			var result = data;
+			var ct = xhr.getResponseHeader('Content-Type') || '';
+
+			// A single object, or a list of objects in any root element
+			if (data && data.documentElement) {
+				var root = $(data.documentElement);
+
+				if (root.get(0).tagName in env.models)
+					result = to_obj(botoweb.xml.to_obj, root);
+				else {
+					result = $.map(root.children(), function (node) {
+						return (node.tagName in env.models) ? to_obj(botoweb.xml.to_obj, node) : null;
+					});
+				}
+			}
+			else if (ct.indexOf('json') >= 0 && data) {
+				// jQuery may have parsed the JSON already
+				result = (typeof data == 'string') ? JSON.parse(data) : data;
+
+				if ($.isArray(result)) {
+					result = $.map(result, function (item) {
+						return (item && item.__id__) ? to_obj(botoweb.json.to_obj, item) : item;
+					});
+				}
+				else if (result && result.__id__)
+					result = to_obj(botoweb.json.to_obj, result);
+			}
+			else if (!data)
+				result = undefined;
+
+			var done = function () {
+				if (fnc)
+					fnc(result, xhr);
+
+				d.resolve(result);
+			};
+
+			// The method may have changed objects stored locally, as for save
+			if (objs.length && !opt.no_ldb)
+				env.ldb.sync.process(objs, null, null, done);
+			else
+				done();
+		};
+
+		botoweb.ajax.send(req, success, function (xhr) {
+			var error = botoweb.Error.from_response(xhr, req);
+
+			var report = function () {
+				if (fnc)
+					fnc(null, error);
+
+				d.reject(error);
+			};
+
+			if (opt.silent)
+				report();
+			else
+				botoweb.handle_error(error, report);
 		});
+
+		return d.promise;
 	},
 
-	handle_error: function (data, fnc) {
-		var info = $(data.responseText);
+	//
+	// Function: handle_error
+	// The default handler for errors while saving or deleting, which shows
+	// the error to the user. Replace it to handle errors differently, it must
+	// call fnc once done so that the caller receives the error.
+	// @param error: A botoweb.Error
+	// @param fnc: Called with no arguments when the user closes the alert
+	//
+	handle_error: function (error, fnc) {
+		if (!botoweb.ui || !botoweb.ui.alert)
+			return fnc();
+
+		var $util = botoweb.util;
 
-		// When the user clicks OK, fire the callback with no arguments
-		botoweb.ui.alert('The following error occurred while saving changes:<p><strong>' + info.find('description').html() + '</strong><br />' + info.find('message').html() + '</p>', 'Please check form values', function () { fnc() });
+		botoweb.ui.alert('The following error occurred while saving changes:<p><strong>' + $util.html_format(error.description) + '</strong><br />' + $util.html_format(error.message) + '</p>', 'Please check form values', function () { fnc() });
 	},
 
 	/**
@@ -327,28 +731,12 @@ var botoweb = {
 		new botoweb.Environment(href, function(env) {
 			console.log('API initialization complete');
 
-			if(botoweb.ldb){
-				botoweb.ldb.name = env.cfg.db.name;
-				botoweb.ldb.title = env.cfg.db.title;
-				botoweb.ldb.size_mb = env.cfg.db.size_mb;
-				botoweb.ldb.version = env.version;
-
-				// Prepare the database according to the environment settings
-				botoweb.ldb.prepare(function (db) {
+			if(env.ldb){
+				env.ldb.start(function (db) {
 					console.log('Data initialization complete, begin synchronizing');
 					botoweb.ui.init();
 					if (fnc)
 						fnc();
-					botoweb.ldb.sync.update();
-					botoweb.ldb.sync.verify();
-
-					// Update the local database every 2 minutes
-					setInterval(botoweb.ldb.sync.update, 2 * 60 * 1000);
-
-					// Verify that local data has not been lost
-					setInterval(botoweb.ldb.sync.verify, 5 * 60 * 1000);
-
-					setInterval(botoweb.ldb.sync.heartbeat, 5 * 1000);
 				}, function(msg){
 					botoweb.ui.init();
 					if (fnc)
@@ -0,0 +1,93 @@
+/**
+ * Loads the data layer of botoweb (Environment, Model, Object, Property, Query,
+ * xml, json and ajax) into Node.js for batch scripts. The same source files as
+ * the browser build are evaluated in their own context, the UI and local
+ * database modules are left out.
+ *
+ * jQuery is still required for traversing XML. It needs a window to run in
+ * Node, which jsdom can provide along with an XML parser:
+ *
+ * var window = new (require('jsdom').JSDOM)('').window;
+ * var botoweb = require('./src/botoweb.node.js')({
+ *     jQuery: require('jquery')(window),
+ *     xml: window
+ * });
+ *
+ * botoweb.init('https://example.com/api/', {}, function () {
+ *     botoweb.env.models.User.all().then(...);
+ * });
+ *
+ * Options include:
+ * * jQuery - (required) the jQuery instance
+ * * xml - a parser or DOM implementation for botoweb.xml.use
+ * * transport - defaults to botoweb.transport.fetch where Node provides
+ *   fetch, otherwise botoweb.transport.node
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+// In dependency order, matching the script tags of the browser build
+var MODULES = [
+	'botoweb.js',
+	'botoweb/util.js',
+	'botoweb/error.js',
+	'botoweb/transport.js',
+	'botoweb/transport/fake_server.js',
+	'botoweb/transport/stream.js',
+	'botoweb/ajax.js',
+	'botoweb/ajax/scheduler.js',
+	'botoweb/ajax/cache.js',
+	'botoweb/telemetry.js',
+	'botoweb/clock.js',
+	'botoweb/auth.js',
+	'botoweb/model.js',
+	'botoweb/query.js',
+	'botoweb/object.js',
+	'botoweb/property.js',
+	'botoweb/perm.js',
+	'botoweb/environment.js',
+	'botoweb/xml.js',
+	'botoweb/json.js',
+	'botoweb/data.js',
+	'botoweb/generate.js'
+];
+
+module.exports = function (opt) {
+	opt = opt || {};
+
+	if (!opt.jQuery)
+		throw new Error('botoweb requires a jQuery instance, see botoweb.node.js');
+
+	var context = vm.createContext({
+		jQuery: opt.jQuery,
+		$: opt.jQuery,
+		console: console,
+		setTimeout: setTimeout,
+		clearTimeout: clearTimeout,
+		setInterval: setInterval,
+		clearInterval: clearInterval,
+		AbortController: AbortController,
+		performance: performance,
+		URL: URL,
+		TextDecoder: TextDecoder,
+		Buffer: Buffer,
+		crypto: require('crypto').webcrypto,
+		require: require,
+		fetch: (typeof fetch != 'undefined') ? fetch : undefined
+	});
+
+	MODULES.forEach(function (file) {
+		file = path.join(__dirname, file);
+		vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+	});
+
+	var botoweb = context.botoweb;
+
+	if (opt.xml)
+		botoweb.xml.use(opt.xml);
+
+	botoweb.ajax.transport = opt.transport || ((context.fetch) ? botoweb.transport.fetch : botoweb.transport.node());
+
+	return botoweb;
+};
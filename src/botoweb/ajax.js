@@ -1,93 +1,442 @@
 /**
- * Works with ajaxManager to queue and cache AJAX requests to allow more control
- * over active and pending AJAX.
+ * Queues and merges AJAX requests to allow more control over active and
+ * pending AJAX. Requests wait their turn in botoweb.ajax.scheduler and are
+ * carried out by the transport adapter in botoweb.ajax.transport, see
+ * botoweb.transport.
  *
  * @author Chris Moyer
  */
 botoweb.ajax = {
 	cachedRequests: {},
-	manager: $.manageAjax.create('cacheQueue', { queue: true, cacheResponse:false, preventDoubbleRequests: false, maxRequests: 3 }),
-	stop: function(name, id){
-		botoweb.ajax.cachedRequests = {};
-		botoweb.ajax.manager.abort(name, id);
+
+	/**
+	 * The transport adapter which carries out requests. Defaults to
+	 * botoweb.transport.jquery, may be replaced with any object which
+	 * implements request (or set with cfg.transport in the Environment).
+	 */
+	transport: null,
+
+	/**
+	 * Aborts GET requests made with get, along with their pending retries.
+	 * Their callers receive neither a response nor an error.
+	 *
+	 * @param {String} lane Optional, only abort the requests of this
+	 * botoweb.ajax.scheduler lane.
+	 * @param {String} id Optional, only abort this request, GET_ followed by
+	 * its URL with dots replaced by underscores.
+	 */
+	stop: function(lane, id){
+		var requests = botoweb.ajax.cachedRequests;
+
+		$.each(requests, function (ajaxID, entry) {
+			if ((lane && entry.lane != lane) || (id && ajaxID != id))
+				return;
+
+			delete requests[ajaxID];
+
+			entry.aborted = true;
+			clearTimeout(entry.timer);
+			entry.controller.abort();
+		});
 	},
 	stop_all: function(){
-		botoweb.ajax.cachedRequests = {};
-		botoweb.ajax.manager.abort('cacheQueue');
+		botoweb.ajax.stop();
 	},
 	stop_by_url: function(url){
-		var ajaxID = 'GET_'+ url.replace(/\./g, '_');
-		botoweb.ajax.cachedRequests = {};
-		botoweb.ajax.manager.abort(null, ajaxID);
+		botoweb.ajax.stop(null, 'GET_'+ url.replace(/\./g, '_'));
+	},
+
+	/**
+	 * Interceptors added with use(), in the order they run.
+	 */
+	interceptors: [],
+
+	/**
+	 * Adds an interceptor which sees every request, including each retry.
+	 * An interceptor may implement any of these phases, each of which may
+	 * return its result directly or as a Promise:
+	 *
+	 * * request(req) - returns the request to send (req may be modified, e.g.
+	 *   to rewrite req.url or add req.headers), or a response from
+	 *   botoweb.transport.response to answer the request without sending it.
+	 * * response(response, req) - returns the response to use. HTTP error
+	 *   statuses are responses too, check response.status.
+	 * * error(e, req) - called when no response was received, or an
+	 *   interceptor threw in an earlier phase, including request phases.
+	 *   Returns a response to recover, nothing to keep the error, or throws
+	 *   to replace it.
+	 *
+	 * @param {Object} interceptor The interceptor.
+	 * @return A function which removes the interceptor.
+	 */
+	use: function (interceptor) {
+		botoweb.ajax.interceptors.push(interceptor);
+
+		return function () {
+			botoweb.ajax.interceptors = $.grep(botoweb.ajax.interceptors, function (i) {
+				return i !== interceptor;
+			});
+		};
+	},
+
+	/**
+	 * Passes a single request through the interceptors to the transport,
+	 * without retries. Requests which reach the transport wait in their lane
+	 * of botoweb.ajax.scheduler.
+	 *
+	 * @param {Object} req The method, url, headers, body, signal, lane and log.
+	 * @return A Promise which resolves with the response for any HTTP
+	 * status, or rejects if no response was received.
+	 */
+	request: function (req) {
+		var interceptors = botoweb.ajax.interceptors.slice();
+		var env = botoweb.env_for(req.url);
+
+		// Other environments may have their own transport
+		var transport = (env !== botoweb.env && env.cfg && env.cfg.transport) || botoweb.ajax.transport || botoweb.transport.jquery;
+		var response;
+
+		// Interceptors may modify the request, but not the caller's copy
+		req = $.extend({}, req, { headers: $.extend({}, req.headers) });
+
+		var p = Promise.resolve(req);
+
+		$.each(interceptors, function (i, interceptor) {
+			if (!interceptor.request)
+				return;
+
+			p = p.then(function (req) {
+				if (response)
+					return req;
+
+				return Promise.resolve(interceptor.request(req)).then(function (result) {
+					if (result && result.getResponseHeader) {
+						response = result;
+						return req;
+					}
+
+					return result || req;
+				});
+			}).then(function (result) {
+				// Later phases see the request as far as it was modified
+				req = result;
+				return req;
+			});
+		});
+
+		p = p.then(function (req) {
+			return (response) ? response : botoweb.ajax.scheduler.run(req, function (signal) {
+				// Time spent waiting in the lane is not round trip time, see
+				// botoweb.clock
+				req.clock_sent = new Date().valueOf();
+
+				return transport.request($.extend({}, req, { signal: signal }));
+			});
+		});
+
+		// Record the request on the response for error reporting
+		p = p.then(function (response) {
+			response.request = response.request || req;
+			return response;
+		}, function (e) {
+			if (e.response && !e.response.request)
+				e.response.request = req;
+
+			throw e;
+		});
+
+		// A request phase which throws reaches the error phases too
+		$.each(interceptors, function (i, interceptor) {
+			if (interceptor.response) {
+				p = p.then(function (response) {
+					return Promise.resolve(interceptor.response(response, req)).then(function (result) {
+						return result || response;
+					});
+				});
+			}
+
+			if (interceptor.error) {
+				p = p.then(null, function (e) {
+					return Promise.resolve(interceptor.error(e, req)).then(function (result) {
+						if (result)
+							return result;
+
+						throw e;
+					});
+				});
+			}
+		});
+
+		return p;
+	},
+
+	/**
+	 * @return True if the response status indicates success.
+	 */
+	is_success: function (response) {
+		return (response.status >= 200 && response.status < 300) || response.status == 304;
+	},
+	/**
+	 * Decides whether a failed request should be retried, according to the
+	 * rule for its status in the cfg.retry policy of the environment the
+	 * request belongs to.
+	 *
+	 * @param {String} method The HTTP method.
+	 * @param {XMLHttpRequest} xhr The failed request.
+	 * @param {Integer} attempts The number of attempts made so far.
+	 * @param {Integer} started When the first attempt was made, in ms.
+	 * @return The delay in ms before the next attempt, or -1 to give up.
+	 */
+	retry_delay: function (method, xhr, attempts, started) {
+		var env = botoweb.env_for(xhr.request && xhr.request.url);
+		var policy = env.cfg && env.cfg.retry;
+
+		if (!policy || !policy.statuses || !policy.statuses[xhr.status])
+			return -1;
+
+		var rule = $.extend({}, policy, policy.statuses[xhr.status]);
+
+		if ($.inArray((method || 'GET').toUpperCase(), rule.methods || []) < 0)
+			return -1;
+
+		if (rule.max_attempts && attempts >= rule.max_attempts)
+			return -1;
+
+		var delay = rule.base_delay * ((rule.backoff == 'linear') ? attempts : Math.pow(rule.factor, attempts - 1));
+
+		if (rule.max_delay)
+			delay = Math.min(delay, rule.max_delay);
+
+		if (rule.jitter)
+			delay -= delay * rule.jitter * Math.random();
+
+		if (rule.retry_after) {
+			var retry_after = botoweb.ajax.retry_after(xhr);
+
+			if (retry_after !== null)
+				delay = Math.max(delay, retry_after);
+		}
+
+		if (rule.deadline && new Date().valueOf() + delay - started > rule.deadline)
+			return -1;
+
+		return Math.round(delay);
+	},
+
+	/**
+	 * Parses the Retry-After header, which may be a number of seconds or an
+	 * HTTP date.
+	 *
+	 * @param {XMLHttpRequest} xhr The failed request.
+	 * @return The requested delay in ms, or null if there is none.
+	 */
+	retry_after: function (xhr) {
+		var header;
+
+		try {
+			header = xhr.getResponseHeader('Retry-After');
+		} catch (e) { }
+
+		if (!header)
+			return null;
+
+		if (/^\s*\d+\s*$/.test(header))
+			return header * 1000;
+
+		var date = Date.parse(header);
+
+		if (isNaN(date))
+			return null;
+
+		return Math.max(0, date - botoweb.clock.now(botoweb.env_for(xhr.request && xhr.request.url)).valueOf());
+	},
+
+	/**
+	 * Sends a request through the transport, retrying failures according to
+	 * the cfg.retry policy of the environment. The error callback is only
+	 * called once the request will not be retried.
+	 *
+	 * @param {Object} req The method, url, headers, body, signal, lane and log.
+	 * @param {Function} success Receives (data, response) on success.
+	 * @param {Function} error Receives (response) on failure.
+	 */
+	send: function (req, success, error) {
+		var attempts = 0;
+		var started = new Date().valueOf();
+
+		function send () {
+			attempts++;
+			botoweb.ajax.request(req).then(function (response) {
+				if (botoweb.ajax.is_success(response)) {
+					if (success)
+						success(response.data, response);
+				}
+				else
+					retry(response);
+			}, function (e) {
+				if (req.signal && req.signal.aborted)
+					return;
+
+				retry(e.response || botoweb.transport.response({ status: 0, statusText: 'error', request: req }));
+			});
+		}
+
+		function retry (response) {
+			var timeout = botoweb.ajax.retry_delay(req.method, response, attempts, started);
+
+			if (timeout < 0) {
+				if (error)
+					error(response);
+
+				return;
+			}
+
+			setTimeout(send, timeout);
+		}
+
+		send();
 	},
-	get: function(url, callback, error){
+
+	/**
+	 * Loads the URL through the transport. Identical GET requests which are
+	 * already in progress are merged, so each caller still receives the
+	 * response (or the error) but only one request is made.
+	 *
+	 * Options include:
+	 * * signal - an AbortSignal which cancels this caller's interest in the
+	 *   request. The request itself is only aborted once no other callers
+	 *   are waiting on it, and pending retries are cancelled with it.
+	 * * lane - the botoweb.ajax.scheduler lane of the request, interactive
+	 *   by default. Merged requests keep the lane of the first caller.
+	 * * log - the log entry of the data operation, see botoweb.util.log_op
+	 *
+	 * @param {String} url The URL to load.
+	 * @param {Function} callback Receives (data, response) on success.
+	 * @param {Function} error Receives (null, response) on failure.
+	 * @param {Object} opt Options.
+	 */
+	get: function(url, callback, error, opt){
+		opt = opt || {};
+
 		var ajaxID = 'GET_'+ url.replace(/\./g, '_');
 		var cachedRequests = botoweb.ajax.cachedRequests;
-		if(cachedRequests[ajaxID]){
-			cachedRequests[ajaxID].push(callback);
+		var signal = opt.signal;
+
+		if (signal && signal.aborted)
+			return;
+
+		var listener = { success: callback, error: error };
+		var entry = cachedRequests[ajaxID];
+
+		if(entry){
+			entry.push(listener);
 		} else {
-			cachedRequests[ajaxID] = [callback];
+			entry = cachedRequests[ajaxID] = [listener];
+			entry.controller = new AbortController();
+			entry.lane = opt.lane || 'interactive';
 
-			var count_404 = 0;
+			var attempts = 0;
+			var started = new Date().valueOf();
 
-			var cfg = {
-				success: function(data, status, xhr){
-					for(cbnum in cachedRequests[ajaxID]){
-						cachedRequests[ajaxID][cbnum](data, xhr);
-					}
+			// Only forget the request if a newer one for the same URL has not
+			// taken its place
+			var forget = function () {
+				if (cachedRequests[ajaxID] === entry)
 					delete cachedRequests[ajaxID];
-				},
-				error: function(data) {
-					if (data.status >= 400)
-						console.error('HTTP ERROR: ' + data.status + ' ' + data.statusText + '\n' + url + '\n', data);
+			};
 
-					var timeout;
+			// Send error as 2nd argument to avoid confusing it with the obj XML
+			var fail = function (xhr) {
+				forget();
 
-					if (data.status in botoweb.env.cfg.ajax_errors) {
-						var t = botoweb.env.cfg.ajax_errors[data.status](url, data);
-						if (!t)
-							return;
+				for (var i = 0; i < entry.length; i++) {
+					if (entry[i].error)
+						entry[i].error(null, xhr);
+				}
+			};
 
-						timeout = t;
-					}
-					else if (data.status == 408) {
-						timeout = 250;
-					}
-					else if (data.status == 503) {
-						timeout = 2000;
-					}
-					else if (data.status == 404) {
-						if (count_404 >= 3) {
-							// Send error as 2nd argument to avoid confusing it
-							// with the obj XML
-							if (error)
-								error(null, data);
-							return;
-						}
-
-						timeout = 1000 + count_404 * 1000;
-
-						count_404++;
-					}
-					else if (error) {
-						delete cachedRequests[ajaxID];
-						// Send error as 2nd argument to avoid confusing it
-						// with the obj XML
-						error(null, data);
-						return;
-					}
-					else {
+			var success = function (data, xhr) {
+				if (entry.aborted)
+					return;
+
+				forget();
+
+				for (var i = 0; i < entry.length; i++) {
+					entry[i].success(data, xhr);
+				}
+			};
+
+			var error = function (data) {
+				if (entry.aborted)
+					return;
+
+				if (data.status >= 400)
+					console.error('HTTP ERROR: ' + data.status + ' ' + data.statusText + '\n' + url + '\n', data);
+
+				var timeout;
+
+				var cfg = botoweb.env_for(url).cfg || {};
+				var ajax_errors = cfg.ajax_errors || {};
+
+				if (data.status in ajax_errors) {
+					var t = ajax_errors[data.status](url, data);
+					if (!t)
 						return;
-					}
 
-					setTimeout(function() {
-						botoweb.ajax.manager.add(cfg);
-					}, timeout);
-				},
-				url: url
+					timeout = t;
+				}
+				else
+					timeout = botoweb.ajax.retry_delay('GET', data, attempts, started);
+
+				if (timeout < 0) {
+					fail(data);
+					return;
+				}
+
+				entry.timer = setTimeout(send, timeout);
+			};
+
+			var send = function () {
+				attempts++;
+
+				botoweb.ajax.request({
+					method: 'GET',
+					url: url,
+					signal: entry.controller.signal,
+					lane: opt.lane,
+					log: opt.log
+				}).then(function (response) {
+					if (botoweb.ajax.is_success(response))
+						success(response.data, response);
+					else
+						error(response);
+				}, function (e) {
+					error(e.response || botoweb.transport.response({ status: 0, statusText: 'abort', request: { method: 'GET', url: url } }));
+				});
 			};
 
-			botoweb.ajax.manager.add(cfg);
+			send();
+		}
+
+		if (signal) {
+			botoweb.util.on_abort(signal, function () {
+				var i = $.inArray(listener, entry);
+
+				if (i >= 0)
+					entry.splice(i, 1);
+
+				if (entry.length)
+					return;
+
+				// Nobody is waiting for the response any more
+				entry.aborted = true;
+				clearTimeout(entry.timer);
+
+				if (cachedRequests[ajaxID] === entry)
+					delete cachedRequests[ajaxID];
+
+				entry.controller.abort();
+			});
 		}
 	}
-};
\ No newline at end of file
+};
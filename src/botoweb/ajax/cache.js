@@ -0,0 +1,225 @@
+/**
+ * Caches GET responses for model URLs when cfg.cache.enabled is set. Fresh
+ * responses are reused without a request, stale responses are revalidated
+ * with If-None-Match or If-Modified-Since when the server sent an ETag or
+ * Last-Modified header. Saves and deletes clear the entries of their model,
+ * in their own environment only.
+ */
+botoweb.ajax.cache = {
+	/**
+	 * Cached responses by URL, each with response, model (its name), env
+	 * (the base_url of its environment), expires, etag, last_modified and
+	 * hits.
+	 */
+	entries: {},
+
+	/**
+	 * @param {String} url Optional, a URL to use the settings of its
+	 * environment rather than the default environment.
+	 * @return The cache settings, or null if the cache is disabled.
+	 */
+	config: function (url) {
+		var cfg = ((url) ? botoweb.env_for(url) : botoweb.env).cfg;
+
+		return (cfg && cfg.cache && cfg.cache.enabled) ? cfg.cache : null;
+	},
+
+	/**
+	 * Finds the model whose href the URL belongs to.
+	 *
+	 * @param {String} url A URL.
+	 * @return The botoweb.Model, or undefined.
+	 */
+	model_for: function (url) {
+		var found;
+		var env = botoweb.env_for(url);
+
+		$.each(env.models || {}, function (name, model) {
+			if (!model)
+				return;
+
+			var base = botoweb.util.url_join(env.base_url, model.href);
+			var next = url.charAt(base.length);
+
+			if (url.indexOf(base) == 0 && (!next || next == '/' || next == '?')) {
+				found = model;
+				return false;
+			}
+		});
+
+		return found;
+	},
+
+	/**
+	 * @return The number of ms a response for the URL stays fresh, 0 if it
+	 * should not be cached.
+	 */
+	ttl: function (url) {
+		var cfg = botoweb.ajax.cache.config(url);
+		var model = cfg && botoweb.ajax.cache.model_for(url);
+
+		if (!model)
+			return 0;
+
+		if (model.name in cfg.models)
+			return cfg.models[model.name] || 0;
+
+		return cfg.ttl;
+	},
+
+	/**
+	 * Lists the cached entries, e.g. for debugging.
+	 *
+	 * @return An array of {url, model, expires, fresh, etag, last_modified,
+	 * hits}.
+	 */
+	inspect: function () {
+		var now = new Date().valueOf();
+
+		return $.map(botoweb.ajax.cache.urls(), function (url) {
+			var entry = botoweb.ajax.cache.entries[url];
+
+			return {
+				url: url,
+				model: entry.model,
+				expires: entry.expires,
+				fresh: entry.expires > now,
+				etag: entry.etag,
+				last_modified: entry.last_modified,
+				hits: entry.hits
+			};
+		});
+	},
+
+	/**
+	 * @return The URLs in the cache, oldest first.
+	 */
+	urls: function () {
+		var urls = [];
+
+		for (var url in botoweb.ajax.cache.entries)
+			urls.push(url);
+
+		return urls;
+	},
+
+	/**
+	 * Removes cached entries.
+	 *
+	 * @param {String|botoweb.Model} which A model to clear its entries, the
+	 * name of a model of the default environment, a URL prefix, or nothing
+	 * to clear everything.
+	 */
+	clear: function (which) {
+		var $cache = botoweb.ajax.cache;
+
+		if (!which) {
+			$cache.entries = {};
+			return;
+		}
+
+		var model = (typeof which == 'string') ? botoweb.env.models[which] : which;
+
+		$.each($cache.urls(), function (i, url) {
+			var entry = $cache.entries[url];
+
+			if ((model && entry.model == model.name && entry.env == model.env.base_url) || (!model && url.indexOf(which) == 0))
+				delete $cache.entries[url];
+		});
+	},
+
+	/**
+	 * Caches a response, dropping the oldest entries beyond max_entries.
+	 *
+	 * @param {String} url The URL requested.
+	 * @param {Object} response The response.
+	 */
+	store: function (url, response) {
+		var $cache = botoweb.ajax.cache;
+		var cfg = $cache.config(url);
+		var ttl = $cache.ttl(url);
+
+		if (!ttl)
+			return;
+
+		// Re-insert so that the oldest entries come first
+		delete $cache.entries[url];
+
+		$cache.entries[url] = {
+			response: response,
+			model: $cache.model_for(url).name,
+			env: botoweb.env_for(url).base_url,
+			expires: new Date().valueOf() + ttl,
+			etag: response.getResponseHeader('ETag'),
+			last_modified: response.getResponseHeader('Last-Modified'),
+			hits: 0
+		};
+
+		var urls = $cache.urls();
+
+		for (var i = 0; urls.length - i > cfg.max_entries; i++)
+			delete $cache.entries[urls[i]];
+	}
+};
+
+botoweb.ajax.use({
+	request: function (req) {
+		var $cache = botoweb.ajax.cache;
+
+		if (!$cache.config(req.url) || req.method != 'GET')
+			return req;
+
+		var entry = $cache.entries[req.url];
+
+		if (!entry)
+			return req;
+
+		if (entry.expires > new Date().valueOf()) {
+			entry.hits++;
+			return entry.response;
+		}
+
+		req.cache_entry = entry;
+
+		if (entry.etag)
+			req.headers['If-None-Match'] = entry.etag;
+		else if (entry.last_modified)
+			req.headers['If-Modified-Since'] = entry.last_modified;
+
+		return req;
+	},
+
+	response: function (response, req) {
+		var $cache = botoweb.ajax.cache;
+
+		if (!$cache.config(req.url) || !botoweb.ajax.is_success(response))
+			return response;
+
+		// Only writes change the model, HEAD (count) must keep its entries
+		if ($.inArray(req.method, ['POST', 'PUT', 'DELETE']) >= 0) {
+			var model = $cache.model_for(req.url);
+
+			if (model)
+				$cache.clear(model);
+
+			return response;
+		}
+
+		if (req.method != 'GET')
+			return response;
+
+		// Already answered from the cache
+		if (response === ($cache.entries[req.url] || {}).response)
+			return response;
+
+		if (response.status == 304 && req.cache_entry) {
+			req.cache_entry.expires = new Date().valueOf() + $cache.ttl(req.url);
+			req.cache_entry.hits++;
+			return req.cache_entry.response;
+		}
+
+		$cache.store(req.url, response);
+
+		return response;
+	}
+});
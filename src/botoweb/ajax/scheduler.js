@@ -0,0 +1,228 @@
+/**
+ * Limits the number of requests in progress and decides which waiting request
+ * goes next. Requests wait in lanes (req.lane, interactive by default) which
+ * are configured in cfg.scheduler. A waiting request always starts before any
+ * request from a lane of lower priority, and lanes which preempt may abort
+ * a running request of lower priority to take its place. Preempted requests
+ * go back to the front of their lane and are sent again later. Each
+ * environment is scheduled on its own, with its own settings and limits.
+ */
+botoweb.ajax.scheduler = {
+	/**
+	 * The tasks of each environment by base_url, see pool.
+	 */
+	pools: {},
+
+	/**
+	 * Used until the environment is loaded.
+	 */
+	defaults: {
+		max_requests: 3,
+		lanes: {
+			interactive: { priority: 0, concurrency: 3 }
+		}
+	},
+
+	/**
+	 * @return The scheduler settings of the environment the URL belongs to,
+	 * see botoweb.env_for.
+	 */
+	config: function (url) {
+		var cfg = botoweb.env_for(url).cfg;
+
+		return (cfg && cfg.scheduler) || botoweb.ajax.scheduler.defaults;
+	},
+
+	/**
+	 * @return The tasks of the environment the URL belongs to, with its
+	 * base_url as url, the waiting tasks by lane name as queues and the
+	 * tasks in progress as active.
+	 */
+	pool: function (url) {
+		var pools = botoweb.ajax.scheduler.pools;
+		var base_url = botoweb.env_for(url).base_url || '';
+
+		return pools[base_url] || (pools[base_url] = { url: base_url, queues: {}, active: [] });
+	},
+
+	/**
+	 * Queues a request.
+	 *
+	 * @param {Object} req The request, req.lane selects its lane and
+	 * req.signal cancels it.
+	 * @param {Function} send Receives an AbortSignal and sends the request,
+	 * returning a Promise of the response.
+	 * @return A Promise of the response.
+	 */
+	run: function (req, send) {
+		var $scheduler = botoweb.ajax.scheduler;
+		var lanes = $scheduler.config(req.url).lanes;
+		var d = botoweb.util.deferred();
+
+		var task = {
+			pool: $scheduler.pool(req.url),
+			lane: (req.lane in lanes) ? req.lane : 'interactive',
+			send: send,
+			d: d
+		};
+
+		if (req.signal && req.signal.aborted) {
+			d.reject(botoweb.util.abort_error(req.signal));
+			return d.promise;
+		}
+
+		botoweb.util.on_abort(req.signal, function () {
+			task.aborted = true;
+
+			if (task.controller)
+				task.controller.abort(req.signal.reason);
+			else {
+				$scheduler.remove(task);
+				d.reject(botoweb.util.abort_error(req.signal));
+			}
+		});
+
+		$scheduler.queue(task.pool, task.lane).push(task);
+		$scheduler.dispatch(task.pool);
+
+		return d.promise;
+	},
+
+	/**
+	 * @return The queue of waiting tasks for a lane of a pool.
+	 */
+	queue: function (pool, lane) {
+		return pool.queues[lane] || (pool.queues[lane] = []);
+	},
+
+	remove: function (task) {
+		var queue = botoweb.ajax.scheduler.queue(task.pool, task.lane);
+		var i = $.inArray(task, queue);
+
+		if (i >= 0)
+			queue.splice(i, 1);
+	},
+
+	/**
+	 * Starts as many waiting tasks of a pool as the limits allow, in lane
+	 * priority order.
+	 */
+	dispatch: function (pool) {
+		var $scheduler = botoweb.ajax.scheduler;
+		var cfg = $scheduler.config(pool.url);
+
+		$.each($scheduler.lanes(pool), function (i, name) {
+			var lane = cfg.lanes[name];
+			var queue = $scheduler.queue(pool, name);
+
+			while (queue.length && $scheduler.running(pool, name) < lane.concurrency) {
+				if (pool.active.length >= cfg.max_requests && !(lane.preempt && $scheduler.preempt(pool, lane.priority)))
+					break;
+
+				$scheduler.start(queue.shift());
+			}
+
+			// Lanes of lower priority wait until this one is empty
+			if (queue.length && pool.active.length >= cfg.max_requests)
+				return false;
+		});
+	},
+
+	/**
+	 * @return The names of the lanes of a pool, highest priority first.
+	 */
+	lanes: function (pool) {
+		var lanes = botoweb.ajax.scheduler.config(pool.url).lanes;
+		var names = [];
+
+		for (var name in lanes)
+			names.push(name);
+
+		return names.sort(function (a, b) {
+			return lanes[a].priority - lanes[b].priority;
+		});
+	},
+
+	/**
+	 * @return The number of tasks of a pool in progress in a lane.
+	 */
+	running: function (pool, lane) {
+		return $.grep(pool.active, function (task) {
+			return task.lane == lane;
+		}).length;
+	},
+
+	/**
+	 * Aborts the most recently started task of lower priority in a pool,
+	 * which will be sent again later.
+	 *
+	 * @param {Object} pool The pool, see pool.
+	 * @param {Integer} priority The priority of the task which needs a slot.
+	 * @return True if a task was preempted.
+	 */
+	preempt: function (pool, priority) {
+		var $scheduler = botoweb.ajax.scheduler;
+		var lanes = $scheduler.config(pool.url).lanes;
+		var victim;
+
+		$.each(pool.active, function (i, task) {
+			if (task.preempted || !lanes[task.lane] || lanes[task.lane].priority <= priority)
+				return;
+
+			if (!victim || lanes[task.lane].priority >= lanes[victim.lane].priority)
+				victim = task;
+		});
+
+		if (!victim)
+			return false;
+
+		victim.preempted = true;
+		victim.controller.abort();
+		$scheduler.finish(victim);
+
+		return true;
+	},
+
+	start: function (task) {
+		var $scheduler = botoweb.ajax.scheduler;
+
+		task.preempted = false;
+		task.controller = new AbortController();
+		task.pool.active.push(task);
+
+		var controller = task.controller;
+
+		task.send(controller.signal).then(function (response) {
+			if (task.controller !== controller)
+				return;
+
+			$scheduler.finish(task);
+			task.d.resolve(response);
+			$scheduler.dispatch(task.pool);
+		}, function (e) {
+			if (task.controller !== controller)
+				return;
+
+			$scheduler.finish(task);
+			task.d.reject(e);
+			$scheduler.dispatch(task.pool);
+		});
+	},
+
+	/**
+	 * Takes a task out of progress. Preempted tasks go back to the front of
+	 * their lane.
+	 */
+	finish: function (task) {
+		var $scheduler = botoweb.ajax.scheduler;
+		var i = $.inArray(task, task.pool.active);
+
+		if (i >= 0)
+			task.pool.active.splice(i, 1);
+
+		if (task.preempted && !task.aborted) {
+			task.controller = null;
+			$scheduler.queue(task.pool, task.lane).unshift(task);
+		}
+	}
+};
@@ -0,0 +1,251 @@
+/**
+ * Manages the user session. Requests which fail because the session expired
+ * (HTTP 401 by default, see cfg.auth) are held while the user logs back in and
+ * then sent again, requests made in the meantime wait for the login. Each
+ * environment has its own session, the functions below act on the default
+ * environment (botoweb.env) unless they are given another one. The state of
+ * the default session is kept on botoweb.auth itself, see session().
+ *
+ * Events are triggered on botoweb.auth, each also receives the environment:
+ * * expired - the session expired, requests to it are paused
+ * * login - the user logged in, receives the user object
+ * * logout - the user logged out
+ * * cancel - the user declined to log back in, paused requests fail
+ */
+(function ($) {
+
+botoweb.auth = {
+	/**
+	 * True while the session is expired and requests are paused.
+	 */
+	expired: false,
+
+	/**
+	 * Resolves once the user logs back in, rejects if they cancel. Only set
+	 * while expired.
+	 */
+	pending: null,
+
+	/**
+	 * @param {botoweb.Environment} env Optional, the default environment if
+	 * not given.
+	 * @return The session state of the environment, with expired and
+	 * pending as above.
+	 */
+	session: function (env) {
+		if (!env || env === botoweb.env)
+			return $auth;
+
+		return env.session || (env.session = { expired: false, pending: null });
+	},
+
+	/**
+	 * Asks the user to log back in. Replace this to provide a custom dialog,
+	 * which must call botoweb.auth.login with the credentials and env, or
+	 * the cancel function if the user gives up. Without a UI the login is
+	 * cancelled.
+	 *
+	 * @param {Function} cancel Call to stop waiting for the login.
+	 * @param {botoweb.Environment} env The environment of the session.
+	 */
+	dialog: function (cancel, env) {
+		if (botoweb.ui && botoweb.ui.login)
+			botoweb.ui.login(cancel, env);
+		else
+			cancel();
+	},
+
+	/**
+	 * Logs in and reloads the current user, then resumes any paused requests.
+	 *
+	 * @param {String} username The username.
+	 * @param {String} password The password.
+	 * @param {Function} fnc Optional, receives the user or null on failure.
+	 * @param {botoweb.Environment} env Optional, the environment to log in to.
+	 * @return A Promise which resolves with the user, or rejects if the login
+	 * fails.
+	 */
+	login: function (username, password, fnc, env) {
+		env = env || botoweb.env;
+
+		var d = $util.deferred(fnc);
+		var url = $util.url_join(env.base_url, env.cfg.auth.login_url);
+
+		botoweb.ajax.send({
+			method: 'POST',
+			url: url,
+			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			body: 'username=' + encodeURIComponent(username) + '&password=' + encodeURIComponent(password),
+			auth: false
+		}, function () {
+			$auth.refresh(env).then(function (user) {
+				if (fnc)
+					fnc(user);
+
+				d.resolve(user);
+			}, function (e) {
+				if (fnc)
+					fnc(null);
+
+				d.reject(e);
+			});
+		}, function (xhr) {
+			var error = botoweb.Error.from_response(xhr);
+
+			if (fnc)
+				fnc(null, error);
+
+			d.reject(error);
+		});
+
+		return d.promise;
+	},
+
+	/**
+	 * Logs out. The user is forgotten even if the request fails.
+	 *
+	 * @param {Function} fnc Optional, called once logged out.
+	 * @param {botoweb.Environment} env Optional, the environment to log out of.
+	 * @return A Promise which resolves once logged out.
+	 */
+	logout: function (fnc, env) {
+		env = env || botoweb.env;
+
+		var d = $util.deferred(fnc);
+
+		var done = function () {
+			env.user = null;
+
+			$($auth).triggerHandler('logout', [env]);
+
+			if (fnc)
+				fnc();
+
+			d.resolve();
+		};
+
+		botoweb.ajax.send({
+			method: 'POST',
+			url: $util.url_join(env.base_url, env.cfg.auth.logout_url),
+			auth: false
+		}, done, done);
+
+		return d.promise;
+	},
+
+	/**
+	 * Reloads the current user from the API root, ends the expired state and
+	 * triggers the login event.
+	 *
+	 * @param {botoweb.Environment} env Optional, the environment to reload.
+	 * @return A Promise which resolves with the user.
+	 */
+	refresh: function (env) {
+		env = env || botoweb.env;
+
+		var d = $util.deferred();
+		var session = $auth.session(env);
+
+		botoweb.ajax.send({ method: 'GET', url: env.base_url, auth: false }, function (xml) {
+			// The user object is minimal, do not cache it
+			var user = botoweb.xml.to_obj($(xml).find('Index > User:first'), { no_cache: true, env: env });
+
+			env.user = user;
+
+			var pending = session.pending;
+
+			session.expired = false;
+			session.pending = null;
+
+			$($auth).triggerHandler('login', [user, env]);
+
+			if (pending)
+				pending.resolve();
+
+			d.resolve(user);
+		}, function (xhr) {
+			d.reject(botoweb.Error.from_response(xhr));
+		});
+
+		return d.promise;
+	},
+
+	/**
+	 * Marks the session as expired and shows the login dialog, unless that
+	 * has already happened.
+	 *
+	 * @param {botoweb.Environment} env Optional, the environment whose
+	 * session expired.
+	 * @return A Promise which resolves once the user logs back in.
+	 */
+	expire: function (env) {
+		env = env || botoweb.env;
+
+		var session = $auth.session(env);
+
+		if (session.pending)
+			return session.pending.promise;
+
+		var pending = session.pending = $util.deferred(true);
+
+		session.expired = true;
+
+		$($auth).triggerHandler('expired', [env]);
+
+		$auth.dialog(function () {
+			if (session.pending !== pending)
+				return;
+
+			session.expired = false;
+			session.pending = null;
+
+			$($auth).triggerHandler('cancel', [env]);
+
+			pending.reject(new Error('Login cancelled'));
+		}, env);
+
+		return pending.promise;
+	}
+};
+
+var $auth = botoweb.auth;
+var $util = botoweb.util;
+
+// Requests with auth: false (such as the login itself) are never paused,
+// others wait for the session of their environment
+botoweb.ajax.use({
+	request: function (req) {
+		if (req.auth === false)
+			return req;
+
+		var session = $auth.session(botoweb.env_for(req.url));
+
+		// Keep the request as it was before any other interceptor changed it,
+		// so that it can be sent again
+		req.replay = $.extend({}, req, { headers: $.extend({}, req.headers) });
+
+		if (!session.pending)
+			return req;
+
+		return session.pending.promise.then(function () {
+			return req;
+		}, function () {
+			return req;
+		});
+	},
+
+	response: function (response, req) {
+		var env = botoweb.env_for(req.url);
+
+		if (req.auth === false || !req.replay || $.inArray(response.status, env.cfg.auth.statuses) < 0)
+			return response;
+
+		return $auth.expire(env).then(function () {
+			return botoweb.ajax.request(req.replay);
+		}, function () {
+			return response;
+		});
+	}
+});
+
+})(jQuery);
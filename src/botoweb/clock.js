@@ -0,0 +1,128 @@
+/**
+ * Estimates the difference between the server clock and the client clock
+ * from the Date header of every response, so that timestamps compared with
+ * server data (such as the sys_modstamp window of botoweb.ldb.sync) stay
+ * correct while the client clock drifts or is changed, e.g. after a laptop
+ * wakes from sleep.
+ *
+ * Each response gives a sample of the offset, which is smoothed into the
+ * estimate. A sample which differs from the estimate by more than
+ * cfg.clock.jump replaces it and triggers a jump event on botoweb.clock,
+ * receiving {env, from, to, change} in ms, after which local data is synced
+ * again in case updates were missed.
+ *
+ * Each environment has its own estimate, kept in its cfg.time_delta, the
+ * functions below use the default environment unless another is given.
+ */
+(function ($) {
+
+botoweb.clock = {
+	/**
+	 * @return The clock settings of the environment.
+	 */
+	config: function (env) {
+		var cfg = (env || botoweb.env).cfg;
+
+		return (cfg && cfg.clock) || { smoothing: 0.2, jump: 5 * 60 * 1000, max_rtt: 10 * 1000 };
+	},
+
+	/**
+	 * @return The estimated server time minus client time in ms.
+	 */
+	offset: function (env) {
+		var cfg = (env || botoweb.env).cfg;
+
+		return (cfg && cfg.time_delta) || 0;
+	},
+
+	/**
+	 * @return The estimated current time on the server as a Date.
+	 */
+	now: function (env) {
+		return new Date(new Date().valueOf() + $clock.offset(env));
+	},
+
+	/**
+	 * Adds a sample to the estimate. Samples from requests which took longer
+	 * than cfg.clock.max_rtt are too imprecise and are ignored.
+	 *
+	 * @param {Integer} server The server time from the Date header in ms.
+	 * @param {Integer} sent The client time the request was sent.
+	 * @param {Integer} received The client time the response was received.
+	 * @param {botoweb.Environment} env The environment of the server.
+	 * @return True if the sample was used.
+	 */
+	sample: function (server, sent, received, env) {
+		env = env || botoweb.env;
+
+		var cfg = $clock.config(env);
+
+		if (isNaN(server) || received - sent > cfg.max_rtt)
+			return false;
+
+		// The Date header is rounded down to the second, and the server
+		// wrote it some time between sending and receiving
+		var sample = server + 500 - (sent + received) / 2;
+		var from = $clock.offset(env);
+
+		if (!env.clock_samples)
+			$clock.set(sample, env);
+		else if (Math.abs(sample - from) > cfg.jump) {
+			$clock.set(sample, env);
+
+			$($clock).triggerHandler('jump', [{ env: env, from: from, to: $clock.offset(env), change: $clock.offset(env) - from }]);
+		}
+		else
+			$clock.set(from + cfg.smoothing * (sample - from), env);
+
+		env.clock_samples = (env.clock_samples || 0) + 1;
+
+		return true;
+	},
+
+	/**
+	 * Replaces the estimate.
+	 *
+	 * @param {Integer} offset The server time minus client time in ms.
+	 * @param {botoweb.Environment} env The environment.
+	 */
+	set: function (offset, env) {
+		env = env || botoweb.env;
+
+		if (env.cfg)
+			env.cfg.time_delta = Math.round(offset);
+	},
+
+	/**
+	 * Forgets the estimate, the next sample replaces it.
+	 *
+	 * @param {botoweb.Environment} env The environment.
+	 */
+	reset: function (env) {
+		env = env || botoweb.env;
+
+		env.clock_samples = 0;
+	}
+};
+
+var $clock = botoweb.clock;
+
+// Requests are stamped with clock_sent as they are handed to the transport,
+// after waiting in the scheduler (see botoweb.ajax.request). Responses from
+// botoweb.ajax.cache carry the Date of the original request, they are never
+// sampled.
+botoweb.ajax.use({
+	response: function (response, req) {
+		if (!req.clock_sent || (req.cache_entry && response === req.cache_entry.response))
+			return response;
+
+		var date = response.getResponseHeader('Date');
+
+		if (date)
+			$clock.sample(Date.parse(date), req.clock_sent, new Date().valueOf(), botoweb.env_for(req.url));
+
+		return response;
+	}
+});
+
+})(jQuery);
@@ -9,12 +9,32 @@
 botoweb.data = {
 	/**
 	 * Creates a new controller for the data which will handle input from the
-	 * server.
+	 * server. Pass opt.signal, an AbortSignal, to stop the stream.
 	 */
-	get: function (url, success, error) {
-		var controller = new $data.StreamingController(url, success, error);
+	get: function (url, success, error, opt) {
+		var controller = new $data.StreamingController(url, success, error, opt);
 
 		controller.resume();
+
+		return controller;
+	},
+
+	/**
+	 * @return The streaming transport for the URL, the stream method of the
+	 * transport of its environment if it has one, otherwise
+	 * botoweb.transport.stream.
+	 */
+	transport: function (url) {
+		var env = botoweb.env_for(url);
+		var transport = (env !== botoweb.env && env.cfg && env.cfg.transport) || botoweb.ajax.transport;
+
+		if (transport && transport.stream) {
+			return function (req, on_item) {
+				return transport.stream(req, on_item);
+			};
+		}
+
+		return botoweb.transport.stream;
 	},
 
 	/**
@@ -27,6 +47,13 @@ botoweb.data = {
 	 * resuming the stream. Paging metadata provided by botoweb is used to
 	 * ensure that resuming a stream loads the minimal data required to start
 	 * where the last read left off.
+	 *
+	 * The success callback receives each page of objects and the controller,
+	 * the error callback receives the error and the controller. Options
+	 * include queue_size (the objects per page, 50 by default) and stream (a
+	 * streaming transport, see botoweb.transport.stream).
+	 *
+	 * Aborting opt.signal aborts the stream and prevents it from resuming.
 	 */
 	StreamingController: function (url, success, error, opt) {
 		opt = opt || {};
@@ -36,96 +63,153 @@ botoweb.data = {
 		this.ready = false;
 		this.waiting = true;
 		this.active = false;
+		this.finished = false;
 		this.queue = [];
 		this.queue_size = opt.queue_size || 50;
 		this.url = url;
-		this.next_url = '';
 		this.seen_ids = {};
 		this.page = 0;
+		this.count = null;
 		this.xhr = null;
 		this.success = success;
 		this.error = error;
+		this.signal = opt.signal;
+		this.stream = opt.stream || $data.transport(url);
 
 		/**
-		 * Kills the streaming HTTP connection and prepares the controller to
-		 * be resumed.
+		 * Kills the streaming HTTP connection, pausing the stream. Data which
+		 * was already received is kept and used up before the stream is
+		 * resumed.
 		 */
 		this.abort = function () {
 			this.active = false;
 
-			this.xhr.abort();
+			if (this.xhr)
+				this.xhr.abort();
 
-			// TODO a more elegant resume feature that uses up existing
-			// buffered data before requesting new data
-			this.buffer = [];
-			this.queue = [];
+			this.xhr = null;
 		};
 
 		/**
-		 * Open the stream to receive data. Automatically opens the next page
-		 * of results if the stream was already started and paused, otherwise
-		 * starts at the beginning of the data set.
+		 * Open the stream to receive data. The buffered data is used up
+		 * first, then the stream reconnects at the page of the last queued
+		 * object, skipping the objects which were already queued.
 		 */
 		this.resume = function () {
-			if (this.active)
+			if (this.active || this.finished || (this.signal && this.signal.aborted))
 				return;
 
+			if (this.buffer.length)
+				return this.pull_buffered();
+
+			var conn = new AbortController();
+			var paged = false;
+			var ended = false;
+
 			this.active = true;
+			this.xhr = conn;
 
-			$.comet.get(this.url, function (obj, xhr) {
-				self.xhr = xhr;
+			Promise.resolve().then(function () {
+				return self.stream({ method: 'GET', url: self.url, signal: conn.signal }, function (obj) {
+					if (self.xhr !== conn)
+						return;
+
+					if (obj.__type__ == '__meta__') {
+						paged = !!obj.next_url;
+						ended = !obj.next_url;
+					}
 
-				self.queue_item(obj);
+					self.queue_item(obj);
+
+					// Send results as soon as enough have been collected
+					if (self.waiting && self.ready)
+						self.push_results();
+				});
+			}).then(function () {
+				if (self.xhr !== conn)
+					return;
+
+				self.active = false;
+				self.xhr = null;
+
+				// A response which ends without paging records holds all of
+				// the data, one which ends at a page continues at next_url
+				if (!paged && !ended)
+					self.queue_item({ __type__: '__meta__' });
 
-				// Send results as soon as enough have been collected
 				if (self.waiting && self.ready)
 					self.push_results();
+				else if (self.waiting)
+					self.resume();
+			}, function (e) {
+				if (self.xhr !== conn)
+					return;
+
+				self.active = false;
+				self.xhr = null;
+
+				if (self.error)
+					self.error(e, self);
 			});
 		};
 
+		botoweb.util.on_abort(this.signal, function () {
+			if (self.active)
+				self.abort();
+		});
+
 		/**
 		 * Callback allowing the higher level to pull the next page of results.
+		 * Once the stream has finished, an empty page is sent.
 		 */
 		this.next_page = function (success, error) {
 			this.success = success || this.success;
 			this.error = error || this.error;
+			this.waiting = true;
 
 			// Send results immediately if queue is full
-			if (this.ready)
+			if (this.ready || (this.finished && !this.buffer.length))
 				this.push_results();
 
-			// If the stream is not running, resume it
-			if (!this.active)
-				this.resume();
-
-			// Otherwise mark to send once queue is full
+			// Otherwise they are sent once it is, resuming the stream if it
+			// was paused
 			else
-				this.waiting = true;
+				this.resume();
 		};
 
 		/**
 		 * Adds objects to the queue and parses metadata in the stream. If the
 		 * queue is full or the end of the stream is detected, switches the
 		 * controller's state to ready to indicate that data can be pushed.
+		 *
+		 * A page marker moves the controller to the next URL and resets the
+		 * index of seen object ids, as everything before it has been queued.
+		 * This allows the stream to be resumed after the last queued object.
 		 */
 		this.queue_item = function (obj) {
 			// Skip objects that have already been seen
-			if (obj.__id__ in this.seen_ids)
+			if (obj.__id__ !== undefined && obj.__id__ in this.seen_ids)
 				return true;
 
 			if (this.queue.length < this.queue_size) {
 				// Process but do not queue metadata
 				if (obj.__type__ == '__meta__') {
-					if (obj.next_url)
-						this.next_url = obj.next_url;
+					if ('count' in obj)
+						this.count = 1 * obj.count;
+
+					if (obj.next_url) {
+						this.seen_ids = {};
+						this.url = obj.next_url;
+					}
 					// No next_url means the data stream has finished
 					else {
 						this.ready = true;
-						this.active = false;
+						this.finished = true;
 					}
 				}
 				else {
 					this.queue.push(obj);
+					this.seen_ids[obj.__id__] = true;
 				}
 
 				// When queue is full we are ready to send data to the callback
@@ -140,29 +224,18 @@ botoweb.data = {
 		};
 
 		/**
-		 * Returns the current queued objects to the success callback. If the
-		 * data spans multiple page markers (which are returned by botoweb to
-		 * allow paging) we update the StreamingController to the next URL and
-		 * reset the index of seen object ids. This allows the stream to be
-		 * resumed based on the last data sent to the higher levels.
+		 * Returns the current queued objects to the success callback, then
+		 * refills the queue from the buffer.
 		 */
 		this.push_results = function () {
-			// Switched over to a new page in results, forget old seen_ids
-			if (this.next_url) {
-				this.seen_ids = {};
-				this.url = this.next_url;
-				this.next_url = '';
-			}
-
-			// Record ids that have already been seen, for resuming.
-			for (var i = 0; i < this.queue.length; i++) {
-				this.seen_ids[this.queue[i].__id__] = true;
-			}
+			var results = this.queue;
 
+			this.queue = [];
 			this.waiting = false;
 			this.ready = false;
+			this.page++;
 
-			this.success(this.queue, this);
+			this.success(results, this);
 
 			this.pull_buffered();
 		};
@@ -171,31 +244,22 @@ botoweb.data = {
 		 * Pulls raw commands in from the overflow buffer and adds them to the
 		 * queue. If the queue is filled at the end of this operation and the
 		 * higher level is waiting on results already, the results will be
-		 * pushed.
+		 * pushed, otherwise the stream is resumed to fill it.
 		 */
 		this.pull_buffered = function () {
-			this.queue = [];
-			var i;
-
-			for (i = 0; i < this.buffer.length; i++) {
-				// Stop if the queue is full
-				if (this.queue.length >= this.queue_size)
-					break;
+			var buffer = this.buffer;
 
-				// Stop if the queue is otherwise full
-				if (!this.queue_item(this.buffer[i]))
-					break;
-			}
+			// Objects which do not fit in the queue go back to the buffer
+			this.buffer = [];
 
-			// Remove queued data from the buffer
-			if (i < this.buffer.length - 1)
-				this.buffer = this.buffer.slice(i + 1);
-			else
-				this.buffer = [];
+			for (var i = 0; i < buffer.length; i++)
+				this.queue_item(buffer[i]);
 
 			// If a callback was waiting on the next set of data, send it
 			if (this.waiting && this.ready)
 				this.push_results();
+			else if (this.waiting)
+				this.resume();
 		};
 	},
 
@@ -205,6 +269,5 @@ botoweb.data = {
 };
 
 var $data = botoweb.data;
-var $env = botoweb.env;
 var $util = botoweb.util;
 })();
@@ -15,24 +15,66 @@
  *     alert(env.user.username);
  * });
  *
+ * Each environment owns its models (and their cached objects), its session
+ * (see botoweb.auth), its local database and its configuration, including
+ * the transport, retry policy and response cache. An environment becomes the default,
+ * botoweb.env, which the UI uses, unless cfg.default_env is false (the first
+ * one always does). Others are used through their models:
+ *
+ * new botoweb.Environment("/archive/", function(archive){
+ *     archive.models.Document.query([['year', '<', '2010']]);
+ * }, { default_env: false });
+ *
+ * Requests find the environment they belong to by URL, see botoweb.env_for.
+ *
+ * The local database of an environment, with its sync and outbox, is
+ * env.ldb (see botoweb.LocalDB). botoweb.init starts the one of the default
+ * environment, botoweb.ldb. Others are started with env.ldb.start and need a
+ * db.name of their own:
+ *
+ * new botoweb.Environment("/archive/", function(archive){
+ *     archive.ldb.start();
+ * }, { default_env: false, db: { name: 'archive', sync_models: ['Document'] } });
+ *
  * @param {String} base_url The base URL that we are operating on
  * @param {Function} fnc Optional callback function to call after we finish loading
  * @param {Object} cfg The environment configuration.
  */
 botoweb.Environment = function(base_url, fnc, cfg) {
-	botoweb.env = this;
-
 	this.base_url = base_url;
 	this.user = null;
 	this.model_names = [];
 	this.models = {};
+	this.schema = null;
 
-	// Default environment
+	// Default environment, arrays in cfg replace the defaults (see
+	// replace_arrays)
 	this.cfg = $.extend(true, {
 		static_host: '',
 
+		// Make this the default environment, botoweb.env
+		default_env: true,
+
+		// Start from the API environment stored by the last startup, which
+		// is checked against the server in the background. A schema_change
+		// event is triggered on botoweb if the models changed.
+		env_cache: true,
+
+		// The server time minus the client time in ms, kept up to date by
+		// botoweb.clock
 		time_delta: 0,
 
+		// The Date header of each response is a sample of time_delta, see
+		// botoweb.clock. Samples are smoothed into the estimate, each moving
+		// it by this portion of the difference, unless they differ by more
+		// than jump ms. Requests which took longer than max_rtt ms are not
+		// sampled.
+		clock: {
+			smoothing: 0.2,
+			jump: 5 * 60 * 1000,
+			max_rtt: 10 * 1000
+		},
+
 		// The number of pages of results to fetch into a searchResults widget
 		// before pausing, use bwLimit="none" to override.
 		search_result_pages: 0,
@@ -55,7 +97,11 @@ botoweb.Environment = function(base_url, fnc, cfg) {
 			sync_models: [],
 
 			// These property names will be cached on any object that has them
-			cache_props: []
+			cache_props: [],
+
+			// Keep saves and deletes of local models which cannot reach the
+			// server and send them later, see botoweb.LocalDB.Outbox
+			outbox: true
 		},
 
 		// Functions allowing custom markup modification, such as expanding a
@@ -77,6 +123,12 @@ botoweb.Environment = function(base_url, fnc, cfg) {
 			secondary: 'ui-priority-secondary'
 		},
 
+		// Functions which may deny the user an action on a model or object,
+		// see botoweb.perm
+		perm: {
+			rules: []
+		},
+
 		// Allows parts of DOM to be removed
 		conditions: {},
 
@@ -96,48 +148,300 @@ botoweb.Environment = function(base_url, fnc, cfg) {
 			}
 		},
 
-		// Map status code number to a function accepting params url, xhr
-		ajax_errors: {}
+		// Map status code number to a function accepting params url, xhr.
+		// These take precedence over the retry policy for GET requests.
+		ajax_errors: {},
+
+		// Caches GET responses for models, see botoweb.ajax.cache. Responses
+		// stay fresh for ttl ms, which may be set per model name in models
+		// (0 to never cache a model).
+		cache: {
+			enabled: false,
+			ttl: 60 * 1000,
+			models: {},
+			max_entries: 500
+		},
+
+		// Records data operations, see botoweb.telemetry. The last size
+		// operations are kept, marks adds them to the browser's User Timing.
+		telemetry: {
+			enabled: true,
+			size: 500,
+			marks: true
+		},
+
+		// Session handling, see botoweb.auth. URLs are relative to the API
+		// root. Responses with these statuses mean the session expired.
+		auth: {
+			login_url: 'login',
+			logout_url: 'logout',
+			statuses: [401]
+		},
+
+		// Requests wait in lanes, see botoweb.ajax.scheduler. At most
+		// max_requests are in progress, and at most concurrency of them from
+		// one lane. Lanes with a lower priority number go first, and lanes
+		// which preempt abort lower priority requests (which are sent again
+		// later) rather than wait for a free slot.
+		scheduler: {
+			max_requests: 4,
+			lanes: {
+				// Requests the user is waiting for
+				interactive: { priority: 0, concurrency: 4, preempt: true },
+				// Further pages of results which were not asked for yet
+				prefetch: { priority: 1, concurrency: 2 },
+				// Local database synchronization
+				sync: { priority: 2, concurrency: 2 }
+			}
+		},
+
+		// The transport adapter for all requests, see botoweb.transport.
+		// Defaults to jQuery in the browser.
+		transport: null,
+
+		// Failed requests are retried according to the rule for their HTTP
+		// status. Each rule may override any of the options below.
+		retry: {
+			// Give up after this many attempts, including the first
+			max_attempts: 5,
+
+			// Give up if the next attempt would start more than this many ms
+			// after the first attempt
+			deadline: 60 * 1000,
+
+			// The delay before the Nth retry is base_delay * factor^(N-1)
+			// (or base_delay * N with backoff: 'linear'), at most max_delay.
+			// A random portion of up to jitter * delay is taken off the delay
+			// so that many clients do not retry at the same time.
+			backoff: 'exponential',
+			base_delay: 500,
+			factor: 2,
+			max_delay: 30 * 1000,
+			jitter: 0.5,
+
+			// Wait at least as long as the server asks in Retry-After
+			retry_after: true,
+
+			// Methods which may be retried. POST is not idempotent, so it is
+			// only retried when the status shows it was never processed.
+			methods: ['GET', 'HEAD', 'PUT', 'DELETE'],
+
+			// Set a status to null to never retry it
+			statuses: {
+				// SimpleDB may not return objects right after they are created
+				404: { max_attempts: 4, base_delay: 1000, backoff: 'linear', jitter: 0, methods: ['GET', 'HEAD'] },
+				408: { base_delay: 250 },
+				429: { methods: ['GET', 'HEAD', 'PUT', 'DELETE', 'POST'] },
+				502: {},
+				503: { base_delay: 2000, methods: ['GET', 'HEAD', 'PUT', 'DELETE', 'POST'] },
+				504: {}
+			}
+		}
 	}, cfg);
 
+	replace_arrays(this.cfg, cfg);
+
 	var self = this;
 
-	// Parse API xml to set up environment
-	botoweb.ajax.get(this.base_url, function(xml, xhr){
-		xml = $(xml);
+	// A deep extend merges arrays item by item, so setting retry.methods to
+	// ['GET'] would still leave the other default methods. Arrays given in
+	// the configuration are copied over the merged ones instead.
+	function replace_arrays (target, source) {
+		$.each(source || {}, function (name, val) {
+			if ($.isArray(val))
+				target[name] = val.slice();
+			else if ($.isPlainObject(val) && $.isPlainObject(target[name]))
+				replace_arrays(target[name], val);
+		});
+	}
+
+	if (this.cfg.default_env || !botoweb.env.base_url)
+		botoweb.env = this;
+
+	// Unless the local database modules are left out
+	this.ldb = (botoweb.LocalDB) ? new botoweb.LocalDB(this) : null;
+
+	if (botoweb.env === this)
+		botoweb.ldb = this.ldb;
+
+	// Replaces an environment for the same API
+	botoweb.envs = $.grep(botoweb.envs, function (env) {
+		return env.base_url != self.base_url;
+	});
+	botoweb.envs.push(this);
+
+	// The first response of this environment sets the clock estimate
+	botoweb.clock.reset(this);
+
+	if (this.cfg.transport && botoweb.env === this)
+		botoweb.ajax.transport = this.cfg.transport;
+
+	/**
+	 * Reads the Index XML into a schema which can be stored as JSON: the
+	 * name, version, model definitions (see botoweb.xml.to_model_def) and
+	 * the XML of the current user.
+	 */
+	this.parse = function (xml) {
+		return botoweb.xml.to_schema(xml);
+	};
+
+	/**
+	 * Sets up the models and user from a schema, which is kept as
+	 * env.schema.
+	 */
+	this.load = function (schema) {
+		self.schema = schema;
 
 		// Setup our name
-		self.name = xml.find("Index").attr("name");
+		self.name = schema.name;
 
 		// Get our version
-		self.version = xml.find("Index").attr("version");
+		self.version = schema.version;
 		$("#apiversion").text(self.version);
 
+		self.models = {};
+		self.model_names = [];
+
 		// Initialize the model names so that references to other models can be
 		// verified while building the Model instances.
-		xml.find('api').each(function () {
-			self.models[$(this).attr('name')] = null;
+		$.each(schema.models, function () {
+			self.models[this.name] = null;
 		});
 
 		// Set our routes and model APIs
-		xml.find('api').each(function(){
-			var m = botoweb.xml.to_model(this);
+		$.each(schema.models, function () {
+			var m = botoweb.Model.from_def(this, self);
 			self.models[m.name] = m;
 			self.model_names.push(m.name);
 		});
 
+		// Link subclasses to their parents, which may be defined later
+		$.each(schema.models, function () {
+			var parent = self.models[this.parent];
+
+			if (!parent)
+				return;
+
+			self.models[this.name].parent = parent;
+			parent.subclasses.push(self.models[this.name]);
+		});
+
+		self.load_user(schema);
+	};
+
+	this.load_user = function (schema) {
 		// Do not allow the user object to be cached - it is a minimal form of
 		// the actual User object so we need to be able
-		self.user = botoweb.xml.to_obj(xml.find('Index > User:first'), { no_cache: true });
+		self.user = (schema.user) ? botoweb.xml.to_obj(botoweb.xml.parse(schema.user).documentElement, { no_cache: true, env: self }) : null;
+	};
+
+	/**
+	 * Compares two schemas, see parse.
+	 *
+	 * @return The names of the models which were added, removed or changed.
+	 */
+	this.changed_models = function (old, schema) {
+		var defs = {};
+		var changed = [];
+
+		$.each(old.models, function () {
+			defs[this.name] = JSON.stringify(this);
+		});
+
+		$.each(schema.models, function () {
+			if (defs[this.name] != JSON.stringify(this))
+				changed.push(this.name);
+
+			delete defs[this.name];
+		});
+
+		$.each(defs, function (name) {
+			changed.push(name);
+		});
+
+		return changed;
+	};
+
+	var key = 'env_' + this.base_url.replace(/\W/g, '_');
+
+	/**
+	 * @return The schema stored by the last startup, or null if there is
+	 * none or cfg.env_cache is off.
+	 */
+	this.cached = function () {
+		if (!self.cfg.env_cache || typeof localStorage == 'undefined' || !localStorage[key])
+			return null;
 
 		try {
-			// Find the time offset between the server and client computer
-			var server_date = Date.parse(xhr.getResponseHeader('Date'));
-			var client_date = new Date().valueOf();
+			return JSON.parse(localStorage[key + '_' + localStorage[key]]);
+		} catch (e) {
+			return null;
+		}
+	};
 
-			self.cfg.time_delta = server_date - client_date;
-		} catch (e) {}
+	/**
+	 * Stores the schema under its API version for the next startup,
+	 * replacing the schema of any other version.
+	 */
+	this.store = function (schema) {
+		if (!self.cfg.env_cache || typeof localStorage == 'undefined')
+			return;
+
+		try {
+			if (localStorage[key] && localStorage[key] != schema.version)
+				localStorage.removeItem(key + '_' + localStorage[key]);
+
+			localStorage.setItem(key + '_' + schema.version, JSON.stringify(schema));
+			localStorage.setItem(key, schema.version);
+		} catch (e) {
+			console.warn('Could not store the API environment: ' + e.message);
+		}
+	};
+
+	var cached = this.cached();
+
+	// Start right away with the stored schema, the Index is loaded in the
+	// background to find out whether it is still current
+	if (cached) {
+		this.load(cached);
+
+		setTimeout(function () {
+			if(fnc){ fnc(self); }
+		}, 0);
+	}
+
+	// Parse API xml to set up environment
+	botoweb.ajax.get(this.base_url, function(xml, xhr){
+		var schema = self.parse(xml);
+
+		self.store(schema);
+
+		if (!cached) {
+			self.load(schema);
+
+			if(fnc){ fnc(self); }
+
+			return;
+		}
+
+		// The user may have changed, e.g. by logging in as someone else
+		self.load_user(schema);
+
+		var changed = self.changed_models(cached, schema);
+
+		// The models in use are kept, the new schema is used from the next
+		// startup. Listeners will usually ask the user to reload.
+		if (changed.length || cached.version != schema.version) {
+			$(botoweb).triggerHandler('schema_change', [{
+				env: self,
+				previous_version: cached.version,
+				version: schema.version,
+				models: changed
+			}]);
+		}
+	}, function (data, xhr) {
+		if (cached)
+			console.warn('Could not load the API environment, using the stored copy of version ' + cached.version);
+	}, { lane: (cached) ? 'prefetch' : 'interactive' });
+};
 
-		if(fnc){ fnc(self); }
-	});
-};
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * The error delivered by botoweb data calls when a request fails, both as the
+ * rejection of the returned Promise and as the last argument of the callback.
+ */
+
+/**
+ * Represents a failed botoweb request.
+ *
+ * Options include:
+ * * status, statusText - the HTTP status, 0 if no response was received
+ * * description - the description of the error from the server
+ * * request - the request which failed, with method and url
+ * * response - the response (mimics an XMLHttpRequest)
+ * * errors - a map of property names to messages about their values
+ *
+ * @param {String} message The error message.
+ * @param {Object} opt Options.
+ * @constructor
+ */
+botoweb.Error = function (message, opt) {
+	opt = opt || {};
+
+	this.name = 'BotowebError';
+	this.message = message;
+	this.stack = new Error(message).stack;
+
+	this.status = opt.status || 0;
+	this.statusText = opt.statusText || '';
+	this.description = opt.description || '';
+	this.request = opt.request || {};
+	this.url = this.request.url;
+	this.xhr = this.response = opt.response;
+	this.errors = opt.errors || {};
+
+	/**
+	 * @return True if the server found a problem with the given property, or
+	 * with any property if none is given.
+	 */
+	this.has_errors = function (prop) {
+		if (prop)
+			return prop in this.errors;
+
+		for (var p in this.errors)
+			return true;
+
+		return false;
+	};
+};
+
+botoweb.Error.prototype = new Error();
+botoweb.Error.prototype.constructor = botoweb.Error;
+
+/**
+ * Builds an error from a failed response. Error XML from the server provides
+ * the description and message, and any error elements with a property
+ * attribute provide the per-property errors:
+ *
+ * <Error>
+ *     <description>Invalid value</description>
+ *     <message>Some values could not be saved</message>
+ *     <error property="email">Not a valid email address</error>
+ * </Error>
+ *
+ * @param {Object} xhr The response.
+ * @param {Object|String} request The request which failed, or its URL.
+ * Defaults to the request recorded on the response.
+ * @return A botoweb.Error.
+ */
+botoweb.Error.from_response = function (xhr, request) {
+	xhr = xhr || {};
+
+	if (typeof request == 'string')
+		request = { url: request };
+
+	request = request || xhr.request || {};
+
+	var opt = {
+		status: xhr.status || 0,
+		statusText: xhr.statusText || 'error',
+		request: request,
+		response: xhr,
+		errors: {}
+	};
+
+	var doc = xhr.data;
+
+	if (!doc || typeof doc == 'string') {
+		doc = null;
+
+		try {
+			if (/^\s*</.test(xhr.responseText))
+				doc = botoweb.xml.parse(xhr.responseText);
+		} catch (e) { }
+	}
+
+	var message;
+
+	if (doc) {
+		doc = $(doc);
+
+		opt.description = doc.find('description:first').text();
+		message = doc.find('message:first').text();
+
+		doc.find('error[property]').each(function () {
+			opt.errors[$(this).attr('property')] = $(this).text();
+		});
+	}
+
+	if (!message)
+		message = 'HTTP ' + opt.status + ' ' + opt.statusText + ': ' + (request.method ? request.method + ' ' : '') + request.url;
+
+	return new botoweb.Error(message, opt);
+};
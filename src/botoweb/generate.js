@@ -0,0 +1,335 @@
+/**
+ * Generates TypeScript declarations and JSON Schema documents from the model
+ * definitions of an API, so that application code and fixtures can be
+ * checked against the real API. The source may be an Environment, a schema
+ * (see botoweb.xml.to_schema) or the Index XML as a Document or text.
+ *
+ * Objects are described as plain data in the JSON format of botoweb.json:
+ * each has an id, references are {__type__, __id__}, lists are arrays,
+ * complexType properties are maps of strings and dates are timestamps.
+ * Query properties are left out as they are not part of the object data.
+ * With opt.references = 'id', references are plain ids instead, as in
+ * botoweb.transport.FakeServer fixtures.
+ *
+ * From Node.js, see botoweb.generate.js:
+ *
+ * node src/botoweb.generate.js https://example.com/api/ types/
+ */
+(function ($) {
+
+botoweb.generate = {
+	/**
+	 * @return The schema of the source.
+	 */
+	schema: function (source) {
+		if (source instanceof botoweb.Environment)
+			return source.schema;
+
+		if (typeof source == 'string')
+			source = botoweb.xml.parse(source);
+
+		if (source && source.models)
+			return source;
+
+		return botoweb.xml.to_schema(source);
+	},
+
+	/**
+	 * Generates a TypeScript declaration file with an interface for each
+	 * model, extending the interface of its parent model, and a Models
+	 * interface mapping model names to them.
+	 *
+	 * @param {Object} source The source, see above.
+	 * @param {Object} opt Options, references.
+	 * @return The text of the declaration file.
+	 */
+	typescript: function (source, opt) {
+		opt = opt || {};
+
+		var schema = $generate.schema(source);
+		var defs = model_defs(schema);
+		var lines = [
+			'// Generated from ' + (schema.name || 'the botoweb API') + ' version ' + schema.version + ' by botoweb.generate',
+			''
+		];
+
+		if (opt.references == 'id')
+			lines.push('export type Reference<T extends string> = string;');
+		else
+			lines.push('export interface Reference<T extends string> {', '\t__type__: T;', '\t__id__: string;', '}');
+
+		$.each(schema.models, function (i, def) {
+			var parent = defs[def.parent];
+
+			lines.push('');
+			lines.push('export interface ' + def.name + ((parent) ? ' extends ' + parent.name : '') + ' {');
+
+			if (!parent)
+				lines.push('\tid: string;');
+
+			$.each(own_props(def, parent), function (i, prop) {
+				var type = ts_type(prop, defs);
+
+				if (!type)
+					return;
+
+				if (prop.opt.label)
+					lines.push('\t/** ' + prop.opt.label.replace(/\*\//g, '* /') + ' */');
+
+				lines.push('\t' + ((is_read_only(prop)) ? 'readonly ' : '') + ts_name(prop.name) + '?: ' + type + ';');
+			});
+
+			lines.push('}');
+		});
+
+		lines.push('');
+		lines.push('export interface Models {');
+
+		$.each(schema.models, function (i, def) {
+			lines.push('\t' + ts_name(def.name) + ': ' + def.name + ';');
+		});
+
+		lines.push('}');
+
+		return lines.join('\n') + '\n';
+	},
+
+	/**
+	 * Generates a JSON Schema (draft-07) document for each model. The
+	 * documents of subclasses refer to the document of their parent model by
+	 * its $id, which is the model name followed by opt.suffix
+	 * (.schema.json by default).
+	 *
+	 * @param {Object} source The source, see above.
+	 * @param {Object} opt Options, references and suffix.
+	 * @return A map of model names to documents.
+	 */
+	json_schema: function (source, opt) {
+		opt = $.extend({ suffix: '.schema.json' }, opt);
+
+		var schema = $generate.schema(source);
+		var defs = model_defs(schema);
+		var docs = {};
+
+		$.each(schema.models, function (i, def) {
+			var parent = defs[def.parent];
+			var doc = {
+				$schema: 'http://json-schema.org/draft-07/schema#',
+				$id: def.name + opt.suffix,
+				title: def.name,
+				type: 'object',
+				properties: {
+					id: { type: 'string' }
+				}
+			};
+
+			if (parent)
+				doc.allOf = [{ $ref: parent.name + opt.suffix }];
+
+			$.each(def.props, function (i, prop) {
+				var type = json_type(prop, defs, opt);
+
+				if (type)
+					doc.properties[prop.name] = type;
+			});
+
+			docs[def.name] = doc;
+		});
+
+		return docs;
+	},
+
+	/**
+	 * Generates every file, the TypeScript declarations as {name}.d.ts and
+	 * a JSON Schema document per model.
+	 *
+	 * @return A map of file names to their text.
+	 */
+	files: function (source, opt) {
+		opt = $.extend({ suffix: '.schema.json' }, opt);
+
+		var schema = $generate.schema(source);
+		var files = {};
+
+		files[(schema.name || 'botoweb') + '.d.ts'] = $generate.typescript(schema, opt);
+
+		$.each($generate.json_schema(schema, opt), function (name, doc) {
+			files[name + opt.suffix] = JSON.stringify(doc, null, '\t') + '\n';
+		});
+
+		return files;
+	}
+};
+
+var $generate = botoweb.generate;
+
+var TS_TYPES = {
+	string: 'string',
+	str: 'string',
+	text: 'string',
+	email: 'string',
+	password: 'string',
+	s3key: 'string',
+	blob: 'string',
+	integer: 'number',
+	'int': 'number',
+	'long': 'number',
+	'float': 'number',
+	'boolean': 'boolean',
+	dateTime: 'string',
+	date: 'string',
+	time: 'string',
+	complexType: '{ [key: string]: string }'
+};
+
+var JSON_TYPES = {
+	integer: { type: 'integer' },
+	'int': { type: 'integer' },
+	'long': { type: 'integer' },
+	'float': { type: 'number' },
+	'boolean': { type: 'boolean' },
+	dateTime: { type: 'string', format: 'date-time' },
+	date: { type: 'string', format: 'date' },
+	time: { type: 'string', format: 'time' },
+	email: { type: 'string', format: 'email' },
+	complexType: { type: 'object', additionalProperties: { type: 'string' } }
+};
+
+function model_defs (schema) {
+	var defs = {};
+
+	$.each(schema.models, function (i, def) {
+		defs[def.name] = def;
+	});
+
+	return defs;
+}
+
+// The properties a model adds to those of its parent, or changes
+function own_props (def, parent) {
+	if (!parent)
+		return def.props;
+
+	var inherited = {};
+
+	$.each(parent.props, function (i, prop) {
+		inherited[prop.name] = JSON.stringify(prop);
+	});
+
+	return $.grep(def.props, function (prop) {
+		return inherited[prop.name] != JSON.stringify(prop);
+	});
+}
+
+// The model and the models which inherit from it, any of which may be the
+// type of a reference to the model
+function kinds_of (name, defs) {
+	var kinds = [];
+
+	$.each(defs, function (n, def) {
+		for (var d = def; d; d = defs[d.parent]) {
+			if (d.name == name) {
+				kinds.push(def);
+				break;
+			}
+		}
+	});
+
+	return kinds;
+}
+
+function is_read_only (prop) {
+	return $.inArray('write', prop.perm) < 0 || !!prop.opt.calculated;
+}
+
+// Splits a property into its item type and whether it is a list, lists of
+// models are lists of references
+function item_of (prop, defs) {
+	var type = prop.type;
+	var list = (type == 'list');
+
+	if (list)
+		type = (prop.opt.item_type in defs) ? 'reference' : (prop.opt.item_type || 'string');
+
+	return { type: type, list: list, model: (type == 'reference') ? prop.opt.item_type : null };
+}
+
+function ts_name (name) {
+	return (/^[A-Za-z_$][\w$]*$/.test(name)) ? name : JSON.stringify(name);
+}
+
+function ts_type (prop, defs) {
+	var item = item_of(prop, defs);
+	var type;
+
+	if (item.type == 'query')
+		return null;
+
+	if (item.type == 'reference')
+		type = (item.model in defs) ? 'Reference<' + $.map(kinds_of(item.model, defs), function (def) { return JSON.stringify(def.name); }).join(' | ') + '>' : 'Reference<string>';
+	else if (prop.opt.choices && prop.opt.choices.length)
+		type = $.map(prop.opt.choices, function (choice) { return JSON.stringify(choice.value); }).join(' | ');
+	else
+		type = TS_TYPES[item.type] || 'unknown';
+
+	if (item.list)
+		type = ((type.indexOf(' ') >= 0) ? '(' + type + ')' : type) + '[]';
+
+	return type;
+}
+
+function json_type (prop, defs, opt) {
+	var item = item_of(prop, defs);
+	var type;
+
+	if (item.type == 'query')
+		return null;
+
+	if (item.type == 'reference') {
+		if (opt.references == 'id')
+			type = { type: 'string' };
+		else {
+			type = {
+				type: 'object',
+				properties: {
+					__type__: (item.model in defs) ? { 'enum': $.map(kinds_of(item.model, defs), function (def) { return def.name; }) } : { type: 'string' },
+					__id__: { type: 'string' }
+				},
+				required: ['__type__', '__id__']
+			};
+		}
+	}
+	else
+		type = $.extend(true, {}, JSON_TYPES[item.type] || { type: 'string' });
+
+	if (prop.opt.choices && prop.opt.choices.length) {
+		type['enum'] = $.map(prop.opt.choices, function (choice) {
+			return choice.value;
+		});
+	}
+
+	if (prop.opt.max_length)
+		type.maxLength = 1 * prop.opt.max_length;
+
+	if (prop.opt.min !== undefined)
+		type.minimum = 1 * prop.opt.min;
+
+	if (prop.opt.max !== undefined)
+		type.maximum = 1 * prop.opt.max;
+
+	if (item.list)
+		type = { type: 'array', items: type };
+
+	if (prop.opt.label)
+		type.title = prop.opt.label;
+
+	if (prop.opt.def !== undefined && !item.list)
+		type['default'] = (type.type == 'integer' || type.type == 'number') ? 1 * prop.opt.def : prop.opt.def;
+
+	if (is_read_only(prop))
+		type.readOnly = true;
+
+	return type;
+}
+
+})(jQuery);
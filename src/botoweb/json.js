@@ -32,15 +32,16 @@ botoweb.json = {
 			return;
 
 		var model;
+		var env = opt.env || botoweb.env;
 
-		if (data.__type__ in botoweb.env.models)
-			model = botoweb.env.models[data.__type__];
+		if (data.__type__ in env.models)
+			model = env.models[data.__type__];
 
 		// Use item_type ONLY if the items returned do not specify their model,
 		// otherwise using item_type can cause strange pseudo typecasting when
 		// we query a superclass and receive subclassed objects.
 		else
-			model = botoweb.env.models[opt.item_type];
+			model = env.models[opt.item_type];
 
 		// If the object is cached, return it unless we are reloading the object
 		if (!opt.no_cache && model.objs[data.__id__])
@@ -61,10 +62,12 @@ botoweb.json = {
 			});
 		}
 
-		var obj = new botoweb.Object(data.__id__, model, data, opt);
+		var obj = new botoweb.Object(data.__id__, model, props, opt);
 
-		if (botoweb.ldb && botoweb.ldb.dbh) {
-			botoweb.ldb.cache_props(obj);
+		var ldb = obj.model.env.ldb;
+
+		if (ldb && ldb.dbh) {
+			ldb.cache_props(obj);
 		}
 
 		return obj;
@@ -102,7 +105,6 @@ botoweb.json = {
 		}
 		else if (model_prop.is_type('reference', 'blob', 'query')) {
 			d = $.map(values, function(val, i) {
-				val = $(val);
 				return {
 					// The value is undefined until the object is loaded
 					val: undefined,
@@ -115,12 +117,15 @@ botoweb.json = {
 		}
 
 		else if (model_prop.is_type('complexType')) {
-			d = $.map(values, function(val, key) {
-				return {
+			d = [];
+
+			// The value is a map of keys to values
+			$.each(values[0] || {}, function(key, val) {
+				d.push({
 					key: key,
 					type: 'string', // TODO is type of complexType item necessary?
 					val: val
-				};
+				});
 			});
 		}
 
@@ -135,9 +140,9 @@ botoweb.json = {
 		return new model_prop.instance(d);
 	},
 
-	from_obj: function (model_name, data) {
+	from_obj: function (model_name, data, env) {
 		var obj = {};
-		var model = botoweb.env.models[model_name];
+		var model = (env || botoweb.env).models[model_name];
 
 		$.each(data, function (name, val) {
 			if (val == undefined)
@@ -159,6 +164,37 @@ botoweb.json = {
 		return doc;
 	},
 
+	/**
+	 * Builds the JSON payload of a custom method call, see botoweb.invoke.
+	 * Objects are sent as references with __type__ and __id__.
+	 *
+	 * @param {Object} args A map of argument names to values.
+	 * @return A plain object ready for JSON.stringify.
+	 */
+	from_args: function (args) {
+		var data = {};
+
+		function to_json (v) {
+			if ($.isArray(v))
+				return $.map(v, function (item) { return [to_json(item)]; });
+
+			if (v instanceof botoweb.Object)
+				return { __type__: v.model.name, __id__: v.id };
+
+			if (v instanceof Date)
+				return $util.timestamp(v);
+
+			return v;
+		}
+
+		$.each(args || {}, function (name, val) {
+			if (val !== undefined)
+				data[name] = to_json(val);
+		});
+
+		return data;
+	},
+
 	to_json: {
 		def: function (val, prop) {
 			var data = $.map(val, function (item) {
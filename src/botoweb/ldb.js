@@ -3,67 +3,82 @@
  *
  * @author Ian Paterson
  */
-botoweb.ldb = {
+
+/**
+ * The local database of an environment, env.ldb, with its own sync and
+ * outbox (see botoweb.LocalDB.Sync and botoweb.LocalDB.Outbox). Each
+ * environment creates its own, botoweb.ldb is the one of the default
+ * environment.
+ *
+ * @param {botoweb.Environment} env The environment whose models are stored.
+ */
+botoweb.LocalDB = function (env) {
+	var self = this;
+
+	/**
+	 * The environment whose models are stored.
+	 */
+	this.env = env;
 	/**
 	 * The database name.
 	 */
-	name: null,
+	this.name = null;
 	/**
 	 * The version of the API which generated the database.
 	 */
-	version: null,
+	this.version = null;
 	/**
 	 * A human-friendly title for the database.
 	 */
-	title: null,
+	this.title = null;
 	/**
 	 * An approximation of the database size in megabytes.
 	 */
-	size_mb: 1,
+	this.size_mb = 1;
 	/**
 	 * The active local database handle.
 	 * @type Database
 	 */
-	dbh: null,
+	this.dbh = null;
 	/**
 	 * A map of the tables in the database.
 	 */
-	tables: {},
+	this.tables = {};
 
 	/**
 	 * Opens a connection to the local database and initializes the database
 	 * schema based on the botoweb API.
 	 */
-	prepare: function (ready, error, attempts) {
-		var db = botoweb.ldb.dbh;
+	this.prepare = function (ready, error, attempts) {
+		var db = self.dbh;
 
 		if (!db) {
 			if (!window.openDatabase)
 				return ready();
 
-			var est_size = Math.round(botoweb.ldb.size_mb * 1024 * 1024);
+			var est_size = Math.round(self.size_mb * 1024 * 1024);
 			var version = null;
-			if(botoweb.ldb.version){
-				version = botoweb.ldb.version.split(" ")[0];
+			if(self.version){
+				version = self.version.split(" ")[0];
 			}
 
 			var db = null;
 			try{
 				db = window.openDatabase(
-					botoweb.ldb.name,
+					self.name,
 					version,
-					botoweb.ldb.title,
+					self.title,
 					est_size
 				);
 			} catch(e){
 				db = window.openDatabase(
-					botoweb.ldb.name,
+					self.name,
 					"",
-					botoweb.ldb.title,
+					self.title,
 					est_size
 				);
 			}
-			botoweb.ldb.dbh = db
+			self.dbh = db
 			if(db.version != version){
 				if(!db.changeVersion){
 					alert("ERROR: Your database is outdated and I can't upgrade it\nPlease remove your local DB manually and restart your browser");
@@ -106,27 +121,27 @@ botoweb.ldb = {
 
 			if (attempts > 10) {
 				msg = "Your browser refuses to create our local DB\n";
-				msg += "\nName: " + botoweb.ldb.name;
+				msg += "\nName: " + self.name;
 				msg += "\nVersion: " + version;
-				msg += "\nTitle: " + botoweb.ldb.title;
+				msg += "\nTitle: " + self.title;
 				msg += "\nSize: " + est_size;
 				error(msg);
 				return;
 			}
 
 			setTimeout(function() {
-				botoweb.ldb.prepare(ready, error, attempts + 1);
+				self.prepare(ready, error, attempts + 1);
 			}, 250);
 			return;
 		}
 
-		if (botoweb.ldb.dbh) {
-			if (botoweb.env.cfg.db.cache_props.length) {
+		if (self.dbh) {
+			if (env.cfg.db.cache_props.length) {
 				db.transaction(function (txn) {
 					var setup_cache_props = function (txn) {
 						txn.executeSql(
 							'CREATE TABLE IF NOT EXISTS meta_cache_props' +
-							' (id TEXT UNIQUE, prop_' + botoweb.env.cfg.db.cache_props.join(' TEXT, prop_') + ' TEXT)'
+							' (id TEXT UNIQUE, prop_' + env.cfg.db.cache_props.join(' TEXT, prop_') + ' TEXT)'
 						);
 
 						// Check the table schema for changes. If anything has changed
@@ -146,10 +161,10 @@ botoweb.ldb = {
 
 								var diff = false;
 
-								if (new_columns.length != botoweb.env.cfg.db.cache_props.length + 1)
+								if (new_columns.length != env.cfg.db.cache_props.length + 1)
 									diff = true;
 								else {
-									$.each(botoweb.env.cfg.db.cache_props, function (i, defn) {
+									$.each(env.cfg.db.cache_props, function (i, defn) {
 										// Compare the column names and stop checking
 										// if one does not match
 										if ('prop_' + defn != new_columns[i + 1].replace(/ .*$/g, '')) {
@@ -171,8 +186,11 @@ botoweb.ldb = {
 				});
 			}
 
+			if (self.outbox)
+				db.transaction(self.outbox.create_table, error);
+
 			// Initialize the database schema
-			$.each(botoweb.env.models, function(name, model) {
+			$.each(env.models, function(name, model) {
 
 				// The columns here exclude query types, which are
 				// backlinks found in other tables.
@@ -187,10 +205,10 @@ botoweb.ldb = {
 
 						set[prop.meta.name] = 1;
 
-						var defn = botoweb.ldb.prop_to_column_defn(prop);
+						var defn = self.prop_to_column_defn(prop);
 
 						if (prop.is_type('reference') && !prop.is_type('list'))
-							return [defn, botoweb.ldb.prop_to_column(prop) + '__type TEXT'];
+							return [defn, self.prop_to_column(prop) + '__type TEXT'];
 
 						return defn;
 					});
@@ -198,7 +216,7 @@ botoweb.ldb = {
 					column_definitions.unshift('id TEXT UNIQUE');
 
 					txn.executeSql(
-						'CREATE TABLE IF NOT EXISTS ' + botoweb.ldb.model_to_table(model) +
+						'CREATE TABLE IF NOT EXISTS ' + self.model_to_table(model) +
 						' (' + column_definitions.join(', ') + ')'
 					);
 
@@ -206,7 +224,7 @@ botoweb.ldb = {
 					// we need to reset and re-sync the table.
 					txn.executeSql(
 						'SELECT sql FROM sqlite_master WHERE type = ? AND tbl_name = ?',
-						['table', botoweb.ldb.model_to_table(model)],
+						['table', self.model_to_table(model)],
 						function (txn, results) {
 							if (!results.rows.length)
 								return;
@@ -235,7 +253,7 @@ botoweb.ldb = {
 							if (diff) {
 								console.warn('Local DB schema for ' + model.name + ' is outdated, data will be reset.');
 								model.local = false;
-								botoweb.ldb.sync.reset(model.name);
+								self.sync.reset(model.name);
 							}
 						}
 					);
@@ -245,12 +263,12 @@ botoweb.ldb = {
 				// linked to a different table.
 				var table = new botoweb.sql.Table(
 					// These names refer to the actual DB schema
-					botoweb.ldb.model_to_table(model),
+					self.model_to_table(model),
 					$.map(model.props, function (prop) {
 						if (prop.meta.no_store)
 							return;
 
-						var name = botoweb.ldb.prop_to_column(prop);
+						var name = self.prop_to_column(prop);
 
 						if (prop.is_type('reference') && !prop.is_type('list'))
 							return [name, name + '__type'];
@@ -271,14 +289,14 @@ botoweb.ldb = {
 					})
 				);
 
-				botoweb.ldb.tables[model.name] = table;
+				self.tables[model.name] = table;
 
 				$.each(this.props, function() {
 					var prop = this;
 
 					// lists are added in a separate table which links the list values.
 					if (this.is_type('list')) {
-						var table_name = botoweb.ldb.prop_to_table(this);
+						var table_name = self.prop_to_table(this);
 
 						var cols = ['val'];
 
@@ -302,7 +320,7 @@ botoweb.ldb = {
 							model
 						).set_parent(table);
 
-						botoweb.ldb.tables[table_name] = list_table;
+						self.tables[table_name] = list_table;
 
 						table.c[this.meta.name + '_ref'] = list_table.c.id;
 						table.c[this.meta.name + '_ref'].values = list_table.c.val;
@@ -313,7 +331,7 @@ botoweb.ldb = {
 					}
 					// complexType mappings are added in a separate table which maps keys to values.
 					else if (this.is_type('complexType')) {
-						var table_name = botoweb.ldb.prop_to_table(this);
+						var table_name = self.prop_to_table(this);
 
 						db.transaction(function (txn) {
 							txn.executeSql(
@@ -332,7 +350,7 @@ botoweb.ldb = {
 							model
 						).set_parent(table);
 
-						botoweb.ldb.tables[table_name] = map_table;
+						self.tables[table_name] = map_table;
 
 						// The column for this property in the original table is actually a
 						// reference to the new list_table.
@@ -345,21 +363,21 @@ botoweb.ldb = {
 
 			// "query" types are reverse references which must be linked to
 			// the appropriate table and column once all tables are created.
-			$.each(botoweb.env.models, function(name, model) {
+			$.each(env.models, function(name, model) {
 				$.each(model.props, function() {
-					if (this.is_type('query') && this.meta.item_type in botoweb.ldb.tables) {
+					if (this.is_type('query') && this.meta.item_type in self.tables) {
 						// Map the query column to the _ref_name column in
 						// the table corresponding to _item_type.
-						botoweb.ldb.tables[name].c[this.meta.name + '_ref'] = botoweb.ldb.tables[this.meta.item_type].c[this.meta.ref_name];
+						self.tables[name].c[this.meta.name + '_ref'] = self.tables[this.meta.item_type].c[this.meta.ref_name];
 					}
 				});
 			});
 
-			botoweb.ldb.sync.find_local_models(function () {
+			self.sync.find_local_models(function () {
 				ready(db);
 			});
 		}
-	},
+	};
 
 	/**
 	 * Formats the model name into a proper non-conflicting table name
@@ -367,9 +385,9 @@ botoweb.ldb = {
 	 * @param {botoweb.Model} model The model which will be retrieved.
 	 * @return The table name.
 	 */
-	model_to_table: function (model) {
+	this.model_to_table = function (model) {
 		return 'model_' + model.name.replace(/\s+/g, '__');
-	},
+	};
 
 	/**
 	 * Determines the table which will contain values for the property.
@@ -378,16 +396,16 @@ botoweb.ldb = {
 	 * @param {botoweb.Property} prop The property which will be retrieved.
 	 * @return The table name.
 	 */
-	prop_to_table: function (prop) {
-		var base_table = botoweb.ldb.model_to_table(prop.meta.model);
+	this.prop_to_table = function (prop) {
+		var base_table = self.model_to_table(prop.meta.model);
 
 		if (prop.is_type('list', 'complexType'))
-			return base_table + '_list_' + botoweb.ldb.prop_to_column(prop);
+			return base_table + '_list_' + self.prop_to_column(prop);
 		else if (prop.is_type('query'))
-			return botoweb.ldb.model_to_table(botoweb.env.models[prop.meta.item_type]);
+			return self.model_to_table(env.models[prop.meta.item_type]);
 
 		return base_table;
-	},
+	};
 
 	/**
 	 * Formats the property name into a proper non-conflicting column name.
@@ -395,9 +413,9 @@ botoweb.ldb = {
 	 * @param {botoweb.Property} prop The property which will be retrieved.
 	 * @return The column name.
 	 */
-	prop_to_column: function (prop) {
+	this.prop_to_column = function (prop) {
 		return 'prop_' + prop.meta.name.replace(/\s+/g, '__');
-	},
+	};
 
 	/**
 	 * Creates a full column definition for the property, including name and
@@ -407,12 +425,12 @@ botoweb.ldb = {
 	 * the column.
 	 * @return The full column definition string.
 	 */
-	prop_to_column_defn: function (prop) {
+	this.prop_to_column_defn = function (prop) {
 		// Cannot be stored
 		if (prop.meta.no_store)
 			return null;
 
-		var col = botoweb.ldb.prop_to_column(prop);
+		var col = self.prop_to_column(prop);
 
 		switch (prop.meta.type) {
 			case 'integer':
@@ -443,7 +461,7 @@ botoweb.ldb = {
 				col += ' TEXT';
 				return col;
 		}
-	},
+	};
 
 	/**
 	 * Converts implicit = operator filters (maps) into Array format queries
@@ -452,7 +470,7 @@ botoweb.ldb = {
 	 * @param {Array|Object} The original filter specification.
 	 * @return A filter query in explicit operator format.
 	 */
-	normalize_filters: function (filters) {
+	this.normalize_filters = function (filters) {
 		if (!$.isArray(filters)) {
 			var query = [];
 			$.each(filters, function (k, v) {
@@ -463,7 +481,7 @@ botoweb.ldb = {
 		}
 
 		return filters;
-	},
+	};
 
 	/**
 	 * Generates SQL expressions suitable for use in a botoweb.sql.Query
@@ -473,10 +491,10 @@ botoweb.ldb = {
 	 * @param {Array|Object} The implicit or explicit operator filter defn.
 	 * @return An SQL string which will perform the filtering.
 	 */
-	parse_filters: function (filters, table) {
+	this.parse_filters = function (filters, table) {
 		var exprs = [];
 
-		filters = botoweb.ldb.normalize_filters(filters);
+		filters = self.normalize_filters(filters);
 
 		// Generate an expression for the query. Multiple filter queries
 		// implies AND logic.
@@ -504,7 +522,7 @@ botoweb.ldb = {
 
 		// Return the resulting compound expression
 		return exprs;
-	},
+	};
 
 	/**
 	 * Selects a record from the database based on its model and id. The
@@ -520,17 +538,17 @@ botoweb.ldb = {
 	 * @param {String} id The id of the object.
 	 * @param {Object} opt Options.
 	 */
-	get: function (model, id, opt) {
+	this.get = function (model, id, opt) {
 		if (!opt) opt = {};
 
-		botoweb.ldb.dbh.transaction(function (txn) {
-			var table = botoweb.ldb.model_to_table(model);
+		self.dbh.transaction(function (txn) {
+			var table = self.model_to_table(model);
 
 			var query = new botoweb.sql.Query(table)
 				.filter(table.c.id.cmp(id));
 
 			if (opt.filters) {
-				var conditions = botoweb.ldb.parse_filters(opt.filters, table);
+				var conditions = self.parse_filters(opt.filters, table);
 
 				if (conditions) {
 					$.each(conditions, function () { query.filter(this); });
@@ -538,10 +556,10 @@ botoweb.ldb = {
 			}
 
 			query.all(txn, function (txn, results) {
-				return botoweb.ldb.process_results(txn, results, opt);
+				return self.process_results(txn, results, opt);
 			});
 		});
-	},
+	};
 
 	/**
 	 * Selects a related record from the database based on an object and the
@@ -557,22 +575,22 @@ botoweb.ldb = {
 	 * @param {botoweb.Property} prop The property to follow.
 	 * @param {Object} opt Options.
 	 */
-	follow: function (obj, prop, opt) {
+	this.follow = function (obj, prop, opt) {
 		if (!opt) opt = {};
 
 		if (prop._type == 'query') {
 			// TODO follow reverse references
 		}
 
-		botoweb.ldb.dbh.transaction(function (txn) {
-			var model = botoweb.env.models[obj.model];
-			var table = botoweb.ldb.tables[botoweb.ldb.prop_to_table(model, prop)];
+		self.dbh.transaction(function (txn) {
+			var model = env.models[obj.model];
+			var table = self.tables[self.prop_to_table(model, prop)];
 
 			var query = new botoweb.sql.Query(table)
 				.filter(table.c.id.cmp(obj.properties[prop.name].id));
 
 			if (opt.filters) {
-				var conditions = botoweb.ldb.parse_filters(opt.filters, table);
+				var conditions = self.parse_filters(opt.filters, table);
 
 				if (conditions) {
 					$.each(conditions, function () { query.filter(this); });
@@ -580,10 +598,10 @@ botoweb.ldb = {
 			}
 
 			query.all(txn, function (txn, results) {
-				return botoweb.ldb.process_results(txn, results, opt);
+				return self.process_results(txn, results, opt);
 			});
 		});
-	},
+	};
 
 	/**
 	 * Converts DB results to botoweb objects.
@@ -592,7 +610,7 @@ botoweb.ldb = {
 	 * @param {[Object]} results An array of query results.
 	 * @param {Object} opt The options passed to the result retrieval method.
 	 */
-	process_results: function(results, opt) {
+	this.process_results = function (results, opt) {
 		// If there are no results, call a no_results fnc if provided
 		if (!results.length) {
 			if (opt.no_results)
@@ -605,7 +623,7 @@ botoweb.ldb = {
 			// TODO instantiate botoweb.Model from row
 			opt.success(results);
 		});
-	},
+	};
 
 	/**
 	 * Finds any properties which may be cached, according to the cache_props
@@ -613,21 +631,21 @@ botoweb.ldb = {
 	 *
 	 * @param {botoweb.Object} obj The object to cache
 	 */
-	cache_props: function (obj) {
-		if (botoweb.env.cfg.db.cache_props.length == 0 || !botoweb.ldb.dbh)
+	this.cache_props = function (obj) {
+		if (env.cfg.db.cache_props.length == 0 || !self.dbh)
 			return obj;
 
 		var columns = ['id'];
 		var bind_params = [obj.id];
 
-		$.each(botoweb.env.cfg.db.cache_props, function (i, p) {
+		$.each(env.cfg.db.cache_props, function (i, p) {
 			if (p in obj.data) {
 				columns.push('prop_' + p);
 				bind_params.push(obj.data[p].toString());
 			}
 		});
 
-		botoweb.ldb.dbh.transaction(function (txn) {
+		self.dbh.transaction(function (txn) {
 			txn.executeSql( "INSERT OR REPLACE INTO meta_cache_props" +
 				' (' + columns.join(', ') + ')' +
 				' VALUES (' + $.map(bind_params, function() { return '?' }).join(', ') + ')',
@@ -638,7 +656,7 @@ botoweb.ldb = {
 		});
 
 		return obj;
-	},
+	};
 
 	/**
 	 * Finds any properties which may be cached, according to the cache_props
@@ -646,19 +664,19 @@ botoweb.ldb = {
 	 *
 	 * @param {botoweb.Object} obj The object to cache
 	 */
-	get_cached_props: function (model, id, fnc) {
-		if (botoweb.env.cfg.db.cache_props.length == 0 || !botoweb.ldb.dbh)
+	this.get_cached_props = function (model, id, fnc) {
+		if (env.cfg.db.cache_props.length == 0 || !self.dbh)
 			return [];
 
 		var props = {};
 
-		$.each(botoweb.env.cfg.db.cache_props, function (i, p) {
+		$.each(env.cfg.db.cache_props, function (i, p) {
 			if (p in model.prop_map) {
 				props[p] = [];
 			}
 		});
 
-		botoweb.ldb.dbh.transaction(function (txn) {
+		self.dbh.transaction(function (txn) {
 			txn.executeSql( "SELECT * FROM meta_cache_props WHERE " +
 				' id = ?',
 				[id],
@@ -686,5 +704,65 @@ botoweb.ldb = {
 				}
 			);
 		});
-	}
+	};
+
+	/**
+	 * Opens the database with the settings in env.cfg.db, then sends the
+	 * changes waiting in the outbox and keeps the db.sync_models of the
+	 * environment up to date. botoweb.init starts the database of the
+	 * default environment, other environments need a db.name of their own.
+	 *
+	 * @param {Function} ready Optional, called once the database is open.
+	 * @param {Function} error Optional, called with a message if the
+	 * database cannot be opened.
+	 */
+	this.start = function (ready, error) {
+		self.name = env.cfg.db.name;
+		self.title = env.cfg.db.title;
+		self.size_mb = env.cfg.db.size_mb;
+		self.version = env.version;
+
+		// Prepare the database according to the environment settings
+		self.prepare(function (db) {
+			if (ready)
+				ready(db);
+
+			// Sync must not overwrite objects with changes made offline, so
+			// it waits until the outbox knows them
+			var outbox = (self.outbox) ? self.outbox.load() : Promise.resolve();
+
+			outbox.then(null, function (e) {
+				console.error(e);
+			}).then(function () {
+				// Send any changes which were made offline
+				if (self.outbox)
+					self.outbox.replay().then(null, function () { });
+
+				self.sync.update();
+				self.sync.verify();
+
+				// Update the local database every 2 minutes
+				setInterval(self.sync.update, 2 * 60 * 1000);
+
+				// Verify that local data has not been lost
+				setInterval(self.sync.verify, 5 * 60 * 1000);
+
+				setInterval(self.sync.heartbeat, 5 * 1000);
+			});
+		}, function (msg) {
+			if (error)
+				error(msg);
+		});
+	};
+
+	/**
+	 * Keeps the tables up to date with the server, see botoweb.LocalDB.Sync.
+	 */
+	this.sync = new botoweb.LocalDB.Sync(this);
+
+	/**
+	 * Keeps changes which could not be sent, see botoweb.LocalDB.Outbox.
+	 * Null unless ldb/outbox.js is loaded.
+	 */
+	this.outbox = (botoweb.LocalDB.Outbox) ? new botoweb.LocalDB.Outbox(this) : null;
 };
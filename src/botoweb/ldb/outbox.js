@@ -0,0 +1,536 @@
+/**
+ * Keeps saves and deletes of local models which cannot reach botoweb, so that
+ * changes made offline are not lost. Each change is stored in the _outbox
+ * table of the local database and applied to the local tables right away,
+ * then sent in order once the connection returns.
+ *
+ * Each local database has its own outbox, such as botoweb.ldb.outbox. Events
+ * are triggered on the outbox:
+ * * change - the outbox changed, receives {pending, conflict, failed}
+ * * replay - a change was sent, receives {item, ok, value, error}
+ * * end - a replay finished, receives every result
+ */
+(function ($) {
+
+/**
+ * The outbox of a local database, see botoweb.LocalDB.
+ *
+ * @param {botoweb.LocalDB} ldb The local database.
+ */
+botoweb.LocalDB.Outbox = function (ldb) {
+	var $outbox = this;
+	var retry_timer = null;
+
+	/**
+	 * The changes in the outbox, oldest first. Each has seq, method, url,
+	 * model, id, data, etag and modstamp (of the object as it was loaded,
+	 * checked before the change is sent), created, status (pending, conflict
+	 * or failed) and error.
+	 */
+	this.items = [];
+
+	/**
+	 * Conflict errors found by the last replay by seq, see
+	 * botoweb.Object.conflict.
+	 */
+	this.conflicts = {};
+
+	/**
+	 * The Promise of the replay in progress, if any.
+	 */
+	this.replaying = null;
+
+	/**
+	 * When a replay cannot reach botoweb it is tried again after base_delay
+	 * ms, each further attempt waiting factor times longer up to max_delay.
+	 * The browser may stay online while the server is down, so the online
+	 * event alone is not enough.
+	 */
+	this.retry = { base_delay: 5 * 1000, factor: 2, max_delay: 5 * 60 * 1000 };
+
+	/**
+	 * The number of replays in a row which could not reach botoweb.
+	 */
+	this.failures = 0;
+
+	/**
+	 * Creates the outbox table, called by botoweb.LocalDB.prepare. Tables
+	 * whose names start with _ are kept when the API version changes, so
+	 * waiting changes survive an upgrade.
+	 */
+	this.create_table = function (txn) {
+		txn.executeSql(
+			'CREATE TABLE IF NOT EXISTS _outbox' +
+			' (seq INTEGER PRIMARY KEY AUTOINCREMENT, method TEXT, url TEXT, model TEXT, obj_id TEXT,' +
+			' data TEXT, etag TEXT, modstamp TEXT, created INTEGER, status TEXT, error TEXT)'
+		);
+
+		// Outboxes created before modstamps were kept, the error only means
+		// that the column exists already
+		txn.executeSql('ALTER TABLE _outbox ADD COLUMN modstamp TEXT', [], null, function () {
+			return false;
+		});
+	};
+
+	/**
+	 * @return True if changes to the URL may be kept in the outbox, which is
+	 * the case for local models of the environment of the database unless
+	 * opt.no_outbox is set.
+	 */
+	this.accepts = function (url, opt) {
+		if ((opt && opt.no_outbox) || !ldb.dbh || !ldb.env.cfg.db.outbox)
+			return false;
+
+		var model = botoweb.ajax.cache.model_for(url);
+
+		return !!(model && model.local && model.env === ldb.env);
+	};
+
+	/**
+	 * @return True if a change to the URL must wait in the outbox, because
+	 * the browser is offline or an earlier change to the same object is
+	 * still waiting.
+	 */
+	this.waiting = function (url) {
+		if (typeof navigator != 'undefined' && navigator.onLine === false)
+			return true;
+
+		return $outbox.holds($outbox.id_for(url));
+	};
+
+	/**
+	 * @return True if a change to the object is waiting to be sent, or is
+	 * in conflict until the user resolves it.
+	 */
+	this.holds = function (id) {
+		var found = false;
+
+		$.each($outbox.items, function () {
+			if (this.id == id && (this.status == 'pending' || this.status == 'conflict')) {
+				found = true;
+				return false;
+			}
+		});
+
+		return found;
+	};
+
+	/**
+	 * @return The id of the object at the URL, or null for a model URL.
+	 */
+	this.id_for = function (url) {
+		var model = botoweb.ajax.cache.model_for(url);
+
+		if (!model)
+			return null;
+
+		var base = $util.url_join(ldb.env.base_url, model.href);
+
+		return url.substring(base.length + 1).split('?')[0] || null;
+	};
+
+	/**
+	 * @return The number of changes in each status.
+	 */
+	this.stats = function () {
+		var stats = { pending: 0, conflict: 0, failed: 0 };
+
+		$.each($outbox.items, function () {
+			stats[this.status]++;
+		});
+
+		return stats;
+	};
+
+	/**
+	 * Stores a change and applies it to the local database. New objects are
+	 * given a temporary id until botoweb assigns one.
+	 *
+	 * @param {Object} req The method, url, data (as for botoweb.save), and
+	 * the etag or modstamp which the object must still have on the server.
+	 * @return A Promise which resolves with the updated object, or true for
+	 * a delete.
+	 */
+	this.add = function (req) {
+		var model = botoweb.ajax.cache.model_for(req.url);
+
+		var item = {
+			method: req.method,
+			url: req.url,
+			model: model.name,
+			id: $outbox.id_for(req.url) || $util.uuid(),
+			data: req.data || null,
+			etag: req.etag || null,
+			modstamp: req.modstamp || null,
+			created: new Date().valueOf(),
+			status: 'pending',
+			error: ''
+		};
+
+		return execute(
+			'INSERT INTO _outbox (method, url, model, obj_id, data, etag, modstamp, created, status, error)' +
+			' VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+			[item.method, item.url, item.model, item.id, JSON.stringify(item.data), item.etag, item.modstamp, item.created, item.status, item.error]
+		).then(function (results) {
+			item.seq = results.insertId;
+			$outbox.items.push(item);
+			changed();
+
+			return $outbox.apply(item);
+		});
+	};
+
+	/**
+	 * Applies a change to the local database as if botoweb had accepted it.
+	 * Updated objects are marked pending.
+	 *
+	 * @return A Promise which resolves with the updated object, or true for
+	 * a delete.
+	 */
+	this.apply = function (item) {
+		var model = ldb.env.models[item.model];
+
+		if (item.method == 'DELETE') {
+			delete model.objs[item.id];
+			delete model.dummy_objs[item.id];
+
+			return process([placeholder(model, item.id)], { trash: true, outbox: true }).then(function () {
+				return true;
+			});
+		}
+
+		var existing = (item.method == 'POST') ? Promise.resolve() : model.get(item.id);
+
+		return existing.then(null, function () { }).then(function (existing) {
+			var data = $.extend({}, existing && existing.data);
+
+			$.each(item.data || {}, function (name, val) {
+				if (name in model.prop_map)
+					data[name] = new model.prop_map[name].instance(val);
+			});
+
+			var obj = new botoweb.Object(item.id, model, data);
+
+			obj.pending = true;
+			obj.etag = existing && existing.etag;
+
+			return process([obj], { outbox: true }).then(function () {
+				return obj;
+			});
+		});
+	};
+
+	/**
+	 * Reloads the outbox from the local database.
+	 *
+	 * @return A Promise which resolves with the items.
+	 */
+	this.load = function () {
+		return execute('SELECT * FROM _outbox ORDER BY seq', []).then(function (results) {
+			var items = [];
+
+			for (var i = 0; i < results.rows.length; i++) {
+				var row = results.rows.item(i);
+
+				items.push({
+					seq: row.seq,
+					method: row.method,
+					url: row.url,
+					model: row.model,
+					id: row.obj_id,
+					data: JSON.parse(row.data),
+					etag: row.etag,
+					modstamp: row.modstamp || null,
+					created: row.created,
+					status: row.status,
+					error: row.error
+				});
+			}
+
+			$outbox.items = items;
+			changed();
+
+			return items;
+		});
+	};
+
+	/**
+	 * Sends the waiting changes in order. Stops at the first change which
+	 * cannot reach botoweb, the rest stay in the outbox. Changes which fail
+	 * are kept with a conflict or failed status and are not sent again until
+	 * the user discards them. Later changes to an object in conflict wait
+	 * until the conflict is resolved.
+	 *
+	 * @return A Promise which resolves with a result per change sent, each
+	 * with item, ok and value or error.
+	 */
+	this.replay = function () {
+		if ($outbox.replaying)
+			return $outbox.replaying;
+
+		clearTimeout(retry_timer);
+		retry_timer = null;
+
+		var results = [];
+		var offline = false;
+		var last = 0;
+
+		var next = function (queue, i) {
+			if (offline || i >= queue.length)
+				return results;
+
+			return $outbox.send(queue[i]).then(function (result) {
+				offline = !result.ok && !result.error.status;
+				results.push(result);
+
+				$($outbox).triggerHandler('replay', [result]);
+
+				return next(queue, i + 1);
+			});
+		};
+
+		var p = $outbox.replaying = $outbox.load().then(function (items) {
+			var conflicts = {};
+
+			var queue = $.grep(items, function (item) {
+				if (item.status == 'conflict')
+					conflicts[item.id] = true;
+
+				return item.status == 'pending' && !conflicts[item.id];
+			});
+
+			if (queue.length)
+				last = queue[queue.length - 1].seq;
+
+			return next(queue, 0);
+		});
+
+		return p.then(function (results) {
+			$outbox.replaying = null;
+
+			$($outbox).triggerHandler('end', [results]);
+
+			// Send anything added while replaying
+			var added = $.grep($outbox.items, function (item) {
+				return item.seq > last && item.status == 'pending';
+			});
+
+			if (offline)
+				retry();
+			else {
+				$outbox.failures = 0;
+
+				if (added.length)
+					$outbox.replay();
+			}
+
+			return results;
+		}, function (e) {
+			$outbox.replaying = null;
+			retry();
+			throw e;
+		});
+	};
+
+	/**
+	 * Sends one change to botoweb and removes it from the outbox if it is
+	 * accepted. The change fails with a conflict if the object was changed
+	 * on the server since it was loaded, checked by the ETag of the change
+	 * or otherwise its modstamp.
+	 *
+	 * @return A Promise which resolves with {item, ok, value, error}.
+	 */
+	this.send = function (item) {
+		var model = ldb.env.models[item.model];
+		var opt = { silent: true, no_ldb: true, no_outbox: true };
+
+		var p = precondition(item, model).then(function () {
+			if (item.method == 'DELETE')
+				return botoweb.del(item.url, null, opt);
+
+			return botoweb.save(item.url, item.model, $.extend({}, item.data), item.method, null, $.extend(opt, { etag: item.etag }));
+		});
+
+		return p.then(function (value) {
+			return remove(item).then(function () {
+				if (item.method == 'DELETE')
+					return;
+
+				// Replace the temporary id of a new object
+				if (item.method == 'POST' && value && value.id != item.id) {
+					delete model.objs[item.id];
+
+					return rename(item.id, value.id).then(function () {
+						return process([placeholder(model, item.id)], { trash: true, outbox: true });
+					});
+				}
+			}).then(function () {
+				// Later changes to the object would be lost if it were
+				// replaced by this version
+				if (value && value.id && !$outbox.holds(value.id))
+					return process([value]);
+			}).then(function () {
+				return { item: item, ok: true, value: value };
+			});
+		}, function (e) {
+			if (!e.status)
+				return { item: item, ok: false, error: e };
+
+			if (e.status != 412)
+				return mark(item, 'failed', e.message).then(function () {
+					return { item: item, ok: false, error: e };
+				});
+
+			var local = model.objs[item.id] || placeholder(model, item.id);
+
+			return botoweb.get_by_id($util.url_join(ldb.env.base_url, model.href), item.id, null, { no_cache: true }).then(null, function () { }).then(function (remote) {
+				var error = $outbox.conflicts[item.seq] = local.conflict(e, item.data || {}, remote);
+
+				return mark(item, 'conflict', e.message).then(function () {
+					return { item: item, ok: false, error: error };
+				});
+			});
+		});
+	};
+
+	/**
+	 * Removes a change from the outbox without sending it, and restores the
+	 * server copy of the object in the local database.
+	 *
+	 * @param {Integer} seq The seq of the change.
+	 * @return A Promise which resolves once the change is removed.
+	 */
+	this.discard = function (seq) {
+		var item = $.grep($outbox.items, function (item) {
+			return item.seq == seq;
+		})[0];
+
+		if (!item)
+			return Promise.resolve();
+
+		var model = ldb.env.models[item.model];
+
+		delete $outbox.conflicts[seq];
+
+		return remove(item).then(function () {
+			if ($outbox.holds(item.id))
+				return;
+
+			delete model.objs[item.id];
+
+			if (item.method == 'POST')
+				return process([placeholder(model, item.id)], { trash: true });
+
+			return botoweb.get_by_id($util.url_join(ldb.env.base_url, model.href), item.id, null, { no_cache: true }).then(function (remote) {
+				if (remote)
+					return process([remote]);
+
+				return process([placeholder(model, item.id)], { trash: true });
+			});
+		});
+	};
+
+	// Replays again later, see retry
+	function retry () {
+		var delay = Math.min($outbox.retry.base_delay * Math.pow($outbox.retry.factor, $outbox.failures), $outbox.retry.max_delay);
+
+		$outbox.failures++;
+
+		clearTimeout(retry_timer);
+		retry_timer = setTimeout(function () {
+			retry_timer = null;
+
+			if (ldb.dbh)
+				$outbox.replay();
+		}, delay);
+	}
+
+	// Without an ETag, compares the modstamp the change was made on with the
+	// server copy, rejecting with a 412 as botoweb would for If-Match
+	function precondition (item, model) {
+		if (item.method == 'POST' || item.etag || !item.modstamp)
+			return Promise.resolve();
+
+		return botoweb.get_by_id($util.url_join(ldb.env.base_url, model.href), item.id, null, { no_cache: true }).then(function (remote) {
+			if (remote && remote.modstamp() > item.modstamp)
+				throw new botoweb.Error(item.model + ' ' + item.id + ' was changed by someone else', {
+					status: 412,
+					statusText: 'Precondition Failed',
+					request: { method: item.method, url: item.url }
+				});
+		}, function (e) {
+			// Offline, or let the change itself report what went wrong
+			if (!e.status)
+				throw e;
+		});
+	}
+
+	// Runs a statement in its own transaction
+	function execute (sql, params) {
+		return new Promise(function (resolve, reject) {
+			ldb.dbh.transaction(function (txn) {
+				txn.executeSql(sql, params, function (txn, results) {
+					resolve(results);
+				}, function (txn, e) {
+					reject(new Error('Local DB outbox failed: ' + (e && e.message)));
+				});
+			});
+		});
+	}
+
+	// Writes objects to the local tables, see botoweb.LocalDB.Sync.process
+	function process (objs, opt) {
+		return new Promise(function (resolve) {
+			ldb.sync.process(objs, null, null, resolve, opt);
+		});
+	}
+
+	// An uncached object with no data, for removing rows from the local tables
+	function placeholder (model, id) {
+		return new botoweb.Object(id, model, null, { no_cache: true });
+	}
+
+	function remove (item) {
+		return execute('DELETE FROM _outbox WHERE seq = ?', [item.seq]).then(function () {
+			$outbox.items = $.grep($outbox.items, function (i) {
+				return i !== item;
+			});
+
+			changed();
+		});
+	}
+
+	function mark (item, status, error) {
+		return execute('UPDATE _outbox SET status = ?, error = ? WHERE seq = ?', [status, error, item.seq]).then(function () {
+			item.status = status;
+			item.error = error;
+
+			changed();
+		});
+	}
+
+	// Points later changes to a new object at the id botoweb gave it
+	function rename (old_id, new_id) {
+		return execute('UPDATE _outbox SET obj_id = ?, url = replace(url, ?, ?) WHERE obj_id = ?', [new_id, old_id, new_id, old_id]).then(function () {
+			$.each($outbox.items, function () {
+				if (this.id == old_id) {
+					this.id = new_id;
+					this.url = this.url.replace(old_id, new_id);
+				}
+			});
+		});
+	}
+
+	function changed () {
+		$($outbox).triggerHandler('change', [$outbox.stats()]);
+	}
+
+	$(window).bind('online', function () {
+		if (ldb.dbh)
+			$outbox.replay();
+	});
+};
+
+var $util = botoweb.util;
+
+})(jQuery);
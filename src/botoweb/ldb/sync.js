@@ -3,19 +3,27 @@
  *
  * @author Ian Paterson
  */
-botoweb.ldb.sync = {
+
+/**
+ * Keeps the tables of a local database up to date, see botoweb.LocalDB.
+ *
+ * @param {botoweb.LocalDB} ldb The local database.
+ */
+botoweb.LocalDB.Sync = function (ldb) {
+	var self = this;
+
 	/**
 	 * The total number of records which have been updated so far.
 	 */
-	task_processed: 0,
+	this.task_processed = 0;
 	/**
 	 * The total number of records which are set to update.
 	 */
-	task_total: 0,
-	running: false,
-	update_queue: [],
-	refresh_queue: [],
-	first_sync: true,
+	this.task_total = 0;
+	this.running = false;
+	this.update_queue = [];
+	this.refresh_queue = [];
+	this.first_sync = true;
 
 	/**
 	 * Updates the local database by querying a model for recently updated
@@ -29,24 +37,27 @@ botoweb.ldb.sync = {
 	 * @param {Boolean} refresh If true, fetches all records regardless of
 	 * update timestamps.
 	 */
-	update: function(models, opt) {
-		if (!botoweb.ldb.dbh)
-			return $(this).trigger('end');
+	this.update = function (models, opt) {
+		if (!ldb.dbh)
+			return $(self).trigger('end');
+
+		// Wait for the user to log back in, the next interval will resume
+		if (botoweb.auth && botoweb.auth.session(ldb.env).expired)
+			return;
 
 		opt = opt || {};
-		var self = botoweb.ldb.sync;
 
 		var now = new Date().valueOf();
 
 		// Only allow one tab to sync
-		if (localStorage.sync_app && localStorage.sync_app != botoweb.uuid && localStorage.sync_app_timeout > now) {
+		if (localStorage[key_for('sync_app')] && localStorage[key_for('sync_app')] != botoweb.uuid && localStorage[key_for('sync_app_timeout')] > now) {
 			console.log('Another tab is synchronizing.');
 			return;
 		}
 
 		// Take control of the sync_app lock
-		localStorage.setItem('sync_app', botoweb.uuid);
-		localStorage.setItem('sync_app_timeout', now + 8 * 1000);
+		localStorage.setItem(key_for('sync_app'), botoweb.uuid);
+		localStorage.setItem(key_for('sync_app_timeout'), now + 8 * 1000);
 
 		if (self.running)
 			return;
@@ -54,14 +65,14 @@ botoweb.ldb.sync = {
 		// sync_model is set when a model is being synced. If the page is
 		// refreshed while the update is running, this ensures that the sync
 		// continues right away
-		if (localStorage.sync_model) {
-			self.update_queue.push(botoweb.env.models[localStorage.sync_model]);
+		if (localStorage[key_for('sync_model')]) {
+			self.update_queue.push(ldb.env.models[localStorage[key_for('sync_model')]]);
 		}
 
 		self.find_local_models();
 
 		if (!models)
-			models = botoweb.env.cfg.db.sync_models;
+			models = ldb.env.cfg.db.sync_models;
 
 		if (!$.isArray(models))
 			models = [models];
@@ -74,7 +85,7 @@ botoweb.ldb.sync = {
 		});
 
 		self.next_update();
-	},
+	};
 
 	/**
 	 * Allows a single tab to lock sync priveleges. Called at a short interval
@@ -82,19 +93,19 @@ botoweb.ldb.sync = {
 	 * soon as another tab loses control to ensure that any partial syncs are
 	 * completed.
 	 */
-	heartbeat: function () {
+	this.heartbeat = function () {
 		var now = new Date().valueOf();
 
 		// Update my timeout
-		if (localStorage.sync_app == botoweb.uuid) {
-			localStorage.setItem('sync_app_timeout', now + 8 * 1000);
+		if (localStorage[key_for('sync_app')] == botoweb.uuid) {
+			localStorage.setItem(key_for('sync_app_timeout'), now + 8 * 1000);
 		}
 		// Take control
-		else if (localStorage.sync_app && localStorage.sync_app != botoweb.uuid && localStorage.sync_app_timeout <= now) {
-			botoweb.ldb.sync.update();
-			botoweb.ldb.sync.verify();
+		else if (localStorage[key_for('sync_app')] && localStorage[key_for('sync_app')] != botoweb.uuid && localStorage[key_for('sync_app_timeout')] <= now) {
+			self.update();
+			self.verify();
 		}
-	},
+	};
 
 	/**
 	 * Checks the record count in the local database against the object count in
@@ -102,16 +113,19 @@ botoweb.ldb.sync = {
 	 * variance. If the local data appears to be tampered with the corresponding
 	 * tables are reset.
 	 */
-	verify: function () {
+	this.verify = function () {
+		if (botoweb.auth && botoweb.auth.session(ldb.env).expired)
+			return;
+
 		// Only allow synching tab to verify data
-		if (localStorage.sync_app && localStorage.sync_app != botoweb.uuid && localStorage.sync_app_timeout > new Date().valueOf())
+		if (localStorage[key_for('sync_app')] && localStorage[key_for('sync_app')] != botoweb.uuid && localStorage[key_for('sync_app_timeout')] > new Date().valueOf())
 			return;
 
-		$.each(botoweb.env.models, function(i, model) {
+		$.each(ldb.env.models, function(i, model) {
 			// This also takes care of the obvious problem if we tried to verify
 			// counts while a model was synchronizing. Synchronizing models are
-			// marked as not local. On page load, botoweb.ldb.sync.update MUST
-			// be called before verify.
+			// marked as not local. On page load, update MUST be called
+			// before verify.
 			if (!model.local)
 				return;
 
@@ -125,7 +139,7 @@ botoweb.ldb.sync = {
 					console.warn(model.name + ' may be corrupted, will be repaired. Found ' + remote + ' remote and ' + local + ' local records.');
 
 					// Drop tables and mark model for re-synching.
-					botoweb.ldb.sync.reset(model.name);
+					self.reset(model.name);
 				}
 			};
 
@@ -135,7 +149,7 @@ botoweb.ldb.sync = {
 					compare_counts(num_local, remote);
 				else
 					num_remote = remote;
-			}, { no_ldb: true });
+			}, { no_ldb: true, lane: 'sync' });
 
 			// Count exact number of records in local DB
 			model.count([], function (local) {
@@ -145,7 +159,7 @@ botoweb.ldb.sync = {
 					num_local = local;
 			});
 		});
-	},
+	};
 
 	/**
 	 * Inspects the update and refresh queues to choose the next update to run.
@@ -153,8 +167,7 @@ botoweb.ldb.sync = {
 	 * these generally take longer and will be run when the update queue is
 	 * empty.
 	 */
-	next_update: function() {
-		var self = botoweb.ldb.sync;
+	this.next_update = function () {
 		var model;
 		var refresh = false;
 
@@ -173,8 +186,8 @@ botoweb.ldb.sync = {
 			// The UI code can establish a listener for the end event
 			self.running = false;
 
-			delete localStorage.sync_app;
-			delete localStorage.sync_app_timeout;
+			delete localStorage[key_for('sync_app')];
+			delete localStorage[key_for('sync_app_timeout')];
 
 			$(self).trigger('end');
 
@@ -187,18 +200,18 @@ botoweb.ldb.sync = {
 			self.running = true;
 
 		if (!model.name)
-			model = botoweb.env.models[model];
+			model = ldb.env.models[model];
 
 		if (!model || !model.name) {
 			console.warn('Cannot sync unknown model: ' + model_name);
-			return botoweb.ldb.sync.next_update();
+			return self.next_update();
 		}
 
 		// Clear the table for a full refresh to ensure that deleted items are
 		// deleted locally as well.
 		if (refresh) {
-			botoweb.ldb.dbh.transaction(function (txn) {
-				botoweb.ldb.tables[model.name].__empty(txn);
+			ldb.dbh.transaction(function (txn) {
+				ldb.tables[model.name].__empty(txn);
 			}, function () { });
 		}
 
@@ -208,46 +221,58 @@ botoweb.ldb.sync = {
 
 		// Next time, find any updates within 60 seconds of the current time
 		// just in case we missed something new this time. In case the client's
-		// time is considerably different than the server time, we add the
-		// time_delta which is calculated when the API is loaded.
-		var recent_date = new Date(new Date().valueOf() - 60000 + botoweb.env.cfg.time_delta);
+		// time is considerably different than the server time, we use the
+		// server time estimated by botoweb.clock.
+		var recent_date = new Date(botoweb.clock.now(ldb.env).valueOf() - 60000);
 
 		var timestamp = botoweb.util.timestamp(recent_date);
 
 		var options = {
 			no_ldb: true,
 			no_cache: true,
-			refresh: refresh
+			refresh: refresh,
+			pages: true,
+			// Yield to requests the user is waiting for
+			lane: 'sync'
 		};
-		var processor = self.process;
+		var trash = (self.update_model.name == 'Trash');
 
-		if (self.update_model.name == 'Trash') {
+		if (trash)
 			options.minimal_parse = true;
-			processor = self.process_trash;
-		}
+
+		var store_opt = {
+			refresh: refresh,
+			trash: trash,
+			model: model,
+			last_update: localStorage[key_for('last_update_' + model.name)]
+		};
+
+		var run = function (filters) {
+			self.store_pages(model.iterate(filters, options), store_opt);
+		};
 
 		console.log("=====> " + model.name + " <=====");
 		console.log("Refresh: " + refresh);
 
 		if (refresh) {
 			if ('sys_modstamp' in model.prop_map)
-				model.find({sort_by: 'sys_modstamp'}, processor, options);
+				run({sort_by: 'sys_modstamp'});
 			else
-				model.all(processor, options);
+				run([]);
 		}
 
 		// Some models are not local because they do not store any data (i.e.
 		// a Trash object or a base class from which other objects canbe queried)
 		else if (!model.has_local_data) {
-			if (localStorage['last_update_' + model.name]) {
-				console.log("last_update: " + localStorage['last_update_' + model.name]);
+			if (localStorage[key_for('last_update_' + model.name)]) {
+				console.log("last_update: " + localStorage[key_for('last_update_' + model.name)]);
 
-				model.query([['sys_modstamp', '>=', localStorage['last_update_' + model.name]], ['sys_modstamp', 'sort', 'asc']], processor, options);
+				run([['sys_modstamp', '>=', localStorage[key_for('last_update_' + model.name)]], ['sys_modstamp', 'sort', 'asc']]);
 			} else {
 				if ('sys_modstamp' in model.prop_map)
-					model.find({sort_by: 'sys_modstamp'}, processor, options);
+					run({sort_by: 'sys_modstamp'});
 				else
-					model.all(processor, options);
+					run([]);
 			}
 		}
 
@@ -255,22 +280,22 @@ botoweb.ldb.sync = {
 		// actual data for the most recently updated item rather than the most
 		// recent update.
 		else {
-			botoweb.ldb.dbh.transaction(function (txn) {
+			ldb.dbh.transaction(function (txn) {
 				txn.executeSql(
-					'SELECT MAX(prop_sys_modstamp) AS last_update FROM ' + botoweb.ldb.model_to_table(model),
+					'SELECT MAX(prop_sys_modstamp) AS last_update FROM ' + ldb.model_to_table(model),
 					[],
 					function (txn, results) {
 						if (results.rows.length && results.rows.item(0).last_update) {
 							var last_update = results.rows.item(0).last_update;
 							console.log("last_update: " + last_update);
 
-							model.query([['sys_modstamp', '>=', last_update], ['sys_modstamp', 'sort', 'asc']], processor, options);
+							run([['sys_modstamp', '>=', last_update], ['sys_modstamp', 'sort', 'asc']]);
 						}
 						else
-							model.find({sort_by: 'sys_modstamp'}, processor, options);
+							run({sort_by: 'sys_modstamp'});
 					},
 					function () {
-						model.find({sort_by: 'sys_modstamp'}, processor, options);
+						run({sort_by: 'sys_modstamp'});
 					}
 				);
 			});
@@ -279,8 +304,49 @@ botoweb.ldb.sync = {
 		// Although we may fetch multiple pages of results, these results are a
 		// snapshot of the current state, so the update time is now, not when
 		// the query ends.
-		localStorage.setItem('last_update_' + model.name, timestamp);
-	},
+		localStorage.setItem(key_for('last_update_' + model.name), timestamp);
+	};
+
+	/**
+	 * Stores the pages of an update (see botoweb.Model.iterate) with process,
+	 * one after another, then runs the next queued update. A page is only
+	 * requested once the previous one has been stored. If a page fails, the
+	 * update stops there and the last update time of the model is restored
+	 * so that the missed changes are fetched next time.
+	 *
+	 * @param {Object} pages The async iterable of pages.
+	 * @param {Object} opt Options for process, plus model and last_update.
+	 */
+	this.store_pages = function (pages, opt) {
+		var page = 0;
+
+		var finish = function () {
+			// Delete key to avoid running the update again on refresh
+			delete localStorage[key_for('sync_model')];
+
+			setTimeout(self.next_update, 500);
+		};
+
+		var next = function () {
+			pages.next().then(function (step) {
+				if (step.done)
+					return finish();
+
+				self.process(step.value, page++, pages.count, next, opt);
+			}, function (e) {
+				console.error('Sync of ' + opt.model.name + ' failed: ' + (e && e.message));
+
+				if (opt.last_update)
+					localStorage.setItem(key_for('last_update_' + opt.model.name), opt.last_update);
+				else
+					delete localStorage[key_for('last_update_' + opt.model.name)];
+
+				finish();
+			});
+		};
+
+		next();
+	};
 
 	/**
 	 * Tries to select a single result from every model table. If the result is
@@ -288,14 +354,14 @@ botoweb.ldb.sync = {
 	 * callback can be provided to ensure that all tables are tested before
 	 * moving on.
 	 */
-	find_local_models: function (fnc) {
-		botoweb.ldb.dbh.transaction(function (txn) {
+	this.find_local_models = function (fnc) {
+		ldb.dbh.transaction(function (txn) {
 			var completed = 0;
 			var total = 0;
 
-			$.each(botoweb.env.models, function (i, model) {
+			$.each(ldb.env.models, function (i, model) {
 				total++;
-				txn.executeSql('SELECT 1 FROM ' + botoweb.ldb.model_to_table(model) + ' LIMIT 1', [], function (txn, results) {
+				txn.executeSql('SELECT 1 FROM ' + ldb.model_to_table(model) + ' LIMIT 1', [], function (txn, results) {
 					completed++;
 
 					// The table is local if it has results, as long as it is
@@ -303,7 +369,7 @@ botoweb.ldb.sync = {
 					// incomplete portion of the results.
 					if (results.rows.length) {
 						// Model is not truly local if it is still syncing.
-						if (model.name != localStorage.sync_model)
+						if (model.name != localStorage[key_for('sync_model')])
 							model.local = true;
 
 						// But we still need to know if it had local data
@@ -322,35 +388,35 @@ botoweb.ldb.sync = {
 				})
 			});
 		});
-	},
+	};
 
 	/**
 	 * Drops all tables in the database, creates a fresh schema, then does a
 	 * full update. Use with caution, this will take a long time to run! If the
 	 * optional model_name is provided, resets only that model.
 	 */
-	reset: function(model_name) {
-		var db = botoweb.ldb.dbh;
+	this.reset = function (model_name) {
+		var db = ldb.dbh;
 
 		if (model_name) {
-			var model = botoweb.env.models[model_name];
+			var model = ldb.env.models[model_name];
 			model.local = false;
 
 			db.transaction(function (txn) {
-				botoweb.ldb.tables[model_name].__drop(txn);
+				ldb.tables[model_name].__drop(txn);
 
 				// Drop any tables for this model's properties
 				$.each(model.props, function () {
 					if (this.is_type('list', 'complexType')) {
-						botoweb.ldb.tables[botoweb.ldb.prop_to_table(this)].__drop(txn);
+						ldb.tables[ldb.prop_to_table(this)].__drop(txn);
 					}
 				});
 			});
 
-			localStorage.setItem('last_update_' + model_name, '');
+			localStorage.setItem(key_for('last_update_' + model_name), '');
 		}
 		else {
-			$.each(botoweb.ldb.tables, function(i, table) {
+			$.each(ldb.tables, function(i, table) {
 				table.model.local = false;
 				db.transaction(function (txn) {
 					table.__drop(txn);
@@ -358,19 +424,19 @@ botoweb.ldb.sync = {
 			});
 
 			for (var key in localStorage) {
-				if (key.indexOf('last_update') == 0)
+				if (key.indexOf(key_for('last_update')) == 0)
 					localStorage.setItem(key, '');
 			}
 		}
 
 		self.first_sync = false;
 
-		botoweb.ldb.prepare(function() {
-			botoweb.ldb.sync.update();
+		ldb.prepare(function() {
+			self.update();
 		}, function (e) {
 			console.error(e);
 		});
-	},
+	};
 
 	/**
 	 * Processes sync results by updating or inserting corresponding records in
@@ -379,7 +445,7 @@ botoweb.ldb.sync = {
 	 * table and then inserting anything in the object properties, to ensure
 	 * that old data is not retained.
 	 *
-	 * This method triggers several events on botoweb.ldb.sync and the UI may
+	 * This method triggers several events on the sync and the UI may
 	 * bind listening functions to those events. The events are "begin" when
 	 * the first page of results loads, "change" when each page of results is
 	 * finished (useful for a progress bar), and "end" when all results have
@@ -389,9 +455,8 @@ botoweb.ldb.sync = {
 	 * @param {Integer} page The current results page.
 	 * @param {Integer} total_count The total results count.
 	 */
-	process: function (results, page, total_count, next_page, opt) {
+	this.process = function (results, page, total_count, next_page, opt) {
 		opt = opt || {};
-		var self = botoweb.ldb.sync;
 
 		if (page == 0) {
 			self.task_total += 1 * total_count;
@@ -412,16 +477,21 @@ botoweb.ldb.sync = {
 		// before Local DB processing to allow foreground processing.
 		setTimeout(function () {
 			if (results.length && self.update_model) {
-				localStorage.setItem('sync_model', self.update_model.name);
+				localStorage.setItem(key_for('sync_model'), self.update_model.name);
 			}
 
-			botoweb.ldb.dbh.transaction(function (txn) {
+			ldb.dbh.transaction(function (txn) {
 				$.each(results, function(i, obj) {
-					var db = botoweb.ldb.dbh;
+					var db = ldb.dbh;
 					var bind_params = [obj.id];
 					var model = obj.model;
 					var column_names = [];
 
+					// Changes waiting in the outbox must not be overwritten
+					// until they are sent, see botoweb.LocalDB.Outbox
+					if (!opt.outbox && ldb.outbox && ldb.outbox.holds(obj.id))
+						return;
+
 					// Update any cached versions of this object
 					if (obj.id in model.objs) {
 						if (opt.trash)
@@ -444,7 +514,7 @@ botoweb.ldb.sync = {
 							return;
 						else if (this.is_type('list', 'complexType')) {
 							txn.executeSql(
-								'DELETE FROM ' + botoweb.ldb.prop_to_table(model_prop) +
+								'DELETE FROM ' + ldb.prop_to_table(model_prop) +
 								' WHERE id = ?',
 								[obj.id],
 								null,
@@ -474,7 +544,7 @@ botoweb.ldb.sync = {
 								}
 
 								txn.executeSql(
-									'INSERT INTO ' + botoweb.ldb.prop_to_table(model_prop) +
+									'INSERT INTO ' + ldb.prop_to_table(model_prop) +
 									' VALUES ' + values,
 									bp,
 									null,
@@ -485,8 +555,8 @@ botoweb.ldb.sync = {
 							});
 						}
 						else if (!opt.trash && this.is_type('reference')) {
-							column_names.push(botoweb.ldb.prop_to_column(this));
-							column_names.push(botoweb.ldb.prop_to_column(this) + '__type');
+							column_names.push(ldb.prop_to_column(this));
+							column_names.push(ldb.prop_to_column(this) + '__type');
 
 							if (prop) {
 								var v = prop.val()[0];
@@ -499,7 +569,7 @@ botoweb.ldb.sync = {
 							}
 						}
 						else {
-							column_names.push(botoweb.ldb.prop_to_column(this));
+							column_names.push(ldb.prop_to_column(this));
 
 							if (prop)
 								bind_params.push(prop.to_sql());
@@ -511,7 +581,7 @@ botoweb.ldb.sync = {
 					var rid = result_id + 0;
 
 					if (opt.trash) {
-						txn.executeSql( 'DELETE FROM ' + botoweb.ldb.model_to_table(model) +
+						txn.executeSql( 'DELETE FROM ' + ldb.model_to_table(model) +
 							' WHERE id = ?',
 							[obj.id],
 							function () {
@@ -534,7 +604,7 @@ botoweb.ldb.sync = {
 					}
 					else {
 						txn.executeSql( "INSERT OR REPLACE INTO " +
-							botoweb.ldb.model_to_table(model) +
+							ldb.model_to_table(model) +
 							' VALUES (' + $.map(bind_params, function() { return '?' }).join(', ') + ')',
 							bind_params,
 							function () {
@@ -573,7 +643,7 @@ botoweb.ldb.sync = {
 				// Otherwise run the next queued update
 				else{
 					// Delete key to avoid running the update again on refresh
-					delete localStorage.sync_model;
+					delete localStorage[key_for('sync_model')];
 
 					setTimeout(self.next_update, 500);
 				}
@@ -583,13 +653,60 @@ botoweb.ldb.sync = {
 		// DB transaction is asynchronous, so we return false to prevent loading
 		// the next page of results right away
 		return false;
-	},
+	};
 
 	/**
 	 * Calls process with a trash argument which causes results to be deleted
 	 * from local DB.
 	 */
-	process_trash: function (results, page, total_count, next_page) {
-		return botoweb.ldb.sync.process(results, page, total_count, next_page, { trash: 1 });
+	this.process_trash = function (results, page, total_count, next_page) {
+		return self.process(results, page, total_count, next_page, { trash: 1 });
+	};
+
+	/**
+	 * Updates the sync models again, reaching further back. The last update
+	 * time of each model is moved back first, so anything changed in that
+	 * time is fetched even if the window was chosen with a wrong estimate of
+	 * the server clock.
+	 *
+	 * @param {Integer} ms How far back to move the last update times.
+	 */
+	this.resync = function (ms) {
+
+		$.each(ldb.env.model_names, function (i, name) {
+			var last = localStorage[key_for('last_update_' + name)];
+
+			if (!last)
+				return;
+
+			var d = Date.parse(last + 'Z');
+
+			if (!isNaN(d))
+				localStorage.setItem(key_for('last_update_' + name), botoweb.util.timestamp(new Date(d - ms)));
+		});
+
+		if (!self.running)
+			return self.update();
+
+		$.each(ldb.env.cfg.db.sync_models, function (i, model) {
+			if ($.inArray(model, self.update_queue) < 0)
+				self.update_queue.push(model);
+		});
+	};
+
+	// Keys in localStorage, prefixed with the database name unless it is the
+	// one of the default environment so that databases do not share them
+	function key_for (name) {
+		return (ldb === botoweb.ldb) ? name : ldb.name + '.' + name;
 	}
+
+	// Update windows chosen before the server clock estimate jumped may have
+	// missed changes
+	$(botoweb.clock).bind('jump', function (e, jump) {
+		// Only the clock of this database's environment matters
+		if (jump.env !== ldb.env || !ldb.dbh)
+			return;
+
+		self.resync(Math.abs(jump.change) + 60 * 1000);
+	});
 };
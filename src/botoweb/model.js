@@ -22,8 +22,71 @@ botoweb.Model = function (name, href, methods, props) {
 	this.prop_map = {};
 	this.local = false;
 	this.objs = {};
+
+	// The Environment the model belongs to
+	this.env = botoweb.env;
 	this.dummy_objs = {};
 
+	// The model this one subclasses and the models which subclass it
+	// directly, linked by the Environment once all models are loaded
+	this.parent = null;
+	this.subclasses = [];
+
+	/**
+	 * Checks whether the model is the given model or a subclass of it.
+	 *
+	 * @param {botoweb.Model|String} model The model or its name.
+	 * @return True if this model is, or inherits from, the model.
+	 */
+	this.is_a = function (model) {
+		var name = (model instanceof botoweb.Model) ? model.name : model;
+
+		for (var m = this; m; m = m.parent) {
+			if (m.name == name)
+				return true;
+		}
+
+		return false;
+	};
+
+	/**
+	 * @return All models which inherit from this one, directly or not, each
+	 * followed by its own subclasses.
+	 */
+	this.descendants = function () {
+		var models = [];
+
+		$.each(this.subclasses, function () {
+			models.push(this);
+			models = models.concat(this.descendants());
+		});
+
+		return models;
+	};
+
+	/**
+	 * Finds the page for viewing objects of the model, or for editing them
+	 * with kind 'editor'. Editors fall back to the editor of the closest
+	 * parent model which has one in cfg.templates.editor, then to the view
+	 * page. A view page which does not exist is replaced by the page of the
+	 * parent model when it is loaded, see botoweb.ui.page.
+	 *
+	 * @param {String} kind 'editor' for the editing page.
+	 * @return The page URL.
+	 */
+	this.template = function (kind) {
+		var templates = this.env.cfg.templates;
+
+		if (kind == 'editor') {
+			for (var m = this; m; m = m.parent) {
+				if (m.name in templates.editor)
+					return templates.editor[m.name];
+			}
+		}
+
+		return botoweb.util.interpolate(templates.model, this);
+	};
+
 	this.set_props = function(props) {
 		var self = this;
 		this.props = props;
@@ -37,23 +100,91 @@ botoweb.Model = function (name, href, methods, props) {
 		});
 	}
 
+	/**
+	 * Queries the local database. Results are delivered to fnc in the same
+	 * paged format as a remote query. If opt.signal is aborted no further
+	 * results are delivered. Objects of subclasses are included, the results
+	 * from the model's own table come first, then those of each subclass.
+	 * Each table is queried on its own, so when subclasses are stored too,
+	 * sorted results are read from every table and delivered as one page in
+	 * a single order, and limit and offset filters are rejected as they
+	 * would only apply within each table.
+	 *
+	 * @return A Promise which resolves with every object received once no
+	 * more pages will be loaded (or with the object when opt.one is set).
+	 */
 	this.query_ldb = function(filters, fnc, opt) {
 		opt = opt || {};
 
-		var tbl = botoweb.ldb.tables[this.name];
-		var query = new botoweb.sql.Query(tbl);
+		var d = botoweb.util.deferred(fnc);
+		var collect = botoweb.util.collect_pages(fnc, d, opt);
 
-		query.apply_bw_filters(filters, tbl);
+		function fail (e) {
+			var error = new Error('Local DB query failed: ' + (e && e.message));
+
+			if (fnc && !opt.one)
+				fnc([], 0, 0, null, error);
+
+			d.reject(error);
+		}
+
+		var models = ldb_models();
+
+		if (models.length > 1 && ldb_filters(filters, ['limit', 'offset']).length) {
+			fail(new Error('limit and offset cannot be combined across the tables of ' + this.name + ' and its subclasses'));
+			return d.promise;
+		}
+
+		var sort = ldb_filters(filters, ['sort']);
+
+		if (models.length > 1 && sort.length && !opt.one) {
+			var deliver = collect;
+			var sorted = [];
+
+			collect = function (data, page, count, next_page) {
+				sorted = sorted.concat(data);
+
+				// Keep reading until every table has run out
+				if (next_page)
+					return true;
+
+				return deliver(sort_objs(sorted, sort), 0, count, null);
+			};
+		}
+
+		var queries = ldb_queries(models, filters);
 
 		function do_query (txn) {
 			var total_results = 0;
-			var page = 0;
+			var page_num = 0;
+
+			// The position of the table being read and the number of pages
+			// delivered from all tables
+			var q = 0;
+			var delivered = 0;
 
 			function next_page(txn) {
 				function get_page(txn) {
-					query.page(txn, function(results, page) {
+					queries[q].page(txn, function(results, page) {
+						if (opt.signal && opt.signal.aborted)
+							return false;
+
 						var data = $.map(results, function (row) { return row[0]; });
 
+						// Once a table runs out, continue with the next one
+						var last = (page === undefined || !data.length);
+						var next_table = (last && q + 1 < queries.length);
+
+						if (next_table) {
+							q++;
+							page_num = 0;
+
+							if (!data.length) {
+								next_page();
+								return false;
+							}
+						}
+
 						if (opt.one) {
 							// We skipped the counting query, set the count now
 							total_results = data.length;
@@ -64,23 +195,36 @@ botoweb.Model = function (name, href, methods, props) {
 								// A default action may exist if the target
 								// object is not found
 								if (opt.not_found) {
-									opt.not_found();
+									d.resolve(opt.not_found());
 									return false;
 								}
 
 								data = null;
 							}
+
+							if (fnc)
+								fnc(data, page, total_results, null);
+
+							d.resolve(data);
+							return false;
 						}
 
 						// If page is undefined, we have loaded all the results.
-						return fnc(data, page, total_results, ((page !== undefined) ? next_page : null));
-					}, page++, opt);
+						// An empty page also means there is nothing left.
+						var more = collect(data, delivered++, total_results, (!last || next_table) ? next_page : null);
+
+						// The query only pages on by itself within its table
+						if (more && next_table)
+							next_page();
+
+						return more;
+					}, page_num++, opt);
 				}
 
 				if (txn)
 					get_page(txn);
 				else
-					botoweb.ldb.dbh.transaction(get_page);
+					self.env.ldb.dbh.transaction(get_page, fail);
 			};
 
 			// No need for a count of results
@@ -88,7 +232,7 @@ botoweb.Model = function (name, href, methods, props) {
 				next_page();
 			}
 			else {
-				query.count(txn, function (count) {
+				ldb_count(txn, queries, function (count) {
 					total_results = count;
 
 					next_page(txn);
@@ -96,30 +240,52 @@ botoweb.Model = function (name, href, methods, props) {
 			}
 		}
 
+		botoweb.util.on_abort(opt.signal, function () {
+			d.reject(botoweb.util.abort_error(opt.signal));
+		});
+
 		if (opt.txn)
 			do_query(opt.txn);
 		else
-			botoweb.ldb.dbh.transaction(do_query);
+			self.env.ldb.dbh.transaction(do_query, fail);
+
+		return d.promise;
 	};
 
+	/**
+	 * Finds objects matching the filters, from the local database if the
+	 * model is stored locally. Pass opt.signal, an AbortSignal, to cancel.
+	 *
+	 * @return A Promise which resolves with every object received once no
+	 * more pages will be loaded, or rejects if the request fails.
+	 */
 	this.find = function(filters, fnc, opt){
 		opt = $.extend({op: 'find'}, opt);
 
-		var use_local = this.local && botoweb.ldb.dbh && !opt.no_ldb;
+		// Queries are run as filters so that the local DB can handle them
+		if (filters instanceof botoweb.Query) {
+			filters = filters.to_filters();
+			opt.op = 'query';
+		}
+
+		var use_local = this.local && this.env.ldb.dbh && !opt.no_ldb;
 
-		$(botoweb).triggerHandler('log', [{
+		opt.log = botoweb.util.log_op({
 			method: 'GET',
 			op: opt.op,
 			model: this.name,
+			url: botoweb.util.url_join(this.env.base_url, this.href),
 			filters: filters,
 			local: use_local
-		}]);
+		});
+
+		var pages = botoweb.util.log_pages(fnc);
 
 		if (use_local) {
-			return this.query_ldb(filters, fnc, opt);
+			return botoweb.util.log_done(opt.log, this.query_ldb(filters, pages.fnc, opt), pages);
 		}
 
-		botoweb[opt.op](botoweb.util.url_join(botoweb.env.base_url, this.href), filters, botoweb.env.model_names.join(','), fnc, opt);
+		return botoweb.util.log_done(opt.log, botoweb[opt.op](botoweb.util.url_join(this.env.base_url, this.href), filters, this.env.model_names.join(','), pages.fnc, opt), pages);
 	}
 
 	this.query = function(query, fnc, opt) {
@@ -130,33 +296,120 @@ botoweb.Model = function (name, href, methods, props) {
 		return this.find([], fnc, opt);
 	}
 
+	/**
+	 * Receives the objects matching the query over a streaming connection as
+	 * the server finds them, in pages like find, see botoweb.stream. The
+	 * local database is not used.
+	 *
+	 * @param {botoweb.Query|Array} query The query, empty for every object.
+	 * @return A Promise which resolves with every object received once no
+	 * more pages will be loaded, or rejects if the stream fails.
+	 */
+	this.stream = function(query, fnc, opt){
+		opt = $.extend({}, opt);
+
+		opt.log = botoweb.util.log_op({
+			method: 'GET',
+			op: 'stream',
+			model: this.name,
+			url: botoweb.util.url_join(this.env.base_url, this.href),
+			filters: (query instanceof botoweb.Query) ? query.to_filters() : query || [],
+			local: false
+		});
+
+		var pages = botoweb.util.log_pages(fnc);
+
+		return botoweb.util.log_done(opt.log, botoweb.stream(botoweb.util.url_join(this.env.base_url, this.href), query, pages.fnc, opt), pages);
+	}
+
+	/**
+	 * Iterates over the objects matching the filters with for await, from the
+	 * local database if the model is stored locally. A botoweb.Query or array
+	 * filters are run as a query, anything else as a find. Pages are only
+	 * loaded as the loop consumes them. Options are passed on to find, plus:
+	 * * pages - yield each page as an array rather than individual objects
+	 *
+	 * @return An async iterable which exposes the total count of results.
+	 */
+	this.iterate = function(filters, opt) {
+		opt = $.extend({}, opt);
+		filters = filters || [];
+
+		if (!opt.op)
+			opt.op = ($.isArray(filters) && filters.length) ? 'query' : 'find';
+
+		// Pages are consumed by the loop, there is no need to keep them
+		opt.collect = false;
+
+		return botoweb.util.page_iterator(function (fnc) {
+			return self.find(filters, fnc, opt);
+		}, opt);
+	}
+
+	/**
+	 * Counts the objects matching the filters, from the local database if
+	 * the model is stored locally.
+	 *
+	 * Without a callback, count used to return the number synchronously. It
+	 * now always returns a Promise, callers must use fnc or the Promise.
+	 *
+	 * @param {Function} fnc Optional, receives the count, or 0 and the error.
+	 * @return A Promise which resolves with the count, or rejects if the
+	 * count fails.
+	 */
 	this.count = function(filters, fnc, opt){
-		if (!opt) opt = {};
+		opt = $.extend({}, opt);
 
-		var use_local = this.local && botoweb.ldb.dbh && !opt.no_ldb;
+		if (filters instanceof botoweb.Query)
+			filters = filters.to_filters();
 
-		$(botoweb).triggerHandler('log', [{
+		var use_local = this.local && this.env.ldb.dbh && !opt.no_ldb;
+
+		opt.log = botoweb.util.log_op({
 			method: 'HEAD',
 			op: 'count',
 			model: this.name,
+			url: botoweb.util.url_join(this.env.base_url, this.href),
 			filters: filters,
 			local: use_local
-		}]);
+		});
 
 		if (use_local) {
-			var tbl = botoweb.ldb.tables[this.name];
-			var query = new botoweb.sql.Query(tbl.c.id);
+			var d = botoweb.util.deferred(fnc);
+			var failed = false;
 
-			query.apply_bw_filters(filters, tbl);
+			// A failed statement also fails its transaction, report it once
+			var fail = function (e) {
+				if (failed)
+					return;
 
-			botoweb.ldb.dbh.transaction(function (txn) {
-				query.count(txn, fnc);
-			});
+				failed = true;
+
+				var error = new Error('Local DB count failed: ' + (e && e.message));
+
+				if (fnc)
+					fnc(0, error);
+
+				d.reject(error);
+			};
+
+			self.env.ldb.dbh.transaction(function (txn) {
+				try {
+					ldb_count(txn, ldb_queries(ldb_models(), filters), function (count) {
+						if (fnc)
+							fnc(count);
+
+						d.resolve(count);
+					}, fail);
+				} catch (e) {
+					fail(e);
+				}
+			}, fail);
 
-			return;
+			return botoweb.util.log_done(opt.log, d.promise);
 		}
 
-		return botoweb.count(botoweb.env.base_url + this.href, filters, fnc);
+		return botoweb.util.log_done(opt.log, botoweb.count(this.env.base_url + this.href, filters, fnc, opt));
 	};
 
 	this.cache = function(obj) {
@@ -168,37 +421,60 @@ botoweb.Model = function (name, href, methods, props) {
 		this.unsaved = true;
 	};
 
+	/**
+	 * Loads an object by id, from memory or the local database if possible.
+	 * Pass opt.signal, an AbortSignal, to cancel.
+	 *
+	 * @return A Promise which resolves with the object (undefined if there is
+	 * no such object), or rejects if the request fails.
+	 */
 	this.get = function(id, fnc, opt){
-		opt = opt || {};
+		opt = $.extend({}, opt);
+
+		// The object may have been loaded as an instance of a subclass
+		var models = [this].concat(this.descendants());
+
+		for (var i = 0; i < models.length; i++) {
+			var obj = models[i].objs[id];
 
-		if (this.objs[id])
-			return fnc(this.objs[id], false);
+			if (obj) {
+				if (fnc)
+					fnc(obj, false);
 
-		var use_local = this.local && botoweb.ldb.dbh && !opt.no_ldb;
+				return Promise.resolve(obj);
+			}
+		}
 
-		$(botoweb).triggerHandler('log', [{
+		var use_local = this.local && this.env.ldb.dbh && !opt.no_ldb;
+
+		opt.log = botoweb.util.log_op({
 			method: 'GET',
 			op: 'get_by_id',
 			model: this.name,
+			url: botoweb.util.url_join(this.env.base_url, this.href),
 			id: id,
 			local: use_local
-		}]);
+		});
 
 		if (use_local) {
 			opt.one = true;
 			opt.not_found = function () {
-				botoweb.get_by_id(botoweb.util.url_join(botoweb.env.base_url, self.href), id, fnc, opt);
+				return botoweb.get_by_id(botoweb.util.url_join(self.env.base_url, self.href), id, fnc, opt);
 			};
-			return this.query_ldb({id: id}, fnc, opt);
+			return botoweb.util.log_done(opt.log, this.query_ldb({id: id}, fnc, opt));
 		}
 
-		botoweb.get_by_id(botoweb.util.url_join(botoweb.env.base_url, this.href), id, fnc, opt);
+		return botoweb.util.log_done(opt.log, botoweb.get_by_id(botoweb.util.url_join(this.env.base_url, this.href), id, fnc, opt));
 	}
 
-	this.save = function(data, fnc){
+	//
+	// Save an object, data may include the id of an existing object to update
+	// @param opt: Options for botoweb.save
+	//
+	this.save = function(data, fnc, opt){
 		var id = '';
 
-		ref = botoweb.env.base_url + this.href;
+		ref = this.env.base_url + this.href;
 		method = "POST";
 		if("id" in data && typeof data.id != 'undefined'){
 			id = data.id;
@@ -208,37 +484,186 @@ botoweb.Model = function (name, href, methods, props) {
 			method = "PUT";
 		}
 
-		$(botoweb).triggerHandler('log', [{
+		opt = $.extend({}, opt);
+
+		opt.log = botoweb.util.log_op({
 			method: method,
 			op: 'save',
 			model: this.name,
+			url: botoweb.util.url_join(this.env.base_url, this.href),
 			id: id,
 			data: data,
 			local: false
-		}]);
+		});
+
+		return botoweb.util.log_done(opt.log, botoweb.save(ref, this.name, data, method, fnc, opt));
+	}
+
+	/**
+	 * Lists the custom methods the API declares for the model, such as
+	 * approve or send, leaving out the standard HTTP methods.
+	 *
+	 * @return A map of method names to descriptions.
+	 */
+	this.custom_methods = function () {
+		var methods = {};
+
+		$.each(this.methods || {}, function (name, description) {
+			if ($.inArray(name.toLowerCase(), ['get', 'head', 'post', 'put', 'delete']) < 0)
+				methods[name] = description;
+		});
+
+		return methods;
+	}
+
+	/**
+	 * Calls a custom method the API declares for the model, or for one of its
+	 * objects when opt.id is given (see botoweb.Object.invoke), by sending the
+	 * arguments to {href}/{method} or {href}/{id}/{method}. Other options are
+	 * those of botoweb.invoke.
+	 *
+	 * @param {String} method The method name, one of the model's methods.
+	 * @param {Object} args A map of argument names to values.
+	 * @return A Promise which resolves with the result of the method, see
+	 * botoweb.invoke, or rejects if the request fails.
+	 */
+	this.invoke = function(method, args, fnc, opt){
+		opt = $.extend({}, opt);
+
+		if (!this.methods || !(method in this.methods)) {
+			var d = botoweb.util.deferred(fnc);
+			var error = new botoweb.Error('The ' + this.name + ' model has no method ' + method);
+
+			if (fnc)
+				fnc(null, error);
+
+			d.reject(error);
+			return d.promise;
+		}
+
+		opt.log = botoweb.util.log_op({
+			method: opt.http_method || 'POST',
+			op: 'invoke',
+			model: this.name,
+			url: botoweb.util.url_join(this.env.base_url, this.href),
+			id: opt.id || '',
+			data: args,
+			local: false
+		});
+
+		var url = botoweb.util.url_join(this.env.base_url, this.href, opt.id || null, method);
+
+		return botoweb.util.log_done(opt.log, botoweb.invoke(url, method, args, fnc, opt));
+	}
+
+	/**
+	 * Saves many objects, a few requests at a time, without alerting the user
+	 * to failures. Results for local models are applied to the local database
+	 * in a single transaction once every request has finished.
+	 *
+	 * Options include those of botoweb.util.each_limit (concurrency,
+	 * progress, signal). A progress event is also triggered on the model
+	 * after each object with {op, result, done, total}.
+	 *
+	 * @param {[Object]} items Data as for save, with the id of an existing
+	 * object to update it.
+	 * @return A Promise which resolves with a result per item in the same
+	 * order, in which value is the saved object or error is a botoweb.Error.
+	 */
+	this.save_many = function(items, opt) {
+		var saved = [];
+
+		return bulk('save_many', items, opt, function (data) {
+			// save removes the id from the data
+			return self.save($.extend({}, data), null, { no_ldb: true, silent: true }).then(function (obj) {
+				if (obj)
+					saved.push(obj);
+
+				return obj;
+			});
+		}, saved, {});
+	};
+
+	/**
+	 * Deletes many objects, a few requests at a time, without alerting the
+	 * user to failures. Local models are updated in a single transaction once
+	 * every request has finished. Options are the same as save_many.
+	 *
+	 * @param {[String]} ids The ids of the objects to delete.
+	 * @return A Promise which resolves with a result per id in the same
+	 * order, in which value is true or error is a botoweb.Error.
+	 */
+	this.del_many = function(ids, opt) {
+		var deleted = [];
+
+		var log = botoweb.util.log_op({
+			method: 'DELETE',
+			op: 'del_many',
+			model: this.name,
+			url: botoweb.util.url_join(this.env.base_url, this.href),
+			id: ids,
+			local: false
+		});
+
+		return botoweb.util.log_done(log, bulk('del_many', ids, opt, function (id) {
+			return botoweb.del(botoweb.util.url_join(self.env.base_url, self.href, id), null, { silent: true, log: log }).then(function () {
+				delete self.objs[id];
+				delete self.dummy_objs[id];
+				deleted.push(new self.instance(null, id));
+
+				return true;
+			});
+		}, deleted, { trash: true }));
+	};
+
+	// Runs a bulk operation and then applies the objs it collected to the
+	// local database with one sync.process call
+	function bulk (op, items, opt, fnc, objs, process_opt) {
+		opt = $.extend({}, opt);
+
+		var progress = opt.progress;
+
+		opt.progress = function (result, done, total) {
+			if (progress)
+				progress(result, done, total);
+
+			$(self).triggerHandler('progress', [{ op: op, result: result, done: done, total: total }]);
+		};
+
+		return botoweb.util.each_limit(items, opt, fnc).then(function (results) {
+			if (!self.local || !self.env.ldb.dbh || !objs.length)
+				return results;
 
-		return botoweb.save(ref, this.name, data, method, fnc);
+			return new Promise(function (resolve) {
+				self.env.ldb.sync.process(objs, null, null, function () {
+					resolve(results);
+				}, process_opt);
+			});
+		});
 	}
 
 	//
 	// Delete this object
+	// @return A Promise which resolves when the object is deleted, or rejects
+	// 		if the request fails
 	//
 	this.del = function(id, fnc){
-		$(botoweb).triggerHandler('log', [{
+		var log = botoweb.util.log_op({
 			method: 'DELETE',
 			op: 'del',
 			model: this.name,
+			url: botoweb.util.url_join(this.env.base_url, this.href),
 			id: id,
 			local: false
-		}]);
+		});
 
-		return botoweb.del(botoweb.util.url_join(botoweb.env.base_url, this.href, id), function(success) {
+		return botoweb.util.log_done(log, botoweb.del(botoweb.util.url_join(this.env.base_url, this.href, id), function(success) {
 			if (success) {
 				delete self.objs[id];
 				delete self.dummy_objs[id];
 
 				if (self.local) {
-					botoweb.ldb.sync.process([new self.instance(null, id)], null, null, function () {
+					self.env.ldb.sync.process([new self.instance(null, id)], null, null, function () {
 						if (fnc)
 							fnc(success);
 					}, { trash: true });
@@ -255,11 +680,103 @@ botoweb.Model = function (name, href, methods, props) {
 
 			if (fnc)
 				fnc(success);
-		});
+		}, { log: log }));
 	}
 
 	this.toString = function () {
 		return this.name;
 	}
 
+	// The models whose tables the model's objects are stored in. Objects of
+	// subclasses are stored in the tables of their own models.
+	function ldb_models () {
+		return $.grep([self].concat(self.descendants()), function (model) {
+			return !!self.env.ldb.tables[model.name];
+		});
+	}
+
+	// The filters with one of the operators, only explicit filters have
+	// pseudo-operators such as sort and limit
+	function ldb_filters (filters, ops) {
+		if (!$.isArray(filters))
+			return [];
+
+		return $.grep(filters, function (filter) {
+			return $.inArray(filter[1], ops) >= 0;
+		});
+	}
+
+	// Sorts objects by the values of the properties of sort filters, as the
+	// local DB would
+	function sort_objs (objs, sort) {
+		var value = function (obj, name) {
+			var prop = obj.data[name];
+
+			return (prop) ? prop.toString() : '';
+		};
+
+		return objs.sort(function (a, b) {
+			for (var i = 0; i < sort.length; i++) {
+				var x = value(a, sort[i][0]);
+				var y = value(b, sort[i][0]);
+
+				if (x != y)
+					return ((x < y) ? -1 : 1) * ((sort[i][2] == 'desc') ? -1 : 1);
+			}
+
+			return 0;
+		});
+	}
+
+	// Builds a local DB query for the table of each model
+	function ldb_queries (models, filters) {
+		return $.map(models, function (model) {
+			var tbl = self.env.ldb.tables[model.name];
+			var query = new botoweb.sql.Query(tbl);
+
+			query.apply_bw_filters(filters, tbl);
+
+			return query;
+		});
+	}
+
+	// Adds up the results of the queries, error receives a failed statement
+	function ldb_count (txn, queries, fnc, error) {
+		var total = 0;
+
+		function count (i) {
+			if (i == queries.length)
+				return fnc(total);
+
+			queries[i].count(txn, function (n) {
+				total += n;
+				count(i + 1);
+			}, error);
+		}
+
+		count(0);
+	}
+
+};
+
+/**
+ * Builds a model from its definition, see botoweb.xml.to_model_def.
+ *
+ * @param {Object} def The name, href, methods and props of the model.
+ * @param {botoweb.Environment} env The environment of the model, defaults to
+ * botoweb.env.
+ * @return The botoweb.Model.
+ */
+botoweb.Model.from_def = function (def, env) {
+	var model = new botoweb.Model(def.name, def.href, def.methods);
+
+	// Properties look up the models they refer to in the environment
+	model.env = env || botoweb.env;
+
+	model.set_props($.map(def.props, function (prop) {
+		// Property may change its options, the definition stays as it was
+		return new botoweb.Property(prop.name, prop.type, prop.perm.slice(), model, $.extend(true, {}, prop.opt));
+	}));
+
+	return model;
 };
@@ -22,13 +22,13 @@ botoweb.Object = function(id, model, data, opt) {
 	self.cached = !opt.no_cache;
 
 	if (typeof self.model == 'string')
-		self.model = botoweb.env.models[self.model];
+		self.model = (opt.env || botoweb.env).models[self.model];
 
 	// The cache is just an easy way to access an object instead of parsing its
 	// XML or requesting it by ID from botoweb. If an object is cached in this
 	// way, it will not be garbage collected. However, if an object is not
 	// cached in this way, it still may not be garbage collected.
-	if (!opt.no_cache && !botoweb.env.cfg.disable_cache) {
+	if (!opt.no_cache && !self.model.env.cfg.disable_cache) {
 		console.warn('Caching ' + this.model.name + ' ' + this.id);
 		self.model.objs[this.id] = this;
 		delete self.model.dummy_objs[this.id];
@@ -42,23 +42,38 @@ botoweb.Object = function(id, model, data, opt) {
 		self.data[this.meta.name].obj_model = self.model;
 	});
 
+	/**
+	 * Loads the objects referenced by a reference or query property. Results
+	 * are delivered to fnc in the same paged format as a query. Pass
+	 * opt.signal, an AbortSignal, to cancel.
+	 *
+	 * @return A Promise which resolves with every object received once no
+	 * more pages will be loaded, or rejects if the request fails.
+	 */
 	self.follow = function(prop_name, fnc, filters, opt) {
 		if (!opt) opt = {};
 
+		var d = botoweb.util.deferred(fnc);
 		var prop = self.data[prop_name];
 
-		if (!prop)
-			return;
+		if (!prop) {
+			d.reject(new Error('Unknown property ' + self.model.name + '.' + prop_name));
+			return d.promise;
+		}
 
+		var collect = botoweb.util.collect_pages(fnc, d);
 		var values = prop.val();
 
-		if (!values || !values.length)
-			return fnc([], 0, 0);
+		if (!values || !values.length) {
+			collect([], 0, 0);
+			return d.promise;
+		}
 
 		// If the val is not undefined we have already loaded it.
 		if (values[0].val !== undefined) {
 			var objs = $.map(values, function (v) { return v.val });
-			return fnc(objs || [], 0, 0);
+			collect(objs || [], 0, 0);
+			return d.promise;
 		}
 
 		var objs = [];
@@ -67,7 +82,7 @@ botoweb.Object = function(id, model, data, opt) {
 		if (prop.is_type('reference')) {
 			$.each(values, function(i, val) {
 				if (val.id) {
-					var model = botoweb.env.models[val.type];
+					var model = self.model.env.models[val.type];
 
 					if (!model) {
 						remaining--;
@@ -83,20 +98,20 @@ botoweb.Object = function(id, model, data, opt) {
 						remaining--;
 					}
 					// Load only cached data by id, make a dummy object
-					else if (opt.dummy_obj && botoweb.ldb) {
+					else if (opt.dummy_obj && model.env.ldb) {
 						if (model.dummy_objs[val.id]) {
 							objs[i] = model.dummy_objs[val.id];
 							remaining--;
 						}
 						else {
-							botoweb.ldb.get_cached_props(model, val.id, function (data) {
+							model.env.ldb.get_cached_props(model, val.id, function (data) {
 								var obj = new model.instance(data, val.id, { dummy_obj: true });
 								model.dummy_objs[val.id] = obj;
 								objs[i] = obj;
 
 								remaining--;
 								if (remaining <= 0)
-									fnc(objs, 0, objs.length);
+									collect(objs, 0, objs.length);
 							});
 						}
 					}
@@ -107,7 +122,7 @@ botoweb.Object = function(id, model, data, opt) {
 
 							remaining--;
 							if (remaining <= 0)
-								fnc(objs, 0, objs.length);
+								collect(objs, 0, objs.length);
 						}, opt);
 					}
 				}
@@ -116,18 +131,33 @@ botoweb.Object = function(id, model, data, opt) {
 			});
 
 			if (remaining <= 0) {
-				fnc(objs, 0, objs.length, true);
+				if (fnc)
+					fnc(objs, 0, objs.length, true);
+
+				d.resolve(objs);
 			}
+
+			return d.promise;
 		}
 		else {
 			opt.item_type = prop.meta.item_type;
 
-			botoweb.query(botoweb.util.url_join(botoweb.env.base_url, self.model.href, self.id, prop_name),
+			return botoweb.query(botoweb.util.url_join(self.model.env.base_url, self.model.href, self.id, prop_name),
 				filters, prop.meta.name + ' > *[id]', fnc, opt
 			);
 		}
 	}
 
+	/**
+	 * Saves any changes in data to botoweb, or all of data if opt.force is
+	 * set. Unless opt.overwrite is set, an existing object is only saved if
+	 * nobody else changed it since it was loaded, checked by its ETag or
+	 * otherwise its sys_modstamp. If it was changed the save fails with a
+	 * conflict error (see conflict).
+	 *
+	 * @return A Promise which resolves with the saved object, or rejects if
+	 * the request fails.
+	 */
 	this.update = function (data, fnc, opt) {
 		opt = $.extend({ old_data: {} }, opt);
 		var changed = {};
@@ -217,25 +247,151 @@ botoweb.Object = function(id, model, data, opt) {
 
 			var method = ((is_new) ? 'POST' : 'PUT');
 
-			$(botoweb).triggerHandler('log', [{
+			var log = botoweb.util.log_op({
 				method: method,
 				op: 'save',
 				model: self.model.name,
+				url: botoweb.util.url_join(self.model.env.base_url, self.model.href),
 				id: self.id,
 				data: changed,
 				local: false
-			}]);
+			});
 
-			botoweb.save(
-				botoweb.util.url_join(botoweb.env.base_url, self.model.href, ((self.id) ? self.id : null)),
-				self.model.name, changed, method, fnc
-			);
+			var url = botoweb.util.url_join(self.model.env.base_url, self.model.href, ((self.id) ? self.id : null));
+			var check = !is_new && !opt.overwrite;
+			var d = botoweb.util.deferred(fnc);
+
+			var save = function () {
+				return botoweb.save(url, self.model.name, changed, method, null, {
+					etag: (check) ? self.etag : null,
+					modstamp: (check) ? self.modstamp() : null,
+					log: log
+				});
+			};
+
+			var p;
+
+			// Without an ETag, compare modstamps with the server copy first
+			if (check && !self.etag && self.modstamp()) {
+				p = self.remote({ log: log }).then(function (remote) {
+					if (remote && remote.modstamp() > self.modstamp())
+						throw self.conflict(new botoweb.Error(self.model.name + ' ' + self.id + ' was changed by someone else', {
+							status: 412,
+							statusText: 'Precondition Failed',
+							request: { method: method, url: url }
+						}), changed, remote);
+
+					return save();
+				}, function (e) {
+					// Offline, the save will wait in the outbox
+					if (!e.status)
+						return save();
+
+					throw e;
+				});
+			}
+			else
+				p = save();
+
+			p.then(function (obj) {
+				if (fnc)
+					fnc(obj);
+
+				d.resolve(obj);
+			}, function (e) {
+				var report = function (e) {
+					if (fnc)
+						fnc(null, e);
+
+					d.reject(e);
+				};
+
+				if (e.status != 412 || e.conflict)
+					return report(e);
+
+				self.remote({ log: log }).then(function (remote) {
+					report(self.conflict(e, changed, remote));
+				}, function () {
+					report(e);
+				});
+			});
+
+			return botoweb.util.log_done(log, d.promise);
 		}
 		else {
-			fnc(this);
+			if (fnc)
+				fnc(this);
+
+			return Promise.resolve(this);
 		}
 	};
 
+	/**
+	 * @return The sys_modstamp loaded with the object as an ISO 8601 string,
+	 * which compares correctly with other modstamps, or an empty string.
+	 */
+	this.modstamp = function () {
+		var prop = this.data.sys_modstamp;
+
+		if (!prop || !prop.data || !prop.data.length || !prop.data[0].val)
+			return '';
+
+		var val = prop.data[0].val;
+
+		return (val instanceof Date) ? botoweb.util.timestamp(val) : '' + val;
+	};
+
+	/**
+	 * Loads the current copy of this object from botoweb, without replacing
+	 * this one in the cache.
+	 *
+	 * @param {Object} opt Options for botoweb.get_by_id.
+	 * @return A Promise which resolves with the server copy.
+	 */
+	this.remote = function (opt) {
+		return botoweb.get_by_id(botoweb.util.url_join(self.model.env.base_url, self.model.href), self.id, null, $.extend({ no_cache: true }, opt));
+	};
+
+	/**
+	 * Marks a failed save as a conflict with the server copy. The error
+	 * carries both versions:
+	 * * local - this object
+	 * * changes - the data which could not be saved
+	 * * remote - the server copy, missing if the object was deleted there
+	 * * fields - the names of properties which differ, each with whether
+	 *   mine (this save) and theirs (the other change) changed it
+	 *
+	 * @return The error.
+	 */
+	this.conflict = function (error, changes, remote) {
+		// References compare by id, a missing property is empty
+		var values = function (prop) {
+			return (prop) ? (prop.toString(true) || []).join(',') : '';
+		};
+
+		error.name = 'ConflictError';
+		error.conflict = true;
+		error.local = self;
+		error.changes = changes;
+		error.remote = remote;
+		error.fields = {};
+
+		$.each(self.model.props, function () {
+			var name = this.meta.name;
+
+			if (this.is_type('query') || name == 'sys_modstamp')
+				return;
+
+			var theirs = !!remote && values(remote.data[name]) != values(self.data[name]);
+			var mine = name in changes;
+
+			if (mine || theirs)
+				error.fields[name] = { mine: mine, theirs: theirs };
+		});
+
+		return error;
+	};
+
 	this.save = function (fnc) {
 		var data = {};
 
@@ -256,6 +412,14 @@ botoweb.Object = function(id, model, data, opt) {
 		});
 	}
 
+	/**
+	 * Loads the value of a blob or unstored property from botoweb. Any other
+	 * property is returned immediately since its value is already loaded.
+	 * Pass opt.signal, an AbortSignal, to cancel.
+	 *
+	 * @return The property if it is already loaded, otherwise a Promise which
+	 * resolves with the loaded property, or rejects if the request fails.
+	 */
 	this.load = function(prop, fnc, opt) {
 		opt = opt || {};
 		var prop = this.data[prop];
@@ -263,7 +427,14 @@ botoweb.Object = function(id, model, data, opt) {
 		if (typeof prop == 'undefined' || (!prop.is_type('blob') && !prop.meta.no_store))
 			return prop;
 
-		botoweb.ajax.get(botoweb.util.url_join(botoweb.env.base_url, self.model.href, self.id, prop.meta.name), function (data, xhr) {
+		var d = botoweb.util.deferred(fnc);
+		var url = botoweb.util.url_join(self.model.env.base_url, self.model.href, self.id, prop.meta.name);
+
+		botoweb.util.on_abort(opt.signal, function () {
+			d.reject(botoweb.util.abort_error(opt.signal));
+		});
+
+		botoweb.ajax.get(url, function (data, xhr) {
 			var ct = xhr.getResponseHeader('Content-type') + '';
 
 			if (ct.indexOf('text/xml') >= 0) {
@@ -271,17 +442,32 @@ botoweb.Object = function(id, model, data, opt) {
 				var p = botoweb.xml.to_prop(self.model.prop_map[prop.meta.name], $(data).children().first(), { parse_calculated: true });
 
 				if (p) {
-					fnc(p);
+					if (fnc)
+						fnc(p);
+
+					d.resolve(p);
 				}
+				else
+					d.resolve(prop);
 			}
 			else {
 				prop.data = [{val: data}];
 
-				fnc(prop);
+				if (fnc)
+					fnc(prop);
+
+				d.resolve(prop);
 			}
-		}, function () {
-			fnc(prop);
-		});
+		}, function (data, xhr) {
+			var error = botoweb.Error.from_response(xhr, { method: 'GET', url: url });
+
+			if (fnc)
+				fnc(prop, error);
+
+			d.reject(error);
+		}, { signal: opt.signal });
+
+		return d.promise;
 	};
 
 	this.fetchRawProp = function(name, fnc){
@@ -289,7 +475,7 @@ botoweb.Object = function(id, model, data, opt) {
 		 * Uses ajax to fetch a single attribute's value, calling back
 		 * "fnc" with it's raw form.
 		 */
-		botoweb.ajax.get(botoweb.util.url_join(botoweb.env.base_url, self.model.href, self.id, name), function (data, xhr) {
+		botoweb.ajax.get(botoweb.util.url_join(self.model.env.base_url, self.model.href, self.id, name), function (data, xhr) {
 			fnc(data, xhr);
 		});
 	}
@@ -306,7 +492,16 @@ botoweb.Object = function(id, model, data, opt) {
 
 	this.del = function(fnc) {
 		$(this).trigger('delete');
-		this.model.del(this.id, fnc);
+		return this.model.del(this.id, fnc);
+	};
+
+	/**
+	 * Calls a custom method of the object, see botoweb.Model.invoke.
+	 *
+	 * @return A Promise which resolves with the result of the method.
+	 */
+	this.invoke = function(method, args, fnc, opt) {
+		return this.model.invoke(method, args, fnc, $.extend({}, opt, { id: this.id }));
 	};
 
 	this.toString = function () {
@@ -321,8 +516,8 @@ var $Object = botoweb.Object;
 
 // Static proxies for object methods allow object functions to be called with
 // just the model and object id. Proxy functions load the object and then
-// perform the action on it.
-$.each(['follow', 'update', 'save', 'load', 'val', 'del'], function (i, fnc_name) {
+// perform the action on it, returning a Promise for the method's result.
+$.each(['follow', 'update', 'save', 'load', 'val', 'del', 'invoke'], function (i, fnc_name) {
 	$Object[fnc_name] = function () {
 		var args = $.makeArray(arguments);
 		var model = args.shift();
@@ -335,14 +530,20 @@ $.each(['follow', 'update', 'save', 'load', 'val', 'del'], function (i, fnc_name
 		// for code which may or may not have a reference to an object, for
 		// example: botoweb.Object.val((block.obj || block.obj_id), block.model, ...)
 		if (id.id) {
-			id[fnc_name].apply(id, args);
-			return;
+			return Promise.resolve(id[fnc_name].apply(id, args));
 		}
 
+		// Callers of the proxies pass their callbacks through args
+		var d = botoweb.util.deferred(true);
+
 		model.get(id, function (obj) {
 			if (obj)
-				obj[fnc_name].apply(obj, args);
-		}, { no_cache: !self.cached });
+				d.resolve(obj[fnc_name].apply(obj, args));
+			else
+				d.resolve();
+		}, { no_cache: !self.cached }).then(null, d.reject);
+
+		return d.promise;
 	};
 });
 
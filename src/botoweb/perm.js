@@ -0,0 +1,156 @@
+/**
+ * Decides what the user may do, so that editing links, buttons and fields
+ * are only shown when they are allowed. The API sets the limits: a model
+ * must declare the HTTP method of an action (post to create or clone, put to
+ * edit, delete to delete, or the custom method itself) and a property must
+ * have the read or write perm. Rules in cfg.perm.rules of the environment
+ * may then take rights away, for example to let only the owner edit:
+ *
+ * perm: {
+ *     rules: [function (ctx) {
+ *         if (ctx.action == 'edit' && ctx.obj && ctx.model.is_a('Task'))
+ *             return ctx.obj.data.owner.toString(true)[0] == ctx.user.id;
+ *     }]
+ * }
+ *
+ * Each rule receives {user, groups, action, model, obj, prop} and denies the
+ * action by returning false, anything else leaves the decision to the other
+ * rules.
+ */
+(function ($) {
+
+botoweb.perm = {
+	/**
+	 * Maps actions to the HTTP method the model must declare.
+	 */
+	methods: {
+		create: 'post',
+		clone: 'post',
+		edit: 'put',
+		'delete': 'delete'
+	},
+
+	/**
+	 * Checks whether the user may perform the action.
+	 *
+	 * @param {botoweb.Object} user The user, the user of the environment by
+	 * default.
+	 * @param {String} action read, create, clone, edit, delete or the name
+	 * of a custom method.
+	 * @param {botoweb.Model|botoweb.Object|String} target The model, its
+	 * name, or an object.
+	 * @param {botoweb.Property|String} prop Optional, a property of the model.
+	 * @return True if the action is allowed.
+	 */
+	can: function (user, action, target, prop) {
+		var obj = (target instanceof botoweb.Object) ? target : null;
+		var model = (obj) ? obj.model : target;
+
+		if (typeof model == 'string')
+			model = botoweb.env.models[model];
+
+		if (!model)
+			return false;
+
+		var env = model.env || botoweb.env;
+
+		if (!user)
+			user = env.user;
+
+		if (action == 'write' || action == 'update')
+			action = 'edit';
+
+		if (typeof prop == 'string')
+			prop = model.prop_map[prop];
+
+		if (!$perm.allowed_by_api(action, model, prop))
+			return false;
+
+		var ctx = {
+			user: user,
+			groups: $perm.groups(user),
+			action: action,
+			model: model,
+			obj: obj,
+			prop: prop || null
+		};
+
+		var allowed = true;
+
+		$.each((env.cfg && env.cfg.perm && env.cfg.perm.rules) || [], function (i, rule) {
+			if (rule(ctx) === false) {
+				allowed = false;
+				return false;
+			}
+		});
+
+		return allowed;
+	},
+
+	/**
+	 * Checks the action against the methods of the model and the perm of the
+	 * property.
+	 *
+	 * @return True if the API allows the action.
+	 */
+	allowed_by_api: function (action, model, prop) {
+		var methods = model.methods || {};
+		var method = $perm.methods[action];
+
+		if (prop) {
+			if (action == 'read')
+				return !!prop.meta.read;
+
+			// Properties are written while creating or editing an object
+			if ((action == 'create' || action == 'edit') && !prop.meta.write)
+				return false;
+		}
+
+		if (action == 'read')
+			return true;
+
+		if (method)
+			return method in methods;
+
+		return action in methods;
+	},
+
+	/**
+	 * @return The auth_groups of the user.
+	 */
+	groups: function (user) {
+		if (!user || !user.data || !user.data.auth_groups)
+			return [];
+
+		return user.data.auth_groups.toString(true) || [];
+	},
+
+	/**
+	 * Checks whether the user may see markup which has allow-{group} or
+	 * deny-{group} classes, see botoweb.ui.markup.parse.auth. With the
+	 * deny-all class, only the allowed groups may see it.
+	 *
+	 * @param {botoweb.Object} user The user, the default user by default.
+	 * @param {Object} node The markup.
+	 * @return True if the user may see the markup.
+	 */
+	can_view: function (user, node) {
+		node = $(node);
+
+		var groups = $perm.groups(user || botoweb.env.user);
+		var authorized = !node.hasClass('deny-all');
+
+		$.each(groups, function (i, group) {
+			if (node.hasClass('deny-all') && node.hasClass('allow-' + group))
+				authorized = true;
+			else if (!node.hasClass('deny-all') && node.hasClass('deny-' + group))
+				authorized = false;
+		});
+
+		return authorized;
+	}
+};
+
+var $perm = botoweb.perm;
+
+})(jQuery);
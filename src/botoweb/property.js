@@ -21,6 +21,9 @@ botoweb.Property = function(name, type, perm, model, opt) {
 	this.onload = [];
 	this.obj_model = model;
 
+	// Referenced models belong to the same environment
+	var env = (model && model.env) || botoweb.env;
+
 	if (opt.item_type == 'str')
 		opt.item_type = 'string';
 
@@ -30,7 +33,7 @@ botoweb.Property = function(name, type, perm, model, opt) {
 	if (type == 'list') {
 		is_list = true;
 
-		if (opt.item_type && opt.item_type in botoweb.env.models)
+		if (opt.item_type && opt.item_type in env.models)
 			type = 'reference';
 		else
 			type = opt.item_type;
@@ -110,7 +113,7 @@ botoweb.Property = function(name, type, perm, model, opt) {
 
 			// Handle Email Addresses
 			if(/^[a-z\.0-9_\+\-]+@[a-z\.0-9-]+\.[a-z]+$/i.test(retval)){
-				var href = botoweb.env.cfg.format.email_href(retval, this, this.obj);
+				var href = env.cfg.format.email_href(retval, this, this.obj);
 				retval = "<a href='"+href+"' target='_blank'>"+retval+"</a>";
 			} else if (/^(feed|ftps|sftp|ftp|http|https):\/\/(\w+:{0,1}\w*@)?(\S+)(:[0-9]+)?(\/|\/([\w#!:.?+=&%@!\-\/]))?$/.test(retval)){
 				retval = "<a href='"+retval+"' target='_blank'>"+retval+"</a>";
@@ -187,9 +190,10 @@ botoweb.Property = function(name, type, perm, model, opt) {
 					return;
 				}
 
-				var tbl = botoweb.ldb.tables[botoweb.ldb.prop_to_table(this)];
+				var ldb = this.meta.model.env.ldb;
+				var tbl = ldb.tables[ldb.prop_to_table(this)];
 
-				botoweb.ldb.dbh.transaction(function (txn) {
+				ldb.dbh.transaction(function (txn) {
 					new botoweb.sql.Query(
 							tbl.c.val,
 							(('key' in tbl.c) ? tbl.c.key : tbl.c.id),
@@ -333,8 +337,10 @@ botoweb.Property = function(name, type, perm, model, opt) {
 			break;
 		case 's3key':
 			this.format_val = function (data, opt) {
-				var base_url = document.location.protocol + "//" + document.location.hostname + "/" + botoweb.env.base_url;
-				if(/Chrome/.test(navigator.userAgent)){
+				var base_url = env.base_url;
+				if (typeof document != 'undefined')
+					base_url = document.location.protocol + "//" + document.location.hostname + "/" + base_url;
+				if(typeof navigator != 'undefined' && /Chrome/.test(navigator.userAgent)){
 					base_url = "view-source:" + base_url;
 				}
 				return "<a target='_blank' href='" + base_url + "/" + this.obj_model.href + "/" + (opt.obj || this.obj_id) + "/" + this.meta.name + "'>View</a>";
@@ -384,9 +390,10 @@ botoweb.Property = function(name, type, perm, model, opt) {
 
 			var self = this;
 
-			var tbl = botoweb.ldb.tables[botoweb.ldb.prop_to_table(this)];
+			var ldb = this.meta.model.env.ldb;
+			var tbl = ldb.tables[ldb.prop_to_table(this)];
 
-			botoweb.ldb.dbh.transaction(function (txn) {
+			ldb.dbh.transaction(function (txn) {
 				new botoweb.sql.Query(
 						tbl.c.val,
 						tbl.c.key,       // may not exist
@@ -564,7 +571,7 @@ botoweb.Property = function(name, type, perm, model, opt) {
 		setTimeout(function () {
 			self.meta.ref_props = [];
 
-			var ref_model = botoweb.env.models[self.meta.item_type];
+			var ref_model = env.models[self.meta.item_type];
 
 			if (!ref_model)
 				return;
@@ -0,0 +1,219 @@
+/**
+ * Builds queries for botoweb with a chainable interface. Queries are stored in
+ * the same [name, op, value] filter format which Model.query and the local
+ * database already accept, and serialize to the JSON expected by the ?query=
+ * parameter of a botoweb API.
+ */
+
+/**
+ * Represents a botoweb query. Any filters given in [name, op, value] format
+ * (or as a {name: value} map of = filters) are added with where().
+ *
+ * Example:
+ * new botoweb.Query()
+ *     .where('status', '=', 'open').or('pending')
+ *     .where('name', 'starts-with', 'A')
+ *     .sort('sys_modstamp', 'desc')
+ *     .limit(50);
+ *
+ * @param {Array|Object} filters Optional initial filters.
+ * @constructor
+ */
+botoweb.Query = function (filters) {
+	var self = this;
+
+	/**
+	 * The filters in [name, op, value] format, including sort, limit and
+	 * offset pseudo-operators.
+	 * @type {[Array]}
+	 */
+	this.parts = [];
+
+	/**
+	 * Adds a condition. All conditions must match. The name may be an array
+	 * (or a comma separated string) of property names, any of which may
+	 * match, and the value may be an array of values, any of which may match.
+	 *
+	 * @param {String|[String]} prop The property name(s).
+	 * @param {String} op One of the operators in botoweb.Query.ops.
+	 * @param {String|[String]} value The value(s) to compare against, null
+	 * matches an empty property.
+	 * @return The Query for chaining.
+	 */
+	this.where = function (prop, op, value) {
+		switch (op) {
+			case 'sort':
+				return this.sort(prop, value);
+			case 'limit':
+				return this.limit(value);
+			case 'offset':
+				return this.offset(value);
+		}
+
+		if ($.inArray(op, botoweb.Query.ops) < 0)
+			throw new Error('Unsupported query operator "' + op + '" for ' + prop);
+
+		if (typeof prop == 'string' && prop.indexOf(',') > 0)
+			prop = prop.split(',');
+
+		this.parts.push([prop, op, value]);
+
+		return this;
+	};
+
+	/**
+	 * Allows the most recent where() condition to match additional values.
+	 *
+	 * @param {String|[String]} value The alternative value(s).
+	 * @return The Query for chaining.
+	 */
+	this.or = function (value) {
+		var last;
+
+		for (var i = this.parts.length - 1; i >= 0; i--) {
+			if (!(this.parts[i][1] in pseudo_ops)) {
+				last = this.parts[i];
+				break;
+			}
+		}
+
+		if (!last)
+			throw new Error('Query or() must follow a where() condition');
+
+		if (!$.isArray(last[2]))
+			last[2] = [last[2]];
+
+		last[2] = last[2].concat(value);
+
+		return this;
+	};
+
+	/**
+	 * Sorts the results by a property. May be called more than once.
+	 *
+	 * @param {String} prop The property name.
+	 * @param {'asc'|'desc'} dir The sort direction, defaults to asc.
+	 * @return The Query for chaining.
+	 */
+	this.sort = function (prop, dir) {
+		this.parts.push([prop, 'sort', dir || 'asc']);
+
+		return this;
+	};
+
+	/**
+	 * Limits the number of results.
+	 *
+	 * @param {Integer} num The maximum number of results.
+	 * @return The Query for chaining.
+	 */
+	this.limit = function (num) {
+		return set_pseudo('limit', num);
+	};
+
+	/**
+	 * Skips a number of results, for use with limit.
+	 *
+	 * @param {Integer} num The number of results to skip.
+	 * @return The Query for chaining.
+	 */
+	this.offset = function (num) {
+		return set_pseudo('offset', num);
+	};
+
+	/**
+	 * @return A copy of the filters in [name, op, value] format.
+	 */
+	this.to_filters = function () {
+		var filters = [];
+
+		for (var i = 0; i < this.parts.length; i++)
+			filters.push(this.parts[i].slice());
+
+		return filters;
+	};
+
+	/**
+	 * @return The query as it is sent to botoweb, in which values are
+	 * strings or null.
+	 */
+	this.toJSON = function () {
+		var value_to_json = function (v) {
+			if (v === null || v === undefined)
+				return null;
+
+			return '' + v;
+		};
+
+		var filters = [];
+
+		for (var i = 0; i < this.parts.length; i++) {
+			var part = this.parts[i];
+			var value = part[2];
+
+			if ($.isArray(value)) {
+				var values = [];
+
+				for (var j = 0; j < value.length; j++)
+					values.push(value_to_json(value[j]));
+
+				value = values;
+			}
+			else
+				value = value_to_json(value);
+
+			filters.push([part[0], part[1], value]);
+		}
+
+		return filters;
+	};
+
+	/**
+	 * @return The JSON string for the ?query= parameter (not URL encoded).
+	 */
+	this.toString = function () {
+		return JSON.stringify(this.toJSON());
+	};
+
+	var pseudo_ops = { sort: 1, limit: 1, offset: 1 };
+
+	function set_pseudo (op, num) {
+		self.parts = $.grep(self.parts, function (part) {
+			return part[1] != op;
+		});
+
+		self.parts.push(['', op, num]);
+
+		return self;
+	}
+
+	if ($.isArray(filters)) {
+		$.each(filters, function () {
+			self.where(this[0], this[1], this[2]);
+		});
+	}
+	else if (filters) {
+		$.each(filters, function (name, val) {
+			self.where(name, '=', val);
+		});
+	}
+};
+
+/**
+ * The comparison operators supported by botoweb.
+ */
+botoweb.Query.ops = ['=', '>=', '<=', '!=', '<', '>', 'starts-with', 'ends-with', 'like', 'not like'];
+
+/**
+ * Returns the argument if it is already a Query, otherwise builds a Query
+ * from filters in [name, op, value] format.
+ *
+ * @param {botoweb.Query|Array} query The query or filters.
+ * @return A botoweb.Query.
+ */
+botoweb.Query.from = function (query) {
+	if (query instanceof botoweb.Query)
+		return query;
+
+	return new botoweb.Query(query);
+};
@@ -106,7 +106,7 @@ botoweb.sql = {
 			var query = this;
 
 			// Convert implicit = (hash map) filters to explicit format
-			filters = botoweb.ldb.normalize_filters(filters);
+			filters = tbl.model.env.ldb.normalize_filters(filters);
 
 			var limit = 0;
 			var start = 0;
@@ -293,10 +293,15 @@ botoweb.sql = {
 		 * @param {Transaction} txn A database transaction.
 		 * @param {Function} fnc Called when the results are retrieved, gets
 		 * (transaction, results) as arguments.
+		 * @param {Function} error Optional, called with the SQLError if the
+		 * query fails.
 		 */
-		this.all = function (txn, fnc) {
+		this.all = function (txn, fnc, error) {
 			txn.executeSql(this, this.bind_params, this.simplify_results(fnc), function (txn, e) {
 				console.error(e);
+
+				if (error)
+					error(e);
 			});
 		};
 
@@ -332,8 +337,10 @@ botoweb.sql = {
 		 * @param {Transaction} txn A database transaction.
 		 * @param {Function} fnc Called when the count retrieved, gets (count)
 		 * argument.
+		 * @param {Function} error Optional, called with the SQLError if the
+		 * count fails.
 		 */
-		this.count = function (txn, fnc) {
+		this.count = function (txn, fnc, error) {
 			var tbl = this.columns[0];
 
 			if (tbl instanceof botoweb.sql.Column)
@@ -351,7 +358,7 @@ botoweb.sql = {
 			count_query.all(txn, function(results) {
 				for (i in results[0])
 					return fnc(results[0][i]);
-			});
+			}, error);
 		};
 
 		/**
@@ -389,7 +396,7 @@ botoweb.sql = {
 					row_meta = $.map(tbl.model.props, function (prop) {
 						return {
 							prop: prop,
-							col: botoweb.ldb.prop_to_column(prop),
+							col: tbl.model.env.ldb.prop_to_column(prop),
 							is_list: prop.is_type('list', 'complexType'),
 							is_ref: prop.is_type('reference')
 						}
@@ -448,7 +455,7 @@ botoweb.sql = {
 						setTimeout(function () {
 							rows = null;
 							results = null;
-							botoweb.ldb.dbh.transaction(function (txn) {
+							(tbl.table || tbl).model.env.ldb.dbh.transaction(function (txn) {
 								query.page(txn, fnc, page + 1);
 							});
 						}, 50);
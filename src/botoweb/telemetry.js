@@ -0,0 +1,246 @@
+/**
+ * Records every data operation from the log and log_end events on botoweb
+ * (see botoweb.util.log_op) in a ring buffer of the last cfg.telemetry.size
+ * entries. Each entry has the request_id, op, method, model, url, local flag,
+ * start and end times, duration, status, results, and for remote operations
+ * the number of requests, pages and bytes received, responses served from
+ * the cache and the last HTTP status. The markup page which was showing is
+ * recorded as page.
+ *
+ * From the console:
+ *
+ * botoweb.telemetry.entries({ model: 'User', status: 'error' });
+ * botoweb.telemetry.summary('page');
+ *
+ * Operations also appear as User Timing measures in the browser's
+ * performance tools, and exporters added with use() receive each finished
+ * entry, e.g. to send them to a server:
+ *
+ * botoweb.telemetry.use(function (entry) {
+ *     navigator.sendBeacon('/telemetry', JSON.stringify(entry));
+ * });
+ */
+(function ($) {
+
+botoweb.telemetry = {
+	/**
+	 * The entries, in the order they were recorded until the buffer is full,
+	 * after which each new entry replaces the oldest.
+	 */
+	buffer: [],
+
+	/**
+	 * The position of the oldest entry once the buffer is full.
+	 */
+	next: 0,
+
+	/**
+	 * Functions which receive each finished entry.
+	 */
+	exporters: [],
+
+	/**
+	 * @param {String} url Optional, the url of an entry.
+	 * @return The telemetry settings of the environment the URL belongs to,
+	 * see botoweb.env_for.
+	 */
+	config: function (url) {
+		var cfg = botoweb.env_for(url).cfg;
+
+		return (cfg && cfg.telemetry) || { enabled: true, size: 500, marks: true };
+	},
+
+	/**
+	 * Adds an exporter, a function which receives each entry once its
+	 * operation has finished.
+	 *
+	 * @param {Function} exporter The exporter.
+	 * @return A function which removes the exporter.
+	 */
+	use: function (exporter) {
+		$telemetry.exporters.push(exporter);
+
+		return function () {
+			$telemetry.exporters = $.grep($telemetry.exporters, function (e) {
+				return e !== exporter;
+			});
+		};
+	},
+
+	/**
+	 * Adds an entry to the buffer, replacing the oldest one if it is full.
+	 * The buffer is shared by every environment, so its size is the one of
+	 * the default environment.
+	 */
+	record: function (entry) {
+		var size = $telemetry.config().size;
+
+		if ($telemetry.buffer.length < size)
+			$telemetry.buffer.push(entry);
+		else {
+			$telemetry.buffer[$telemetry.next] = entry;
+			$telemetry.next = ($telemetry.next + 1) % size;
+		}
+	},
+
+	/**
+	 * Lists the recorded entries, oldest first.
+	 *
+	 * @param {Object|Function} filter Optional, the values which entries must
+	 * have, or a function which returns true for the entries to keep.
+	 * @return An array of entries.
+	 */
+	entries: function (filter) {
+		var buffer = $telemetry.buffer;
+		var entries = buffer.slice($telemetry.next).concat(buffer.slice(0, $telemetry.next));
+
+		if (!filter)
+			return entries;
+
+		return $.grep(entries, function (entry) {
+			if ($.isFunction(filter))
+				return filter(entry);
+
+			for (var key in filter) {
+				if (entry[key] !== filter[key])
+					return false;
+			}
+
+			return true;
+		});
+	},
+
+	/**
+	 * Totals the recorded entries by one of their fields, such as page or
+	 * model, most requests first.
+	 *
+	 * @param {String} key The field to group by, page by default.
+	 * @return An array of {key, ops, requests, cached, pages, bytes,
+	 * duration, errors}.
+	 */
+	summary: function (key) {
+		key = key || 'page';
+
+		var groups = {};
+		var summary = [];
+
+		$.each($telemetry.entries(), function (i, entry) {
+			var name = entry[key];
+			var group = groups[name];
+
+			if (!group) {
+				group = groups[name] = { key: name, ops: 0, requests: 0, cached: 0, pages: 0, bytes: 0, duration: 0, errors: 0 };
+				summary.push(group);
+			}
+
+			group.ops++;
+			group.requests += entry.requests;
+			group.cached += entry.cached;
+			group.pages += entry.pages;
+			group.bytes += entry.bytes;
+			group.duration += entry.duration || 0;
+
+			if (entry.status == 'error')
+				group.errors++;
+		});
+
+		return summary.sort(function (a, b) {
+			return b.requests - a.requests;
+		});
+	},
+
+	/**
+	 * Empties the buffer.
+	 */
+	clear: function () {
+		$telemetry.buffer = [];
+		$telemetry.next = 0;
+	}
+};
+
+var $telemetry = botoweb.telemetry;
+
+var timing = (typeof performance != 'undefined') ? performance : null;
+
+// Adds a User Timing mark for an entry, or a measure from the start mark if
+// start is given
+function mark (entry, name, start) {
+	if (!$telemetry.config(entry.url).marks || !timing || !timing.mark)
+		return;
+
+	try {
+		timing.mark(name);
+
+		if (start) {
+			timing.measure(start.replace(/:start$/, ''), start, name);
+			timing.clearMarks(start);
+			timing.clearMarks(name);
+		}
+	} catch (e) { }
+}
+
+$(botoweb).bind('log', function (e, entry) {
+	if (!$telemetry.config(entry.url).enabled)
+		return;
+
+	var ui = botoweb.ui;
+
+	entry.page = (ui && ui.page && ui.page.location) ? ui.page.location.hash_href : '';
+
+	$telemetry.record(entry);
+
+	mark(entry, 'botoweb ' + entry.op + ' ' + entry.model + ' #' + entry.request_id + ':start');
+});
+
+$(botoweb).bind('log_end', function (e, entry) {
+	if (!$telemetry.config(entry.url).enabled)
+		return;
+
+	var name = 'botoweb ' + entry.op + ' ' + entry.model + ' #' + entry.request_id;
+
+	mark(entry, name + ':end', name + ':start');
+
+	$.each($telemetry.exporters, function (i, exporter) {
+		try {
+			exporter(entry);
+		} catch (e) {
+			console.error(e);
+		}
+	});
+});
+
+// Counts the requests made for each operation. Responses from
+// botoweb.ajax.cache never reach the request phase, they are counted as
+// cached instead.
+botoweb.ajax.use({
+	request: function (req) {
+		if (req.log) {
+			req.log.requests++;
+			req.log_sent = true;
+		}
+
+		return req;
+	},
+
+	response: function (response, req) {
+		if (!req.log)
+			return response;
+
+		if (!req.log_sent) {
+			req.log.cached++;
+			return response;
+		}
+
+		var length = response.getResponseHeader('Content-Length');
+
+		req.log.http_status = response.status;
+		req.log.bytes += (length) ? 1 * length : (response.responseText || '').length;
+
+		if (req.method == 'GET' && botoweb.ajax.is_success(response))
+			req.log.pages++;
+
+		return response;
+	}
+});
+
+})(jQuery);
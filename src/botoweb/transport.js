@@ -0,0 +1,396 @@
+/**
+ * Transport adapters which carry out HTTP requests for botoweb.ajax. All data
+ * access goes through botoweb.ajax.request, which passes each request to the
+ * active transport (botoweb.ajax.transport, or cfg.transport in the
+ * Environment config). A transport is any object with a request method:
+ *
+ * request({method, url, headers, body, signal}) returns a Promise which
+ * resolves with a response from botoweb.transport.response for any HTTP
+ * status, and rejects only if no response was received (network failure or
+ * an aborted signal).
+ *
+ * Responses mimic an XMLHttpRequest (status, statusText, responseText,
+ * getResponseHeader) so that callbacks which receive them as xhr keep
+ * working, and also carry the parsed body as data.
+ */
+(function ($) {
+
+botoweb.transport = {
+	/**
+	 * Creates a response object.
+	 *
+	 * @param {Object} spec The status, statusText, headers (a map or a raw
+	 * header string), body text and optionally the already parsed data and
+	 * the request.
+	 * @return The response.
+	 */
+	response: function (spec) {
+		var headers = spec.headers || {};
+
+		if (typeof headers == 'string')
+			headers = $transport.parse_headers(headers);
+
+		var response = {
+			status: spec.status || 0,
+			statusText: spec.statusText || '',
+			headers: {},
+			responseText: (spec.body === undefined || spec.body === null) ? '' : '' + spec.body,
+			data: spec.data,
+			request: spec.request,
+
+			getResponseHeader: function (name) {
+				var val = this.headers[('' + name).toLowerCase()];
+
+				return (val === undefined) ? null : val;
+			},
+
+			getAllResponseHeaders: function () {
+				var lines = [];
+
+				for (var name in this.headers)
+					lines.push(name + ': ' + this.headers[name]);
+
+				return lines.join('\r\n');
+			}
+		};
+
+		$.each(headers, function (name, val) {
+			response.headers[name.toLowerCase()] = '' + val;
+		});
+
+		if (response.data === undefined)
+			response.data = $transport.parse_body(response);
+
+		return response;
+	},
+
+	/**
+	 * Parses a raw HTTP header block into a map of lowercase names to values.
+	 */
+	parse_headers: function (str) {
+		var headers = {};
+
+		$.each((str || '').split(/\r?\n/), function (i, line) {
+			var m = /^([^:]+):\s*(.*)$/.exec(line);
+
+			if (m)
+				headers[m[1].toLowerCase()] = m[2];
+		});
+
+		return headers;
+	},
+
+	/**
+	 * Parses XML responses into a Document with botoweb.xml.parse, anything
+	 * else is left as text.
+	 */
+	parse_body: function (response) {
+		var ct = response.getResponseHeader('Content-Type') || '';
+
+		if (ct.indexOf('xml') >= 0 && response.responseText)
+			return botoweb.xml.parse(response.responseText);
+
+		return response.responseText;
+	},
+
+	/**
+	 * Converts a request body to a string, serializing XML Documents with
+	 * botoweb.xml.serialize.
+	 */
+	serialize_body: function (body) {
+		if (body === undefined || body === null)
+			return undefined;
+
+		if (typeof body == 'string')
+			return body;
+
+		return botoweb.xml.serialize(body);
+	},
+
+	/**
+	 * Uses jQuery. This is the default transport in the browser.
+	 */
+	jquery: {
+		request: function (req) {
+			return new Promise(function (resolve, reject) {
+				var aborted = false;
+				var xhr;
+
+				var from_xhr = function (xhr, data) {
+					return $transport.response({
+						status: xhr.status,
+						statusText: xhr.statusText,
+						headers: xhr.getAllResponseHeaders(),
+						body: xhr.responseText,
+						data: data
+					});
+				};
+
+				var opts = {
+					type: req.method || 'GET',
+					url: req.url,
+					data: req.body,
+					processData: false,
+					beforeSend: function (x) {
+						xhr = x;
+
+						$.each(req.headers || {}, function (name, val) {
+							x.setRequestHeader(name, val);
+						});
+					},
+					success: function (data, status, x) {
+						if (!aborted)
+							resolve(from_xhr(x || xhr, data));
+					},
+					error: function (xhr) {
+						if (aborted)
+							return;
+
+						// Any HTTP status is a response, status 0 means the
+						// request never completed
+						if (xhr && xhr.status)
+							resolve(from_xhr(xhr));
+						else {
+							var e = new Error('Network error: ' + req.url);
+							e.response = $transport.response({ status: 0, statusText: 'error' });
+							reject(e);
+						}
+					}
+				};
+
+				// HEAD responses have no body, do not let jQuery try to parse it
+				if (opts.type == 'HEAD')
+					opts.dataType = 'text';
+
+				$util.on_abort(req.signal, function () {
+					aborted = true;
+
+					if (xhr) {
+						try {
+							xhr.abort();
+						} catch (e) { }
+					}
+
+					reject($util.abort_error(req.signal));
+				});
+
+				if (aborted)
+					return;
+
+				$.ajax(opts);
+			});
+		}
+	},
+
+	/**
+	 * Uses the Fetch API, available in modern browsers and Node 18+. Relative
+	 * URLs are only supported in the browser.
+	 */
+	fetch: {
+		request: function (req) {
+			return fetch(req.url, {
+				method: req.method || 'GET',
+				headers: req.headers || {},
+				body: $transport.serialize_body(req.body),
+				signal: req.signal,
+				credentials: 'same-origin'
+			}).then(function (r) {
+				return r.text().then(function (text) {
+					var headers = {};
+
+					r.headers.forEach(function (val, name) {
+						headers[name] = val;
+					});
+
+					return $transport.response({
+						status: r.status,
+						statusText: r.statusText,
+						headers: headers,
+						body: text
+					});
+				});
+			}, function (e) {
+				if (req.signal && req.signal.aborted)
+					throw $util.abort_error(req.signal);
+
+				e.response = $transport.response({ status: 0, statusText: 'error' });
+				throw e;
+			});
+		}
+	},
+
+	/**
+	 * Creates a transport using the http and https modules of Node.js, for
+	 * scripts which run on versions of Node without fetch.
+	 *
+	 * Options include:
+	 * * headers - headers to send with every request, e.g. Cookie
+	 *
+	 * @param {Object} opt Options.
+	 * @return The transport.
+	 */
+	node: function (opt) {
+		opt = opt || {};
+
+		return {
+			request: function (req) {
+				return new Promise(function (resolve, reject) {
+					var url = new URL(req.url);
+					var lib = require((url.protocol == 'https:') ? 'https' : 'http');
+					var body = $transport.serialize_body(req.body);
+					var headers = $.extend({}, opt.headers, req.headers);
+
+					if (body !== undefined)
+						headers['Content-Length'] = Buffer.byteLength(body);
+
+					var request = lib.request(url, {
+						method: req.method || 'GET',
+						headers: headers
+					}, function (res) {
+						var chunks = [];
+
+						res.setEncoding('utf8');
+						res.on('data', function (chunk) {
+							chunks.push(chunk);
+						});
+						res.on('end', function () {
+							resolve($transport.response({
+								status: res.statusCode,
+								statusText: res.statusMessage,
+								headers: res.headers,
+								body: chunks.join('')
+							}));
+						});
+					});
+
+					request.on('error', function (e) {
+						if (req.signal && req.signal.aborted)
+							return reject($util.abort_error(req.signal));
+
+						e.response = $transport.response({ status: 0, statusText: 'error' });
+						reject(e);
+					});
+
+					$util.on_abort(req.signal, function () {
+						request.destroy();
+					});
+
+					if (body !== undefined)
+						request.write(body);
+
+					request.end();
+				});
+			}
+		};
+	},
+
+	/**
+	 * An in-memory transport which answers requests from registered
+	 * handlers, for tests and offline development. Requests which match no
+	 * handler receive a 404. Every request is recorded in requests.
+	 *
+	 * @constructor
+	 */
+	Mock: function () {
+		var self = this;
+
+		/**
+		 * Every request received, in order.
+		 */
+		this.requests = [];
+
+		this.handlers = [];
+
+		/**
+		 * Registers a handler. Later handlers take precedence.
+		 *
+		 * @param {String} method The HTTP method, or * for any.
+		 * @param {String|RegExp} url The full URL, or a RegExp tested against
+		 * it.
+		 * @param {Object|Function} handler A response spec for
+		 * botoweb.transport.response, or a function receiving the request
+		 * (and any RegExp match) which returns a spec, a response or a
+		 * Promise of either.
+		 * @return The Mock for chaining.
+		 */
+		this.on = function (method, url, handler) {
+			this.handlers.unshift({ method: method.toUpperCase(), url: url, handler: handler });
+
+			return this;
+		};
+
+		/**
+		 * Streams a response from the handlers as botoweb JSON objects, so
+		 * that the Mock may be used as a streaming transport (see
+		 * botoweb.transport.stream). Text/event-stream is requested unless
+		 * req has another Accept header.
+		 *
+		 * @return A Promise which resolves once every object was handed over.
+		 */
+		this.stream = function (req, on_item) {
+			req = $.extend({ method: 'GET' }, req, { headers: $.extend({ 'Accept': 'text/event-stream' }, req.headers) });
+
+			return self.request(req).then(function (response) {
+				return $transport.stream_response(response, req, on_item);
+			});
+		};
+
+		/**
+		 * Removes all handlers and recorded requests.
+		 */
+		this.reset = function () {
+			this.requests = [];
+			this.handlers = [];
+
+			return this;
+		};
+
+		this.request = function (req) {
+			req = $.extend({ method: 'GET', headers: {} }, req);
+			self.requests.push(req);
+
+			if (req.signal && req.signal.aborted)
+				return Promise.reject($util.abort_error(req.signal));
+
+			var match;
+			var found;
+
+			$.each(self.handlers, function (i, h) {
+				if (h.method != '*' && h.method != req.method)
+					return;
+
+				if (typeof h.url == 'string')
+					match = (h.url == req.url) ? [req.url] : null;
+				else
+					match = h.url.exec(req.url);
+
+				if (match) {
+					found = h;
+					return false;
+				}
+			});
+
+			if (!found)
+				return Promise.resolve($transport.response({ status: 404, statusText: 'Not Found' }));
+
+			return Promise.resolve()
+				.then(function () {
+					return ($.isFunction(found.handler)) ? found.handler(req, match) : found.handler;
+				})
+				.then(function (spec) {
+					if (req.signal && req.signal.aborted)
+						throw $util.abort_error(req.signal);
+
+					if (spec && spec.getResponseHeader)
+						return spec;
+
+					return $transport.response($.extend({ status: 200 }, spec));
+				});
+		};
+	}
+};
+
+var $transport = botoweb.transport;
+var $util = botoweb.util;
+
+})(jQuery);
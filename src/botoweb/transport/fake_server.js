@@ -0,0 +1,1213 @@
+/**
+ * An in-memory stand-in for a botoweb API, so that the Environment, Models,
+ * sync and markup can be tried out and tested without a server. It serves
+ * the Index with the api model definitions, paged collections with
+ * link rel=next (or Server-Sent Events of JSON objects when requested with
+ * Accept: text/event-stream, see botoweb.data), X-Result-Count for HEAD and
+ * GET, ?query= filters in the botoweb.Query JSON format, simple ?name=value
+ * filters, PUT, POST and DELETE with ETags, and a Trash model listing
+ * deleted objects.
+ *
+ * Fixtures are plain objects, usually kept in JSON files:
+ *
+ * {
+ *     "name": "example",
+ *     "version": "1.0",
+ *     "user": { "model": "User", "id": "1" },
+ *     "models": {
+ *         "User": {
+ *             "href": "users",
+ *             "properties": [
+ *                 { "name": "name", "type": "string", "description": "Name" },
+ *                 { "name": "manager", "type": "reference", "item_type": "User" },
+ *                 { "name": "reports", "type": "query", "item_type": "User", "reference_name": "manager" },
+ *                 { "name": "sys_modstamp", "type": "dateTime", "perm": "read" }
+ *             ]
+ *         }
+ *     },
+ *     "objects": {
+ *         "User": [{ "id": "1", "name": "Alice" }, { "id": "2", "name": "Bob", "manager": "1" }]
+ *     }
+ * }
+ *
+ * Properties take the same attributes as the api XML, perm defaults to
+ * "read write" and methods to GET, POST, PUT and DELETE. A model may name
+ * the model it subclasses as its parent, it lists the inherited properties
+ * too, and its objects are included when the parent model is listed. Object values are
+ * strings (reference values are ids), arrays for lists, or {key: value} maps
+ * for complexType properties. Objects of models with a sys_modstamp property
+ * have it set whenever they are saved.
+ *
+ * With the Mock transport, e.g. in Node.js (see botoweb.node.js):
+ *
+ * botoweb.transport.FakeServer.load('example/fixtures/example.json').then(function (server) {
+ *     var mock = server.install(new botoweb.transport.Mock());
+ *
+ *     botoweb.init(server.base_url, { transport: mock }, function () { ... });
+ * });
+ *
+ * The server is also a transport by itself, and in Node.js it can listen on
+ * a local port for clients which need real HTTP, such as a browser page:
+ *
+ * server.listen(8080).then(function () {
+ *     // server.base_url is now http://localhost:8080/api/
+ * });
+ */
+(function ($) {
+
+/**
+ * @param {Object|[Object]} fixtures The fixtures, see above.
+ * @param {Object} opt Options, base_url (http://localhost/api/ by default)
+ * and page_size (the number of objects per page, 20 by default).
+ * @constructor
+ */
+botoweb.transport.FakeServer = function (fixtures, opt) {
+	var self = this;
+
+	opt = opt || {};
+
+	this.base_url = opt.base_url || 'http://localhost/api/';
+	this.page_size = opt.page_size || 20;
+	this.name = 'botoweb';
+	this.version = '1';
+	this.user = null;
+
+	/**
+	 * The model definitions by name, in the fixture format.
+	 */
+	this.models = {};
+	this.model_names = [];
+
+	/**
+	 * The stored objects of each model, in the order they were added. Each
+	 * object is {id, data} where data maps property names to arrays of
+	 * values, or to a map for complexType properties.
+	 */
+	this.objects = {};
+
+	/**
+	 * Deleted objects, each {model, id, sys_modstamp}.
+	 */
+	this.trash = [];
+
+	/**
+	 * Every request received, in order.
+	 */
+	this.requests = [];
+
+	/**
+	 * Handlers of custom methods by model name and method name, see method.
+	 */
+	this.handlers = {};
+
+	var versions = {};
+	var last_id = 0;
+
+	/**
+	 * Adds model definitions and objects. Objects replace any stored object
+	 * with the same id.
+	 *
+	 * @param {Object|[Object]} fixtures The fixtures.
+	 * @return The FakeServer for chaining.
+	 */
+	this.add = function (fixtures) {
+		if ($.isArray(fixtures)) {
+			$.each(fixtures, function (i, f) {
+				self.add(f);
+			});
+
+			return this;
+		}
+
+		if (!fixtures)
+			return this;
+
+		if (fixtures.name)
+			this.name = fixtures.name;
+
+		if (fixtures.version)
+			this.version = '' + fixtures.version;
+
+		if (fixtures.user)
+			this.user = fixtures.user;
+
+		$.each(fixtures.models || {}, function (name, def) {
+			if (!(name in self.models)) {
+				self.model_names.push(name);
+				self.objects[name] = [];
+			}
+
+			self.models[name] = $.extend({ name: name, href: name, properties: [] }, self.models[name], def);
+		});
+
+		// Deleted objects are listed by a Trash model unless the fixtures
+		// define their own
+		if (!('Trash' in this.models) && this.model_names.length) {
+			this.add({ models: { Trash: {
+				href: 'trash',
+				methods: { get: 'List deleted objects' },
+				properties: [{ name: 'sys_modstamp', type: 'dateTime', perm: 'read', description: 'Deleted' }]
+			} } });
+		}
+
+		$.each(fixtures.objects || {}, function (name, objs) {
+			if (!(name in self.models))
+				throw new Error('Fixture objects for unknown model ' + name);
+
+			$.each(objs, function (i, values) {
+				var obj = { id: '' + values.id, data: {} };
+
+				$.each(values, function (prop, val) {
+					if (prop != 'id')
+						obj.data[prop] = normalize(val);
+				});
+
+				self.put(name, obj);
+			});
+		});
+
+		return this;
+	};
+
+	/**
+	 * @return The stored object {id, data} of a model, or undefined.
+	 */
+	this.find = function (model_name, id) {
+		var found;
+
+		$.each(this.objects[model_name] || [], function (i, obj) {
+			if (obj.id == id) {
+				found = obj;
+				return false;
+			}
+		});
+
+		return found;
+	};
+
+	/**
+	 * @return The model name of the object with the id, searching every
+	 * model, or undefined.
+	 */
+	this.model_of = function (id) {
+		var found;
+
+		$.each(this.model_names, function (i, name) {
+			if (self.find(name, id)) {
+				found = name;
+				return false;
+			}
+		});
+
+		return found;
+	};
+
+	/**
+	 * Stores an object, replacing any object with the same id, and gives it a
+	 * new ETag.
+	 */
+	this.put = function (model_name, obj) {
+		var objs = this.objects[model_name];
+		var existing = this.find(model_name, obj.id);
+
+		if (existing)
+			objs[$.inArray(existing, objs)] = obj;
+		else
+			objs.push(obj);
+
+		versions[model_name + '/' + obj.id] = (versions[model_name + '/' + obj.id] || 0) + 1;
+
+		return obj;
+	};
+
+	/**
+	 * Deletes an object and lists it in the Trash.
+	 */
+	this.remove = function (model_name, id) {
+		var obj = this.find(model_name, id);
+
+		if (!obj)
+			return false;
+
+		this.objects[model_name] = $.grep(this.objects[model_name], function (o) {
+			return o !== obj;
+		});
+
+		delete versions[model_name + '/' + id];
+
+		this.trash.push({ model: model_name, id: '' + id, sys_modstamp: now() });
+
+		return true;
+	};
+
+	/**
+	 * @return The ETag of a stored object.
+	 */
+	this.etag = function (model_name, id) {
+		return '"' + id + '-' + versions[model_name + '/' + id] + '"';
+	};
+
+	/**
+	 * Handles POSTs to a custom method the model declares in its methods, at
+	 * {href}/{method} or {href}/{id}/{method}. The handler receives the stored
+	 * object (null for the model), the request body and the request, and
+	 * returns the object or array of objects to send back, or a response
+	 * spec. Without a handler the object is sent back, or nothing for the
+	 * model.
+	 *
+	 * @return The FakeServer for chaining.
+	 */
+	this.method = function (model_name, name, handler) {
+		this.handlers[model_name + '.' + name] = handler;
+
+		return this;
+	};
+
+	/**
+	 * Answers a request.
+	 *
+	 * @param {Object} req The method, url, headers and body (XML text or a
+	 * Document) of the request.
+	 * @return A response spec for botoweb.transport.response.
+	 */
+	this.handle = function (req) {
+		var method = (req.method || 'GET').toUpperCase();
+		var url = '' + req.url;
+		var qs = '';
+
+		if (url.indexOf('?') >= 0) {
+			qs = url.substring(url.indexOf('?') + 1);
+			url = url.substring(0, url.indexOf('?'));
+		}
+
+		// Compare paths only, the host differs when listening on a port
+		var base = path_of(this.base_url);
+		var path = path_of(url);
+
+		if (path.indexOf(base) != 0 && path + '/' != base)
+			return error(404, 'Not Found', url);
+
+		var parts = $.grep(path.substring(base.length).split('/'), function (p) {
+			return p !== '';
+		});
+
+		parts = $.map(parts, function (p) {
+			return decodeURIComponent(p);
+		});
+
+		if (!parts.length) {
+			if (method != 'GET' && method != 'HEAD')
+				return error(405, 'Method Not Allowed', url);
+
+			return xml_response(200, index_xml(), { 'Date': new Date().toUTCString() }, method);
+		}
+
+		var model_name;
+
+		$.each(this.model_names, function (i, name) {
+			if (self.models[name].href == parts[0]) {
+				model_name = name;
+				return false;
+			}
+		});
+
+		if (!model_name)
+			return error(404, 'Not Found', url);
+
+		var model = this.models[model_name];
+		var params = parse_params(qs);
+
+		try {
+			if (method == 'POST' && is_method(model, parts[parts.length - 1]) && parts.length <= 3)
+				return invoke(model, (parts.length == 3) ? parts[1] : null, parts[parts.length - 1], req, url);
+
+			if (parts.length == 1) {
+				if (method == 'POST')
+					return create(model, req);
+
+				if (method == 'GET' || method == 'HEAD')
+					return collection(model, params, url, method, /event-stream/.test((req.headers && req.headers['Accept']) || ''));
+
+				return error(405, 'Method Not Allowed', url);
+			}
+
+			if (model_name == 'Trash')
+				return error(405, 'Method Not Allowed', url);
+
+			// Objects of subclasses are also found through the base model
+			model_name = subclass_of(model_name, parts[1]);
+
+			if (!model_name)
+				return error(404, 'Not Found', url);
+
+			model = this.models[model_name];
+
+			var obj = this.find(model_name, parts[1]);
+
+			if (parts.length == 3)
+				return property(model, obj, parts[2], params, url, method);
+
+			if (parts.length > 3)
+				return error(404, 'Not Found', url);
+
+			if (req.headers && req.headers['If-Match'] && req.headers['If-Match'] != this.etag(model_name, obj.id))
+				return error(412, 'Precondition Failed', url);
+
+			switch (method) {
+				case 'GET':
+				case 'HEAD':
+					return object_response(200, model, obj, method);
+				case 'PUT':
+					return update(model, obj, req);
+				case 'DELETE':
+					this.remove(model_name, obj.id);
+					return { status: 204, statusText: 'No Content' };
+			}
+
+			return error(405, 'Method Not Allowed', url);
+		} catch (e) {
+			return error(400, 'Bad Request', e.message);
+		}
+	};
+
+	/**
+	 * Answers a request, so that the server may be used as a transport.
+	 *
+	 * @return A Promise which resolves with the response.
+	 */
+	this.request = function (req) {
+		self.requests.push(req);
+
+		if (req.signal && req.signal.aborted)
+			return Promise.reject($util.abort_error(req.signal));
+
+		return Promise.resolve().then(function () {
+			return botoweb.transport.response(self.handle(req));
+		});
+	};
+
+	/**
+	 * Streams a collection as botoweb JSON objects, so that the server may be
+	 * used as a streaming transport (see botoweb.transport.stream). The
+	 * objects are handed over one at a time, as they would arrive over a
+	 * network.
+	 *
+	 * @return A Promise which resolves once every object was handed over.
+	 */
+	this.stream = function (req, on_item) {
+		req = $.extend({}, req, { headers: $.extend({ 'Accept': 'text/event-stream' }, req.headers) });
+
+		return this.request(req).then(function (response) {
+			return botoweb.transport.stream_response(response, req, on_item);
+		});
+	};
+
+	/**
+	 * Registers the server as a handler of every request to its base_url.
+	 * The Mock streams through its handlers, so it may also be used as the
+	 * streaming transport.
+	 *
+	 * @param {botoweb.transport.Mock} mock The Mock transport.
+	 * @return The Mock.
+	 */
+	this.install = function (mock) {
+		var pattern = new RegExp('^' + this.base_url.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&').replace(/\\\/$/, '(\\/|$|\\?)'));
+
+		return mock.on('*', pattern, function (req) {
+			return self.handle(req);
+		});
+	};
+
+	/**
+	 * Serves the API over HTTP on a local port, Node.js only. The base_url is
+	 * changed to point at the port, keeping its path. Cross-origin requests
+	 * are allowed.
+	 *
+	 * @param {Integer} port The port, 0 for any free port.
+	 * @return A Promise which resolves with the http.Server once it listens.
+	 */
+	this.listen = function (port) {
+		var http = require('http');
+
+		return new Promise(function (resolve, reject) {
+			var server = http.createServer(function (request, res) {
+				var chunks = [];
+
+				request.setEncoding('utf8');
+				request.on('data', function (chunk) {
+					chunks.push(chunk);
+				});
+				request.on('end', function () {
+					var cors = {
+						'Access-Control-Allow-Origin': request.headers.origin || '*',
+						'Access-Control-Allow-Credentials': 'true',
+						'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, DELETE',
+						'Access-Control-Allow-Headers': 'Content-Type, If-Match',
+						'Access-Control-Expose-Headers': 'X-Result-Count, ETag, Date'
+					};
+
+					if (request.method == 'OPTIONS') {
+						res.writeHead(204, cors);
+						return res.end();
+					}
+
+					var spec = self.handle({
+						method: request.method,
+						url: self.base_url.replace(/^(\w+:\/\/[^\/]+).*$/, '$1') + request.url,
+						headers: {
+							'Accept': request.headers['accept'],
+							'If-Match': request.headers['if-match'],
+							'Content-Type': request.headers['content-type']
+						},
+						body: chunks.join('') || null
+					});
+
+					res.writeHead(spec.status, spec.statusText || http.STATUS_CODES[spec.status], $.extend(cors, spec.headers));
+					res.end((request.method == 'HEAD') ? '' : (spec.body || ''));
+				});
+			});
+
+			server.on('error', reject);
+			server.listen(port || 0, 'localhost', function () {
+				self.base_url = 'http://localhost:' + server.address().port + path_of(self.base_url);
+				self.http = server;
+				resolve(server);
+			});
+		});
+	};
+
+	// Whether the model is the base model or one of its subclasses
+	function is_a (name, base) {
+		for (var m = self.models[name]; m; m = self.models[m.parent]) {
+			if (m.name == base)
+				return true;
+		}
+
+		return false;
+	}
+
+	// The name of the model or subclass which has the object, or undefined
+	function subclass_of (name, id) {
+		var found;
+
+		$.each(self.model_names, function (i, n) {
+			if (is_a(n, name) && self.find(n, id)) {
+				found = n;
+				return false;
+			}
+		});
+
+		return found;
+	}
+
+	// The type a property is treated as, lists of models are references
+	function type_of (def) {
+		if (def.type == 'list')
+			return (def.item_type in self.models) ? 'reference' : def.item_type;
+
+		return def.type;
+	}
+
+	function index_xml () {
+		var xml = '<Index name="' + esc(self.name) + '" version="' + esc(self.version) + '">';
+
+		$.each(self.model_names, function (i, name) {
+			var model = self.models[name];
+			var methods = model.methods || { get: 'Get', post: 'Create', put: 'Update', 'delete': 'Delete' };
+
+			xml += '<api name="' + esc(name) + '"' + ((model.parent) ? ' parent="' + esc(model.parent) + '"' : '') + '><href>' + esc(model.href) + '</href><methods>';
+
+			$.each(methods, function (method, description) {
+				xml += '<' + method + '>' + esc(description) + '</' + method + '>';
+			});
+
+			xml += '</methods><properties>';
+
+			$.each(model.properties, function (i, def) {
+				xml += '<property name="' + esc(def.name) + '" type="' + esc(def.type || 'string') + '" perm="' + esc(def.perm || 'read write') + '"';
+
+				$.each(['item_type', 'max_length', 'min', 'max', 'reference_name', 'href', 'no_store', 'calculated'], function (i, attr) {
+					if (def[attr] !== undefined && def[attr] !== null && def[attr] !== false)
+						xml += ' ' + attr + '="' + esc(def[attr]) + '"';
+				});
+
+				xml += '>';
+
+				if (def.description)
+					xml += '<description>' + esc(def.description) + '</description>';
+
+				if (def['default'] !== undefined)
+					xml += '<default>' + esc(def['default']) + '</default>';
+
+				$.each(def.choices || [], function (i, choice) {
+					xml += '<choice value="' + esc(choice.value) + '">' + esc(choice.name || choice.value) + '</choice>';
+				});
+
+				xml += '</property>';
+			});
+
+			xml += '</properties></api>';
+		});
+
+		if (self.user) {
+			var user = self.find(self.user.model, self.user.id);
+
+			if (user)
+				xml += obj_xml(self.models[self.user.model], user);
+		}
+
+		return xml + '</Index>';
+	}
+
+	function obj_xml (model, obj) {
+		var xml = '<' + model.name + ' id="' + esc(obj.id) + '">';
+		var href = model.href + '/' + obj.id;
+
+		$.each(model.properties, function (i, def) {
+			var name = def.name;
+			var val = obj.data[name];
+			var type = type_of(def);
+
+			if (def.calculated || type == 'blob') {
+				xml += '<' + name + ' href="' + esc(href + '/' + name) + '"/>';
+				return;
+			}
+
+			if (type == 'query') {
+				xml += '<' + name + ' href="' + esc(href + '/' + name) + '" item_type="' + esc(def.item_type) + '"/>';
+				return;
+			}
+
+			xml += prop_xml(def, val);
+		});
+
+		return xml + '</' + model.name + '>';
+	}
+
+	function prop_xml (def, val) {
+		var name = def.name;
+		var type = type_of(def);
+		var xml = '';
+
+		if (val === undefined || val === null)
+			return xml;
+
+		if (type == 'complexType') {
+			xml += '<' + name + ' type="complexType">';
+
+			$.each(val, function (key, v) {
+				xml += '<mapping name="' + esc(key) + '" type="string">' + esc(v) + '</mapping>';
+			});
+
+			return xml + '</' + name + '>';
+		}
+
+		$.each(val, function (i, v) {
+			if (type == 'reference') {
+				var ref_model = self.models[self.model_of(v) || def.item_type];
+
+				xml += '<' + name + ' href="' + esc(((ref_model) ? ref_model.href : def.item_type) + '/' + v) + '" item_type="' + esc((ref_model) ? ref_model.name : def.item_type) + '" id="' + esc(v) + '"/>';
+			}
+			else
+				xml += '<' + name + ' type="' + esc(def.item_type || type || 'string') + '">' + esc(v) + '</' + name + '>';
+		});
+
+		return xml;
+	}
+
+	// The object in the JSON format of botoweb.json
+	function obj_json (model, obj) {
+		var data = { __id__: obj.id, __type__: model.name };
+
+		$.each(model.properties, function (i, def) {
+			var val = obj.data[def.name];
+			var type = type_of(def);
+
+			if (val === undefined || val === null || def.calculated || type == 'blob' || type == 'query')
+				return;
+
+			if (type == 'complexType') {
+				data[def.name] = val;
+				return;
+			}
+
+			val = $.map(val, function (v) {
+				if (type == 'reference')
+					return [{ __type__: self.model_of(v) || def.item_type, __id__: v }];
+
+				return [v];
+			});
+
+			data[def.name] = (def.type == 'list') ? val : val[0];
+		});
+
+		return data;
+	}
+
+	function object_response (status, model, obj, method) {
+		return xml_response(status, obj_xml(model, obj), { 'ETag': self.etag(model.name, obj.id) }, method);
+	}
+
+	// Lists objects matching the ?query= or ?name=value filters, one page at
+	// a time, or as a stream of events. The next_token parameter is the
+	// offset of the page.
+	function collection (model, params, url, method, stream) {
+		var filters = [];
+		var objs;
+
+		if (params.query)
+			filters = JSON.parse(params.query);
+
+		$.each(params, function (name, val) {
+			if (name == 'sort_by')
+				filters.push([val, 'sort', 'asc']);
+			else if (name != 'query' && name != 'next_token')
+				filters.push([name, '=', val]);
+		});
+
+		if (model.name == 'Trash') {
+			objs = $.map(self.trash, function (t) {
+				return { id: t.id, model: t.model, data: { sys_modstamp: [t.sys_modstamp] } };
+			});
+		}
+		else {
+			objs = [];
+
+			$.each(self.model_names, function (i, name) {
+				if (is_a(name, model.name))
+					objs = objs.concat(self.objects[name]);
+			});
+		}
+
+		var model_for = function (obj) {
+			if ($.inArray(obj, self.objects[model.name]) < 0)
+				return self.models[subclass_of(model.name, obj.id)];
+
+			return model;
+		};
+
+		if (stream) {
+			return events(select(objs, filters), params, url, function (obj) {
+				if (model.name == 'Trash')
+					return { __id__: obj.id, __type__: obj.model, sys_modstamp: obj.data.sys_modstamp[0] };
+
+				return obj_json(model_for(obj), obj);
+			});
+		}
+
+		return page(objs, filters, params, url, method, function (obj) {
+			if (model.name == 'Trash')
+				return '<' + obj.model + ' id="' + esc(obj.id) + '"><sys_modstamp type="dateTime">' + esc(obj.data.sys_modstamp[0]) + '</sys_modstamp></' + obj.model + '>';
+
+			return obj_xml(model_for(obj), obj);
+		});
+	}
+
+	// Whether the name is a custom method of the model rather than an id or
+	// a property
+	function is_method (model, name) {
+		return model.methods && name in model.methods
+			&& $.inArray(name.toLowerCase(), ['get', 'head', 'post', 'put', 'delete']) < 0;
+	}
+
+	// Calls a custom method, see method
+	function invoke (model, id, name, req, url) {
+		var obj = null;
+
+		if (id) {
+			var model_name = subclass_of(model.name, id);
+
+			if (!model_name)
+				return error(404, 'Not Found', url);
+
+			model = self.models[model_name];
+			obj = self.find(model_name, id);
+		}
+
+		var handler = self.handlers[model.name + '.' + name];
+		var result = (handler) ? handler(obj, req.body, req) : obj;
+
+		if (!result)
+			return { status: 204, statusText: 'No Content' };
+
+		if (result.status)
+			return result;
+
+		if ($.isArray(result)) {
+			return xml_response(200, '<Results>' + $.map(result, function (o) {
+				return obj_xml(self.models[self.model_of(o.id)] || model, o);
+			}).join('') + '</Results>', {}, 'POST');
+		}
+
+		return object_response(200, self.models[self.model_of(result.id)] || model, result, 'POST');
+	}
+
+	// Sends a property of an object. Query properties list the objects which
+	// refer to the object, calculated properties are sent like the object
+	// with only that property and blobs as text.
+	function property (model, obj, name, params, url, method) {
+		var def;
+
+		$.each(model.properties, function (i, d) {
+			if (d.name == name)
+				def = d;
+		});
+
+		if (!def)
+			return error(404, 'Not Found', url);
+
+		if (method != 'GET' && method != 'HEAD')
+			return error(405, 'Method Not Allowed', url);
+
+		var type = type_of(def);
+
+		if (type == 'query') {
+			var ref_model = self.models[def.item_type];
+			var refs = (def.reference_name || '').split(',');
+			var filters = (params.query) ? JSON.parse(params.query) : [];
+
+			var objs = $.grep(self.objects[def.item_type] || [], function (o) {
+				var found = false;
+
+				$.each(refs, function (i, ref) {
+					if ($.inArray(obj.id, o.data[ref] || []) >= 0)
+						found = true;
+				});
+
+				return found;
+			});
+
+			return page(objs, filters, params, url, method, function (o) {
+				return obj_xml(ref_model, o);
+			}, name);
+		}
+
+		if (type == 'blob')
+			return { status: 200, headers: { 'Content-Type': 'text/plain' }, body: (method == 'HEAD') ? '' : (obj.data[name] || []).join('') };
+
+		return xml_response(200, '<' + model.name + ' id="' + esc(obj.id) + '">' + prop_xml(def, obj.data[name]) + '</' + model.name + '>', {}, method);
+	}
+
+	// Filters, sorts and pages objects into a response
+	function page (objs, filters, params, url, method, to_xml, root) {
+		objs = select(objs, filters);
+
+		var start = 1 * (params.next_token || 0);
+		var end = start + self.page_size;
+		var xml = '<' + (root || 'objects') + '>';
+
+		$.each(objs.slice(start, end), function (i, obj) {
+			xml += to_xml(obj);
+		});
+
+		if (end < objs.length)
+			xml += '<link rel="next" href="' + esc(next_href(params, url, end)) + '"/>';
+
+		xml += '</' + (root || 'objects') + '>';
+
+		return xml_response(200, xml, { 'X-Result-Count': objs.length }, method);
+	}
+
+	// Sends the objects from the next_token offset as Server-Sent Events in
+	// the JSON format, with a __meta__ record after each page which gives
+	// the next_url for resuming from there, and one at the end. Each has the
+	// count.
+	function events (objs, params, url, to_json) {
+		var start = 1 * (params.next_token || 0);
+		var body = '';
+
+		var send = function (data) {
+			body += 'data: ' + JSON.stringify(data) + '\n\n';
+		};
+
+		$.each(objs.slice(start), function (i, obj) {
+			var end = start + i + 1;
+
+			send(to_json(obj));
+
+			if (end % self.page_size == 0 && end < objs.length)
+				send({ __type__: '__meta__', next_url: next_href(params, url, end), count: objs.length });
+		});
+
+		send({ __type__: '__meta__', count: objs.length });
+
+		return {
+			status: 200,
+			statusText: 'OK',
+			headers: { 'Content-Type': 'text/event-stream', 'X-Result-Count': objs.length, 'Date': new Date().toUTCString() },
+			body: body
+		};
+	}
+
+	// Filters and sorts objects, and applies the limit and offset filters
+	function select (objs, filters) {
+		var sort = [];
+		var limit = null;
+		var offset = 0;
+
+		objs = $.grep(objs, function (obj) {
+			var ok = true;
+
+			$.each(filters, function (i, f) {
+				if (f[1] == 'sort' || f[1] == 'limit' || f[1] == 'offset')
+					return;
+
+				if (!matches(obj, f[0], f[1], f[2])) {
+					ok = false;
+					return false;
+				}
+			});
+
+			return ok;
+		});
+
+		$.each(filters, function (i, f) {
+			if (f[1] == 'sort')
+				sort.push(f);
+			else if (f[1] == 'limit')
+				limit = 1 * f[2];
+			else if (f[1] == 'offset')
+				offset = 1 * f[2];
+		});
+
+		if (sort.length) {
+			objs = objs.slice().sort(function (a, b) {
+				for (var i = 0; i < sort.length; i++) {
+					var c = compare(first(a, sort[i][0]), first(b, sort[i][0]));
+
+					if (c)
+						return (sort[i][2] == 'desc') ? -c : c;
+				}
+
+				return 0;
+			});
+		}
+
+		return objs.slice(offset, (limit === null) ? undefined : offset + limit);
+	}
+
+	// The URL of the page starting at the offset
+	function next_href (params, url, offset) {
+		var next = [];
+
+		$.each(params, function (name, val) {
+			if (name != 'next_token')
+				next.push(name + '=' + encodeURIComponent(val));
+		});
+
+		next.push('next_token=' + offset);
+
+		return self.base_url.replace(/^(\w+:\/\/[^\/]+).*$/, '$1') + path_of(url) + '?' + next.join('&');
+	}
+
+	function create (model, req) {
+		var obj = { id: null, data: {} };
+
+		read_body(model, req.body, obj);
+
+		if (!obj.id || self.model_of(obj.id)) {
+			do {
+				obj.id = '' + (++last_id);
+			} while (self.model_of(obj.id));
+		}
+
+		stamp(model, obj);
+		self.put(model.name, obj);
+
+		return object_response(201, model, obj);
+	}
+
+	function update (model, obj, req) {
+		var updated = { id: obj.id, data: $.extend({}, obj.data) };
+
+		read_body(model, req.body, updated);
+
+		stamp(model, updated);
+		self.put(model.name, updated);
+
+		return object_response(200, model, updated);
+	}
+
+	// Reads the properties sent by botoweb.xml.from_obj into obj.data
+	function read_body (model, body, obj) {
+		if (!body)
+			return;
+
+		if (typeof body == 'string')
+			body = botoweb.xml.parse(body);
+
+		var root = body.documentElement || body;
+		var values = {};
+
+		if (root.nodeName != model.name)
+			throw new Error('Expected a ' + model.name + ' but received a ' + root.nodeName);
+
+		$.each(root.childNodes, function (i, node) {
+			if (node.nodeType != 1)
+				return;
+
+			var name = node.nodeName;
+
+			if (name == 'id') {
+				obj.id = text(node) || null;
+				return;
+			}
+
+			var def = $.grep(model.properties, function (d) {
+				return d.name == name;
+			})[0];
+
+			if (!def || def.calculated || type_of(def) == 'query')
+				return;
+
+			if (type_of(def) == 'complexType') {
+				var map = values[name] = {};
+
+				$.each(node.childNodes, function (i, mapping) {
+					if (mapping.nodeType == 1)
+						map[mapping.getAttribute('name')] = text(mapping);
+				});
+
+				return;
+			}
+
+			if (!values[name])
+				values[name] = [];
+
+			if (text(node) !== '')
+				values[name].push(text(node));
+		});
+
+		$.extend(obj.data, values);
+	}
+
+	function stamp (model, obj) {
+		$.each(model.properties, function (i, def) {
+			if (def.name == 'sys_modstamp')
+				obj.data.sys_modstamp = [now()];
+		});
+	}
+
+	if (fixtures)
+		this.add(fixtures);
+};
+
+/**
+ * Reads fixture files, JSON in the format described above, and creates a
+ * FakeServer with them in order. Files are read with the fs module in
+ * Node.js, and fetched from URLs in the browser.
+ *
+ * @param {String|[String]} files The fixture files.
+ * @param {Object} opt Options for the FakeServer.
+ * @return A Promise which resolves with the FakeServer.
+ */
+botoweb.transport.FakeServer.load = function (files, opt) {
+	if (!$.isArray(files))
+		files = [files];
+
+	return Promise.all($.map(files, function (file) {
+		return [read_file(file).then(function (text) {
+			return JSON.parse(text);
+		})];
+	})).then(function (fixtures) {
+		return new botoweb.transport.FakeServer(fixtures, opt);
+	});
+};
+
+var $util = botoweb.util;
+
+function read_file (file) {
+	if (typeof window == 'undefined' && typeof require == 'function') {
+		return new Promise(function (resolve, reject) {
+			require('fs').readFile(file, 'utf8', function (e, text) {
+				if (e)
+					reject(e);
+				else
+					resolve(text);
+			});
+		});
+	}
+
+	return fetch(file).then(function (r) {
+		if (!r.ok)
+			throw new Error('Could not load fixtures from ' + file + ': ' + r.status);
+
+		return r.text();
+	});
+}
+
+// Stores values as arrays of strings, or a map for complexType values
+function normalize (val) {
+	if (val === null || val === undefined)
+		return [];
+
+	if ($.isArray(val)) {
+		return $.map(val, function (v) {
+			return (v === null || v === undefined) ? null : '' + v;
+		});
+	}
+
+	if (typeof val == 'object')
+		return $.extend({}, val);
+
+	return ['' + val];
+}
+
+// Tests a [name, op, value] filter. Either may be a list, any of which may
+// match.
+function matches (obj, names, op, value) {
+	if (!$.isArray(names))
+		names = [names];
+
+	if (!$.isArray(value))
+		value = [value];
+
+	var found = false;
+
+	$.each(names, function (i, name) {
+		var vals = obj.data[name] || [];
+
+		// complexType values match on their values
+		if (!$.isArray(vals)) {
+			var map = vals;
+
+			vals = [];
+
+			$.each(map, function (key, v) {
+				vals.push(v);
+			});
+		}
+
+		$.each(value, function (j, v) {
+			// null matches an empty property
+			if (v === null) {
+				found = (op == '!=') ? vals.length > 0 : !vals.length || (vals.length == 1 && vals[0] === '');
+			}
+			else if (op == '!=' || op == 'not like') {
+				found = !$.grep(vals, function (val) {
+					return compare_op(val, (op == '!=') ? '=' : 'like', v);
+				}).length;
+			}
+			else {
+				found = $.grep(vals, function (val) {
+					return compare_op(val, op, v);
+				}).length > 0;
+			}
+
+			if (found)
+				return false;
+		});
+
+		if (found)
+			return false;
+	});
+
+	return found;
+}
+
+function compare_op (val, op, v) {
+	switch (op) {
+		case '=':
+			return compare(val, v) == 0;
+		case '>':
+			return compare(val, v) > 0;
+		case '<':
+			return compare(val, v) < 0;
+		case '>=':
+			return compare(val, v) >= 0;
+		case '<=':
+			return compare(val, v) <= 0;
+		case 'starts-with':
+			return val.toLowerCase().indexOf(v.toLowerCase()) == 0;
+		case 'ends-with':
+			return val.toLowerCase().substring(val.length - v.length) == v.toLowerCase();
+		case 'like':
+			// SQL wildcards, case insensitive as in the local database
+			var pattern = v.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+			return new RegExp('^' + pattern + '$', 'i').test(val);
+	}
+
+	throw new Error('Unsupported query operator "' + op + '"');
+}
+
+// Compares numbers as numbers and anything else as strings
+function compare (a, b) {
+	if (a === b)
+		return 0;
+
+	if (a === undefined || a === null)
+		return -1;
+
+	if (b === undefined || b === null)
+		return 1;
+
+	if (a !== '' && b !== '' && !isNaN(a) && !isNaN(b)) {
+		a = 1 * a;
+		b = 1 * b;
+	}
+
+	return (a < b) ? -1 : ((a > b) ? 1 : 0);
+}
+
+function first (obj, name) {
+	var vals = obj.data[name];
+
+	return (vals && $.isArray(vals)) ? vals[0] : undefined;
+}
+
+function parse_params (qs) {
+	var params = {};
+
+	$.each(qs.split('&'), function (i, pair) {
+		if (!pair)
+			return;
+
+		var eq = pair.indexOf('=');
+		var name = (eq < 0) ? pair : pair.substring(0, eq);
+		var val = (eq < 0) ? '' : pair.substring(eq + 1);
+
+		// botoweb.find does not encode its filters
+		try {
+			val = decodeURIComponent(val.replace(/\+/g, ' '));
+		} catch (e) { }
+
+		params[name] = val;
+	});
+
+	return params;
+}
+
+function path_of (url) {
+	return ('' + url).replace(/^\w+:\/\/[^\/]+/, '').split('?')[0] || '/';
+}
+
+function text (node) {
+	return (node.textContent !== undefined) ? node.textContent : node.text;
+}
+
+function now () {
+	return $util.timestamp(new Date());
+}
+
+function esc (str) {
+	return ('' + str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xml_response (status, xml, headers, method) {
+	return {
+		status: status,
+		headers: $.extend({ 'Content-Type': 'text/xml' }, headers),
+		body: (method == 'HEAD') ? '' : '<?xml version="1.0" encoding="UTF-8"?>' + xml
+	};
+}
+
+function error (status, message, detail) {
+	return {
+		status: status,
+		statusText: message,
+		headers: { 'Content-Type': 'text/plain' },
+		body: message + ': ' + detail
+	};
+}
+
+})(jQuery);
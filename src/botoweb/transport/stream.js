@@ -0,0 +1,254 @@
+/**
+ * Receives botoweb JSON objects over a long running response, handing each
+ * one over as soon as it has arrived rather than once the response is
+ * complete, for botoweb.data.StreamingController. The server may send either
+ *
+ * * Server-Sent Events (Content-Type text/event-stream), one object in the
+ *   data of each event, or
+ * * chunked JSON, objects one after another, newline delimited or as the
+ *   items of an array.
+ *
+ * Paging records {"__type__": "__meta__", "next_url": ...} are handed over
+ * with the objects, a record without next_url marks the end of the data.
+ *
+ * A streaming transport is a function, or the stream method of the active
+ * transport (see botoweb.transport.Mock and botoweb.transport.FakeServer):
+ *
+ * stream({url, headers, signal}, on_item) returns a Promise which resolves
+ * once the response ends, or rejects if no response was received, the
+ * server answered with an error, or the signal was aborted.
+ */
+(function ($) {
+
+/**
+ * Streams a response with the Fetch API, available in modern browsers and
+ * Node 18+. HTTP errors reject with a botoweb.Error.
+ *
+ * @param {Object} req The url, headers and signal of the request.
+ * @param {Function} on_item Receives each object as it arrives.
+ * @return A Promise which resolves once the response ends.
+ */
+botoweb.transport.stream = function (req, on_item) {
+	return fetch(req.url, {
+		method: req.method || 'GET',
+		headers: $.extend({ 'Accept': 'text/event-stream, application/json' }, req.headers),
+		signal: req.signal,
+		credentials: 'same-origin'
+	}).then(function (r) {
+		if (r.status >= 400) {
+			return r.text().then(function (text) {
+				var headers = {};
+
+				r.headers.forEach(function (val, name) {
+					headers[name] = val;
+				});
+
+				throw botoweb.Error.from_response(botoweb.transport.response({
+					status: r.status,
+					statusText: r.statusText,
+					headers: headers,
+					body: text
+				}), { method: req.method || 'GET', url: req.url });
+			});
+		}
+
+		var parser = new botoweb.transport.StreamParser(r.headers.get('Content-Type'), on_item);
+
+		// Without a readable body the objects arrive all at once
+		if (!r.body || !r.body.getReader) {
+			return r.text().then(function (text) {
+				parser.write(text);
+				parser.end();
+			});
+		}
+
+		var reader = r.body.getReader();
+		var decoder = new TextDecoder();
+
+		function read () {
+			return reader.read().then(function (chunk) {
+				if (chunk.done) {
+					parser.write(decoder.decode());
+					return parser.end();
+				}
+
+				parser.write(decoder.decode(chunk.value, { stream: true }));
+
+				return read();
+			});
+		}
+
+		return read();
+	}).then(null, function (e) {
+		if (req.signal && req.signal.aborted)
+			throw $util.abort_error(req.signal);
+
+		if (!e.response)
+			e.response = botoweb.transport.response({ status: 0, statusText: 'error' });
+
+		throw e;
+	});
+};
+
+/**
+ * Hands over the objects of a response which was received in full, one at a
+ * time as they would arrive over a network, for transports which answer from
+ * memory. HTTP errors reject with a botoweb.Error.
+ *
+ * @param {botoweb.transport.response} response The response.
+ * @param {Object} req The request, its signal stops the objects.
+ * @param {Function} on_item Receives each object.
+ * @return A Promise which resolves once every object was handed over.
+ */
+botoweb.transport.stream_response = function (response, req, on_item) {
+	if (response.status >= 400)
+		return Promise.reject(botoweb.Error.from_response(response, req));
+
+	var items = [];
+	var parser = new botoweb.transport.StreamParser(response.getResponseHeader('Content-Type'), function (item) {
+		items.push(item);
+	});
+
+	try {
+		parser.write(response.responseText);
+		parser.end();
+	}
+	catch (e) {
+		return Promise.reject(e);
+	}
+
+	return new Promise(function (resolve, reject) {
+		var i = 0;
+
+		(function next () {
+			if (req.signal && req.signal.aborted)
+				return reject($util.abort_error(req.signal));
+
+			if (i >= items.length)
+				return resolve();
+
+			on_item(items[i++]);
+			setTimeout(next, 0);
+		})();
+	});
+};
+
+/**
+ * Splits text which arrives in arbitrary pieces into JSON objects, see
+ * above for the formats.
+ *
+ * @param {String} content_type The Content-Type of the response.
+ * @param {Function} on_item Receives each parsed object.
+ * @constructor
+ */
+botoweb.transport.StreamParser = function (content_type, on_item) {
+	var self = this;
+
+	this.sse = /event-stream/.test(content_type || '');
+
+	// Text received but not parsed yet
+	var text = '';
+
+	// JSON objects are found by counting braces outside of strings, the
+	// state is kept between pieces so that text is only scanned once
+	var scanned = 0;
+	var start = 0;
+	var depth = 0;
+	var in_string = false;
+	var escaped = false;
+
+	/**
+	 * Parses the next piece of text, passing on every object it completes.
+	 */
+	this.write = function (chunk) {
+		if (!chunk)
+			return;
+
+		text += chunk;
+
+		if (this.sse)
+			write_events();
+		else
+			write_json();
+	};
+
+	/**
+	 * Finishes parsing at the end of the response.
+	 */
+	this.end = function () {
+		// An incomplete event is discarded, as in EventSource
+		if (!this.sse && depth)
+			throw new Error('The stream ended inside an object');
+
+		text = '';
+	};
+
+	function write_events () {
+		var events = text.split(/\r\n\r\n|\n\n|\r\r/);
+
+		text = events.pop();
+
+		$.each(events, function (i, event) {
+			var data = [];
+
+			// Comments and the event, id and retry fields are not used
+			$.each(event.split(/\r\n|\n|\r/), function (j, line) {
+				if (line.indexOf('data:') == 0)
+					data.push(line.substring(5).replace(/^ /, ''));
+			});
+
+			if (data.length)
+				emit(data.join('\n'));
+		});
+	}
+
+	function write_json () {
+		for (var i = scanned; i < text.length; i++) {
+			var c = text.charAt(i);
+
+			if (in_string) {
+				if (escaped)
+					escaped = false;
+				else if (c == '\\')
+					escaped = true;
+				else if (c == '"')
+					in_string = false;
+			}
+			else if (c == '"')
+				in_string = true;
+			else if (c == '{') {
+				if (!depth)
+					start = i;
+
+				depth++;
+			}
+			else if (c == '}' && depth) {
+				depth--;
+
+				if (!depth)
+					emit(text.substring(start, i + 1));
+			}
+		}
+
+		// Keep only the object which is still arriving
+		if (depth) {
+			text = text.substring(start);
+			start = 0;
+		}
+		else
+			text = '';
+
+		scanned = text.length;
+	}
+
+	function emit (json) {
+		var item = JSON.parse(json);
+
+		if (item && typeof item == 'object')
+			on_item.call(self, item);
+	}
+};
+
+var $util = botoweb.util;
+
+})(jQuery);
@@ -55,6 +55,145 @@ botoweb.ui = {
 			.dialog('show')
 	},
 
+	/**
+	 * Shows a modal login form for botoweb.auth when the session expires. The
+	 * form stays open until the login succeeds or the user cancels.
+	 *
+	 * @param {Function} cancel Called if the user cancels.
+	 * @param {botoweb.Environment} env The environment to log in to.
+	 */
+	login: function(cancel, env) {
+		var form = $('<form/>')
+			.attr('id', 'bw-login')
+			.append(
+				$('<p class="error"/>').hide(),
+				$('<label>Username <input type="text" name="username" /></label>'),
+				$('<label>Password <input type="password" name="password" /></label>')
+			);
+
+		var submit = function () {
+			form.find('.error').hide();
+
+			botoweb.auth.login(form.find('[name=username]').val(), form.find('[name=password]').val(), null, env).then(function () {
+				form.dialog('close').remove();
+			}, function () {
+				form.find('.error').text('Invalid username or password').show();
+			});
+
+			return false;
+		};
+
+		return form
+			.submit(submit)
+			.dialog({
+				modal: true,
+				dialogClass: 'alert',
+				width: 'auto',
+				title: 'Your session has expired, please log in',
+				zIndex: 99999,
+				closeOnEscape: false,
+				buttons: {
+					'Log in': submit,
+					Cancel: function() {
+						$(this).dialog('close');
+						$(this).remove();
+						cancel();
+					}
+				}
+			})
+			.dialog('show')
+	},
+
+	/**
+	 * Shows the properties of a conflict error from Object.update and lets
+	 * the user reload the page to see the other change, overwrite it with
+	 * their own changes, or merge by choosing a version of each property.
+	 *
+	 * @param {botoweb.Error} error The conflict error.
+	 * @param {Function} fnc Receives the result of the new save, as for
+	 * Object.update.
+	 * @param {Object} opt Options for Object.update.
+	 */
+	conflict: function(error, fnc, opt) {
+		var $util = botoweb.util;
+		var model = error.local.model;
+
+		var mine = function (name) {
+			if (name in error.changes)
+				return new model.prop_map[name].instance(error.changes[name]).toString();
+
+			return (error.local.data[name]) ? error.local.data[name].toString() : '';
+		};
+
+		// There is no server copy if the object was deleted there
+		var theirs = function (name) {
+			if (!error.remote)
+				return 'Deleted on the server';
+
+			return (error.remote.data[name]) ? error.remote.data[name].toString() : '';
+		};
+
+		var table = $('<table class="bw-conflict"><tr><th>Property</th><th>Your version</th><th>Their version</th></tr></table>');
+
+		$.each(error.fields, function (name, field) {
+			var input = '<input type="radio" name="bw-conflict-' + name + '" value="';
+
+			$('<tr/>')
+				.append(
+					$('<td/>').text(model.prop_map[name].meta.label || name),
+					$('<td/>').html('<label>' + input + 'mine"' + ((field.mine) ? ' checked="checked"' : '') + ' /> ' + $util.html_format(mine(name)) + '</label>'),
+					$('<td/>').html('<label>' + input + 'theirs"' + ((field.mine) ? '' : ' checked="checked"') + ((error.remote) ? '' : ' disabled="disabled"') + ' /> ' + $util.html_format(theirs(name)) + '</label>')
+				)
+				.appendTo(table);
+		});
+
+		var save = function (node, data) {
+			$(node).dialog('close');
+			$(node).remove();
+
+			error.local.update(data, fnc, $.extend({}, opt, { force: true, overwrite: true }));
+		};
+
+		return $('<div/>')
+			.attr('id', 'bw-alert')
+			.append('<p>Someone else changed this ' + model.name + ' while you were editing it.</p>', table)
+			.dialog({
+				modal: true,
+				dialogClass: 'alert',
+				width: 'auto',
+				title: 'Conflicting changes',
+				zIndex: 99999,
+				buttons: {
+					Reload: function() {
+						$(this).dialog('close');
+						$(this).remove();
+						botoweb.ui.page.refresh();
+					},
+					Overwrite: function() {
+						save(this, error.changes);
+					},
+					Merge: function() {
+						var node = this;
+						var data = {};
+
+						$.each(error.fields, function (name) {
+							if ($(node).find('[name=bw-conflict-' + name + ']:checked').val() == 'mine') {
+								if (name in error.changes)
+									data[name] = error.changes[name];
+								else if (error.local.data[name])
+									data[name] = error.local.data[name].data;
+							}
+							else if (error.remote && error.remote.data[name])
+								data[name] = error.remote.data[name].data;
+						});
+
+						save(this, data);
+					}
+				}
+			})
+			.dialog('show')
+	},
+
 	/**
 	 * Initializes the interface.
 	 *
@@ -9,7 +9,6 @@
 var $util = botoweb.util;
 var $ui = botoweb.ui;
 var $forms = $ui.forms;
-var $ldb = botoweb.ldb;
 
 $forms.inputs = {};
 
@@ -376,7 +375,7 @@ $forms.Field = function (prop, opt) {
 							// Refreshes the page when the save is successful
 							function data_changed (obj) {
 								function updated () {
-									$($ldb.sync).unbind('end', updated);
+									$(botoweb.ldb.sync).unbind('end', updated);
 									self.cancel();
 								}
 
@@ -388,10 +387,10 @@ $forms.Field = function (prop, opt) {
 									if (!self.opt.block.opt.no_refresh)
 										$ui.page.refresh();
 
-									if ($ldb) {
-										$($ldb.sync).bind('end', updated);
+									if (botoweb.ldb) {
+										$(botoweb.ldb.sync).bind('end', updated);
 
-										$ldb.sync.update();
+										botoweb.ldb.sync.update();
 									}
 								}
 
@@ -401,9 +400,15 @@ $forms.Field = function (prop, opt) {
 									done();
 							}
 
-							botoweb.Object.update(self.obj_model, self.obj_id, data, function (obj) {
+							var onsave = function (obj, error) {
+								// Someone else saved the object since it was loaded
+								if (error && error.conflict) {
+									$ui.overlay.hide();
+									$ui.conflict(error, onsave);
+								}
+
 								// Error, hide the overlay and let them edit again
-								if ($('#bw-alert').length)
+								else if ($('#bw-alert').length)
 									$ui.overlay.hide();
 
 								// If no object is returned this may be a special case
@@ -421,7 +426,9 @@ $forms.Field = function (prop, opt) {
 								// Normal case, object was updated
 								else
 									data_changed(obj);
-							});
+							};
+
+							botoweb.Object.update(self.obj_model, self.obj_id, data, onsave);
 
 							e.preventDefault();
 							return false;
@@ -29,6 +29,7 @@ botoweb.ui.markup = new function () {
 		'model':          'bwModel',
 		'pre_condition':  'bwPreCondition',
 		'searchable':     'bwSearchable',
+		'stream':         'bwStream',
 		'template':       'bwTemplate',
 		'trigger':        'bwTrigger',
 		'use_context':    'bwUseContext',
@@ -57,6 +58,7 @@ botoweb.ui.markup = new function () {
 		'link':           'a[bwLink],button[bwLink]',
 		'model':          '*[bwModel]',
 		'object':         'article, .bwObject',
+		'outbox':         '*[bwWidget=outbox]',
 		'pre_condition':  '*[bwPreCondition]',
 		'relation':       '*[bwWidget=relations]',
 		'searchable':     '*[bwSearchable]',
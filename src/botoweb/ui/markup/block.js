@@ -119,10 +119,15 @@ botoweb.ui.markup.Block = function (node, opt) {
 		if (this.obj_id && this.state != 'clone') {
 			var onsave;
 
-			var onsave = function (obj) {
+			var onsave = function (obj, error) {
 				// Save failed
 				if (!obj) {
 					$ui.overlay.hide();
+
+					// Someone else saved the object since it was loaded
+					if (error && error.conflict)
+						$ui.conflict(error, onsave, opt);
+
 					return;
 				}
 
@@ -138,7 +143,7 @@ botoweb.ui.markup.Block = function (node, opt) {
 								return;
 
 							if (self.no_obj)
-								document.location.href = '#' + botoweb.util.interpolate(botoweb.env.cfg.templates.model, self.model) + '?id=' + escape(obj.id);
+								document.location.href = '#' + (obj.model || self.model).template() + '?id=' + escape(obj.id);
 							else
 								$ui.page.refresh();
 						}, 1000);
@@ -177,7 +182,7 @@ botoweb.ui.markup.Block = function (node, opt) {
 						return;
 
 					if (self.opt.root)
-						document.location.href = '#' + botoweb.util.interpolate(botoweb.env.cfg.templates.model, self.model) + '?id=' + escape(obj.id);
+						document.location.href = '#' + (obj.model || self.model).template() + '?id=' + escape(obj.id);
 				}
 
 				if ($(botoweb.ui.forms).triggerHandler('save_complete', [obj, onsave]) !== false)
@@ -382,7 +387,7 @@ botoweb.ui.markup.Block = function (node, opt) {
 
 			if (self.can_init)
 				self.init();
-		}, this.opt);
+		}, $.extend({ signal: botoweb.ui.page.signal }, this.opt));
 	}
 	else {
 		this.ready = true;
@@ -396,7 +401,7 @@ var $ui = botoweb.ui;
 var $markup = $ui.markup;
 
 $markup.Block.parse_order = {
-	normal: ['condition', 'trigger', 'attribute_list', 'attribute', 'editing_tools', 'link'],
+	normal: ['condition', 'trigger', 'attribute_list', 'attribute', 'editing_tools', 'outbox', 'link'],
 	nested: ['relation','search','action']
 };
 
@@ -78,24 +78,9 @@
 
 			$markup.find(block.node, 'auth', function (val, prop) {
 				matches = true;
-				var authorized = true;
 				var node = $(this);
 
-				if (node.hasClass('deny-all')) {
-					authorized = false;
-					$(botoweb.env.user.data.auth_groups.toString(true)).each(function() {
-						if (node.hasClass('allow-' + this))
-							authorized = true;
-					});
-				}
-				else {
-					$(botoweb.env.user.data.auth_groups.toString(true)).each(function() {
-						if (node.hasClass('deny-' + this))
-							authorized = false;
-					});
-				}
-
-				if (!authorized)
+				if (!botoweb.perm.can_view(null, node))
 					node.remove();
 				else
 					node.removeClass('auth');
@@ -122,7 +107,8 @@
 				if (model)
 					model = botoweb.env.models[model];
 
-				if (!model) {
+				// Creation forms are only shown to users who may create
+				if (!model || !botoweb.perm.can(null, 'create', model)) {
 					this.remove();
 					return;
 				}
@@ -498,7 +484,7 @@
 							$markup.set_html(node, str || '');
 						}
 
-						if (editable && prop.meta.write) {
+						if (editable && botoweb.perm.can(null, (block.obj) ? 'edit' : 'create', block.obj || block.model, prop)) {
 							var opt = {
 								node: node,
 								block: block,
@@ -638,6 +624,20 @@
 				val = val.replace(/\((.*?)\)/, '');
 				var data = RegExp.$1;
 
+				// Links to actions the user may not perform are removed
+				var action = { edit: 'edit', update: 'edit', clone: 'clone', create: 'create', 'delete': 'delete' }[val];
+
+				if (action) {
+					var target = (action == 'create') ?
+						(botoweb.env.models[this.attr($markup.prop.model)] || block.model) :
+						(block.obj || block.model);
+
+					if (!botoweb.perm.can(null, action, target)) {
+						this.remove();
+						return;
+					}
+				}
+
 				// It is safest not to make a history entry for deletes, just
 				// attach a click event.
 				if (val == 'delete') {
@@ -679,8 +679,10 @@
 
 				try {
 					var view_href = this.attr('href');
+
+					// Objects link to the page of their most specific model
 					if(!view_href)
-						view_href = botoweb.env.cfg.templates.model;
+						view_href = ((block.obj && block.obj.model) || block.model).template();
 
 					if (block.obj_id)
 						view_href = '#' + botoweb.util.interpolate(view_href, block.model) + '?id=' + escape(block.obj_id);
@@ -744,10 +746,7 @@
 								d = '&data=' + escape(data);
 							}
 
-							if (model.name in botoweb.env.cfg.templates.editor)
-								set_href('#' + botoweb.env.cfg.templates.editor[model.name] + '?action=edit' + d);
-							else
-								set_href('#' + botoweb.util.interpolate(botoweb.env.cfg.templates.model, model) + '?action=edit' + d);
+							set_href('#' + model.template('editor') + '?action=edit' + d);
 							break;
 
 						case 'attr':
@@ -865,7 +864,7 @@
 
 				function load_data () {
 					node.unbind('ready', load_data);
-					botoweb.Object.follow(block.model, (block.obj || block.obj_id), val, results.update, filters, { no_cache: true });
+					botoweb.Object.follow(block.model, (block.obj || block.obj_id), val, results.update, filters, { no_cache: true, signal: botoweb.ui.page.signal });
 				}
 
 				if (this.is('.delay_load'))
@@ -894,6 +893,23 @@
 			return matches;
 		},
 
+		/**
+		 * Show changes waiting in the offline outbox.
+		 */
+		outbox: function (block) {
+			var matches = false;
+
+			if (!botoweb.ldb || !botoweb.ldb.outbox)
+				return;
+
+			$markup.find(block.node, 'outbox', function() {
+				matches = true;
+				new botoweb.ui.widget.Outbox(this);
+			});
+
+			return matches;
+		},
+
 		/**
 		 * Parse search blocks.
 		 */
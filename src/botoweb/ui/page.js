@@ -12,6 +12,15 @@ botoweb.ui.page = new function() {
 	this.preserve_cache = false;
 	this.obj = null;
 
+	/**
+	 * Aborted when the current page is torn down. Data calls made on behalf
+	 * of the page should pass this as opt.signal so that they are cancelled
+	 * when the user leaves, without affecting background requests.
+	 * @type AbortSignal
+	 */
+	this.controller = new AbortController();
+	this.signal = this.controller.signal;
+
 	var self = this;
 
 	/**
@@ -68,13 +77,8 @@ botoweb.ui.page = new function() {
 
 		if (html)
 			fnc(html, opt);
-		else {
-			var base = botoweb.env.cfg.static_host || loc.base_dir;
-
-			$.get(botoweb.util.url_join(base, loc.hash_href), function (html) {
-				init_page(loc.hash_href, html, fnc, opt);
-			});
-		}
+		else
+			fetch_page(loc, loc.hash_href, fnc, opt);
 	};
 
 	/**
@@ -152,8 +156,8 @@ botoweb.ui.page = new function() {
 	};
 
 	/**
-	 * Tears down the current page and stops all active ajax requests. Unbinds
-	 * all botoweb.ui.page listeners except those namespaced as global.
+	 * Tears down the current page and stops the ajax requests it started.
+	 * Unbinds all botoweb.ui.page listeners except those namespaced as global.
 	 *
 	 * @private
 	 */
@@ -173,10 +177,13 @@ botoweb.ui.page = new function() {
 	 * @private
 	 */
 	function detach_events () {
-		botoweb.ajax.stop_all();
-
 		var self = botoweb.ui.page;
 
+		// Cancel only the requests which were made for the outgoing page
+		self.controller.abort();
+		self.controller = new AbortController();
+		self.signal = self.controller.signal;
+
 		var should_cache = true;
 
 		console.log('PAGE: unload');
@@ -245,6 +252,48 @@ botoweb.ui.page = new function() {
 			return localStorage['page_' + url.replace(/\W/g, '_')];
 	}
 
+	/**
+	 * Fetches a page from the server. Models without a page of their own use
+	 * the page of their parent model, so if the page of a model is not found
+	 * the page of its parent is fetched instead. It is stored under the URL
+	 * of the original page.
+	 *
+	 * @param {Object} loc The location object of the page.
+	 * @param {String} href The URL of the page to fetch.
+	 */
+	function fetch_page (loc, href, fnc, opt) {
+		var base = botoweb.env.cfg.static_host || loc.base_dir;
+
+		$.ajax({
+			url: botoweb.util.url_join(base, href),
+			success: function (html) {
+				init_page(loc.hash_href, html, fnc, opt);
+			},
+			error: function (xhr) {
+				var model = template_model(href);
+
+				if (xhr.status == 404 && model && model.parent)
+					fetch_page(loc, model.parent.template(), fnc, opt);
+			}
+		});
+	}
+
+	/**
+	 * @return The model whose page is at the URL, or undefined.
+	 */
+	function template_model (href) {
+		var found;
+
+		$.each(botoweb.env.models, function (name, model) {
+			if (model && model.template() == href) {
+				found = model;
+				return false;
+			}
+		});
+
+		return found;
+	}
+
 	/**
 	 * Passes raw HTML through an initial round of markup. Since this process
 	 * may become asynchronous if the markup requires templates to be loaded,
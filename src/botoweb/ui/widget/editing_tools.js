@@ -5,11 +5,16 @@
 
 /**
  * Displays object editing links based on the actions available to the user.
+ * Besides create, clone, delete and edit, the actions may name custom methods
+ * the API declares for the model (see botoweb.Model.custom_methods), or
+ * methods for all of them, which are shown as buttons that invoke the method
+ * and refresh the page. Only actions allowed by botoweb.perm are shown.
  *
  * @param node where to insert the icons.
  */
 botoweb.ui.widget.EditingTools = function(node, block, actions) {
 	var self = this;
+	var $perm = botoweb.perm;
 
 	if (!node.is('ul'))
 		node = $('<ul />').appendTo(node);
@@ -31,31 +36,57 @@ botoweb.ui.widget.EditingTools = function(node, block, actions) {
 		actions = actions || 'create';
 	actions = actions.split(/[, ]+/);
 
+	var methods = (this.model) ? this.model.custom_methods() : {};
+
+	// The methods keyword stands for every custom method
+	actions = $.map(actions, function (action) {
+		if (action != 'methods')
+			return action;
+
+		var names = [];
+
+		$.each(methods, function (name) {
+			names.push(name);
+		});
+
+		return names;
+	});
+
 	for (i in actions.reverse()) {
 		if (!actions[i])
 			continue;
 
-		var button;
+		var button = null;
 
 		var action = actions[i].replace(/\(.*/, '');
 
+		// Ask about the object where there is one, so that rules can check it
+		var target = (this.obj_id) ? (block.obj || this.model) : this.model;
+
 		switch (action) {
 			case 'create':
-				if ('post' in this.model.methods)
+				if ($perm.can(null, 'create', this.model))
 					button = botoweb.ui.button('Create ' + this.model.name, { icon: 'ui-icon-plus' });
 				break;
 			case 'clone':
-				if (this.obj_id && 'post' in this.model.methods)
+				if (this.obj_id && $perm.can(null, 'clone', target))
 					button = botoweb.ui.button('Clone ' + this.model.name, { icon: 'ui-icon-copy' });
 				break;
 			case 'delete':
-				if (this.obj_id && 'delete' in this.model.methods)
+				if (this.obj_id && $perm.can(null, 'delete', target))
 					button = botoweb.ui.button('Delete', { icon: 'ui-icon-trash' });
 				break;
 			case 'edit':
-				if (this.obj_id && 'put' in this.model.methods)
+				if (this.obj_id && $perm.can(null, 'edit', target))
 					button = botoweb.ui.button('Edit', { icon: 'ui-icon-pencil' });
 				break;
+			default:
+				if (action in methods && $perm.can(null, action, target)) {
+					method_button(action).appendTo(
+						$('<li/>').prependTo(this.node)
+					);
+				}
+				break;
 		}
 
 		if (button && actions[i]) {
@@ -66,6 +97,28 @@ botoweb.ui.widget.EditingTools = function(node, block, actions) {
 		}
 	}
 
+	// Custom methods do not need a link, they are invoked right away
+	function method_button (name) {
+		return botoweb.ui.button(methods[name] || name, { icon: 'ui-icon-gear' })
+			.click(function (e) {
+				botoweb.ui.overlay.show();
+
+				var invoked = (self.obj_id) ?
+					botoweb.Object.invoke(self.model, self.obj_id, name, {}) :
+					self.model.invoke(name, {});
+
+				invoked.then(function () {
+					botoweb.ui.overlay.hide();
+					botoweb.ui.page.refresh();
+				}, function () {
+					botoweb.ui.overlay.hide();
+				});
+
+				e.preventDefault();
+				return false;
+			});
+	}
+
 	if (self.block) {
 		function onsave () {
 			botoweb.ui.overlay.show();
@@ -118,7 +171,7 @@ botoweb.ui.widget.EditingTools = function(node, block, actions) {
 				// be needed if the user did a Save and Continue Editing on
 				// a create page.
 				if (document.location.href.indexOf('redirect=true') >= 0)
-					document.location.href = '#' + botoweb.util.interpolate(botoweb.env.cfg.templates.model, self.model) + '?id=' + escape(self.obj_id);
+					document.location.href = '#' + self.model.template() + '?id=' + escape(self.obj_id);
 				else
 					document.location.href = document.location.href.replace(/&action=[^&]*/, '');
 			}
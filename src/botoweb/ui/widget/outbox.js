@@ -0,0 +1,78 @@
+/**
+ * @namespace botoweb.ui.widget.outbox
+ */
+
+/**
+ * Shows the changes waiting in botoweb.ldb.outbox to be saved, and lets the
+ * user resolve conflicts or discard changes which failed. The node is hidden
+ * while the outbox is empty.
+ *
+ * @param node where to show the changes.
+ */
+botoweb.ui.widget.Outbox = function(node) {
+	var self = this;
+	var $outbox = botoweb.ldb.outbox;
+
+	this.node = $(node).addClass('widget-outbox').hide();
+	this.summary = $('<span class="summary"/>').appendTo(this.node);
+	this.list = $('<ul/>').appendTo(this.node);
+
+	botoweb.ui.button('Save now', { icon: 'ui-icon-refresh', mini: true })
+		.click(function () {
+			$outbox.replay();
+		})
+		.insertAfter(this.summary);
+
+	var verbs = { POST: 'New', PUT: 'Changed', DELETE: 'Deleted' };
+
+	this.update = function () {
+		var stats = $outbox.stats();
+		var total = stats.pending + stats.conflict + stats.failed;
+
+		self.node.toggle(total > 0);
+		self.summary.text(total + ' unsaved change' + ((total == 1) ? '' : 's'));
+		self.list.empty();
+
+		$.each($outbox.items, function (i, item) {
+			if (item.status == 'pending')
+				return;
+
+			var model = botoweb.env.models[item.model];
+			var obj = model && model.objs[item.id];
+			var li = $('<li/>')
+				.addClass(item.status)
+				.text(verbs[item.method] + ' ' + ((obj) ? obj.toString() : item.model) + ': ' + item.error + ' ')
+				.appendTo(self.list);
+
+			if (item.seq in $outbox.conflicts) {
+				botoweb.ui.button('Resolve', { mini: true })
+					.click(function () {
+						botoweb.ui.conflict($outbox.conflicts[item.seq], function (obj) {
+							// The resolved change waits behind the conflict
+							if (obj)
+								$outbox.discard(item.seq).then($outbox.replay);
+						});
+					})
+					.appendTo(li);
+			}
+
+			botoweb.ui.button('Discard', { mini: true })
+				.click(function () {
+					$outbox.discard(item.seq);
+				})
+				.appendTo(li);
+		});
+	};
+
+	var changed = function () {
+		// The widget was removed with its page
+		if (!self.node.closest('body').length)
+			$($outbox).unbind('change', changed);
+		else
+			self.update();
+	};
+
+	$($outbox).bind('change', changed);
+
+	this.update();
+};
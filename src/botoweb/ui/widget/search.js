@@ -99,11 +99,10 @@ botoweb.ui.widget.Search = function(node, block) {
 	});
 
 	self.submit = function() {
-		var query = [];
+		// The default may be given as filters or as a botoweb.Query
+		var query = new botoweb.Query((self.def instanceof botoweb.Query) ? self.def.to_filters() : self.def);
+
 
-		if (self.def)
-			query = self.def.slice();
-			
 		var hasRawQuery = false;
 
 		$.each(self.fields, function(i, field) {
@@ -116,7 +115,7 @@ botoweb.ui.widget.Search = function(node, block) {
 				try {
 					eval('var data = ' + val[0].val);
 					$.each(data, function () {
-						query.push(this);
+						query.where(this[0], this[1], this[2]);
 					});
 
 					hasRawQuery = true;
@@ -151,17 +150,17 @@ botoweb.ui.widget.Search = function(node, block) {
 			}
 
 			if (val.length > 1)
-				query.push([field.prop.meta.name, op, $.map(val, function(v) { 
+				query.where(field.prop.meta.name, op, $.map(val, function(v) { 
 					if (v.val.indexOf('%') >= 0)
 						return v.val;
 						
 					return before + v.val + after; 
-				})]);
+				}));
 			else if (val.length && val[0].val) {
 				if (val[0].val.indexOf('%') >= 0)
 					before = after = '';
 					
-				query.push([field.prop.meta.name, op, before + val[0].val + after]);
+				query.where(field.prop.meta.name, op, before + val[0].val + after);
 			}
 		});
 		
@@ -174,7 +173,7 @@ botoweb.ui.widget.Search = function(node, block) {
 		
 		var search_id = self.results.search_id;
 
-		$(botoweb.ui.page).triggerHandler('search_begin', [self.model, query]);
+		$(botoweb.ui.page).triggerHandler('search_begin', [self.model, query.to_filters()]);
 
 		self.model.query(query, function(results, page, count, next_page) {
 			if (page == 0)
@@ -184,7 +183,7 @@ botoweb.ui.widget.Search = function(node, block) {
 				self.results.update(results, page, count, next_page, search_id);
 
 			return false;
-		}, { no_cache: true });
+		}, { no_cache: true, signal: botoweb.ui.page.signal });
 	};
 
 	self.header.append(
@@ -4,7 +4,9 @@
  */
 
 /**
- * Displays templated search results.
+ * Displays templated search results. With bwStream="true" on the node (or
+ * opt.stream) the results are streamed as the server finds them, see
+ * botoweb.Model.stream.
  *
  * @param node the node containing the search result template.
  */
@@ -20,6 +22,7 @@ botoweb.ui.widget.SearchResults = function(node, model, opt) {
 	self.def = self.node.attr(botoweb.ui.markup.prop.def);
 	self.limit_pages = self.node.attr("bwLimit");
 	self.opt = opt || { };
+	self.stream = self.opt.stream || self.node.attr(botoweb.ui.markup.prop.stream) == 'true';
 	self.num_results = 0;
 	self.search_id = 0;
 	self.outstanding_pages = 0;
@@ -229,19 +232,46 @@ botoweb.ui.widget.SearchResults = function(node, model, opt) {
 		//botoweb.ajax.stop_by_url(self.model.href);
 	}
 
-	if (!self.opt.no_query) {
-		if (self.def == 'all') {
-			self.model.all(function(results, page, count, next_page) { self.update(results, page, count, next_page, 0); return false; }, { no_cache: true });
-		}
-		else if (self.def) {
-			// Evaluate JSON search filters
+	/**
+	 * Renders the pages of an async iterable of result pages (see
+	 * botoweb.util.page_iterator), each page is pulled when update asks for
+	 * it.
+	 */
+	self.run = function(pages) {
+		var search_id = self.search_id;
+
+		var next_page = function() {
+			pages.next().then(function(step) {
+				if (!step.done)
+					self.update(step.value, pages.page, pages.count, next_page, search_id);
+			}, function(e) {
+				console.error('Search failed: ' + (e && e.message));
+
+				if (self.data_table)
+					self.data_table.stop();
+			});
+		};
+
+		next_page();
+	}
+
+	if (!self.opt.no_query && self.def) {
+		var query_opt = { no_cache: true, pages: true, signal: botoweb.ui.page.signal };
+		var filters = [];
+
+		// Evaluate JSON search filters
+		if (self.def != 'all') {
 			eval('self.def = ' + self.def);
+			filters = self.def;
+		}
 
-			if ($.isArray(self.def))
-				self.model.query(self.def, function(results, page, count, next_page) { self.update(results, page, count, next_page, 0); return false; }, { no_cache: true });
-			else
-				self.model.find(self.def, function(results, page, count, next_page) { self.update(results, page, count, next_page, 0); return false; }, { no_cache: true });
+		if (self.stream) {
+			self.run(botoweb.util.page_iterator(function(fnc) {
+				return self.model.stream(filters, fnc, $.extend({ collect: false }, query_opt));
+			}, query_opt));
 		}
+		else
+			self.run(self.model.iterate(filters, query_opt));
 	}
 
 	var dt_opt = {
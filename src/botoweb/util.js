@@ -154,8 +154,9 @@ $util.interpolate = function (str, data) {
 	}
 	else {
 		if (data.meta_recent) {
-			// Consider "recent" as anything within the past 10 days.
-			var d = new Date().valueOf() - 1000 * 60 * 60 * 24 * 10;
+			// Consider "recent" as anything within the past 10 days, by the
+			// server's clock.
+			var d = botoweb.clock.now().valueOf() - 1000 * 60 * 60 * 24 * 10;
 			data.timestamp_recent = $util.timestamp(new Date(d));
 		}
 
@@ -366,8 +367,442 @@ $util.sortable_string = function (str) {
 	return '<span class="hidden" title="bwSortHint ' + str.toLowerCase().replace($util.re.non_sortable, '').replace(/^ +/, '').replace(/ {2,}/, ' ') + '"></span>';
 };
 
+/**
+ * @return A random UUID, from Math.uuidFast where it is loaded, otherwise
+ * from crypto.randomUUID.
+ */
 $util.uuid = function () {
-	return Math.uuidFast().toLowerCase();
+	if (Math.uuidFast)
+		return Math.uuidFast().toLowerCase();
+
+	if (typeof crypto != 'undefined' && crypto.randomUUID)
+		return crypto.randomUUID();
+
+	return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+		var r = Math.random() * 16 | 0;
+
+		return ((c == 'x') ? r : (r & 0x3 | 0x8)).toString(16);
+	});
+};
+
+/**
+ * Creates a Promise along with the functions which settle it, so that data
+ * calls which report back through callbacks can also return a Promise. If the
+ * caller passed a callback, a rejection handler is attached which does
+ * nothing, since code using only callbacks never looks at the Promise and
+ * should not cause unhandled rejection warnings.
+ *
+ * @param {Function} fnc The caller's callback, if any.
+ * @return An object with promise, resolve and reject.
+ */
+$util.deferred = function (fnc) {
+	var d = {};
+
+	d.promise = new Promise(function (resolve, reject) {
+		d.resolve = resolve;
+		d.reject = reject;
+	});
+
+	if (fnc)
+		d.promise.then(null, function () {});
+
+	return d;
+};
+
+/**
+ * Wraps a paged results callback, which receives (data, page, count,
+ * next_page), so that the deferred is resolved with every object received
+ * once no more pages will be loaded. The next page is loaded when the
+ * callback returns true, as usual. Without a callback every page is loaded.
+ *
+ * With opt.collect set to false the objects are not kept and the deferred
+ * is resolved with an empty array, for callers which handle each page
+ * themselves, such as page_iterator.
+ *
+ * @param {Function} fnc The caller's callback, if any.
+ * @param {Object} d A deferred from botoweb.util.deferred.
+ * @param {Object} opt Options of the paged call.
+ * @return The wrapped callback.
+ */
+$util.collect_pages = function (fnc, d, opt) {
+	var all = [];
+	var keep = !opt || opt.collect !== false;
+
+	return function (data, page, count, next_page) {
+		if (data && keep)
+			all = all.concat(data);
+
+		var more = (fnc) ? fnc.apply(this, arguments) : true;
+
+		if (!more || !next_page)
+			d.resolve(all);
+
+		return more;
+	};
+};
+
+/**
+ * Turns a paged data call into an async iterable for use with for await. The
+ * run function starts the call, passing the given callback as its paged
+ * results callback, and returns the call's Promise. A page is only requested
+ * once everything received so far has been consumed, and breaking out of the
+ * loop stops paging. A page which fails rejects the pending next() with the
+ * error the call passes to its callback.
+ *
+ * The iterable exposes the total result count (X-Result-Count for remote
+ * queries) as count and the last page received as page, both available once
+ * the first page has arrived.
+ *
+ * Options include:
+ * * pages - yield each page as an array rather than individual objects
+ *
+ * @param {Function} run Starts the paged call, receives the callback.
+ * @param {Object} opt Options.
+ * @return An async iterable over the results.
+ */
+$util.page_iterator = function (run, opt) {
+	opt = opt || {};
+
+	var buffer = [];
+	var waiting = [];
+	var next_page = null;
+	var result = null;
+	var loading = false;
+	var finished = false;
+	var failure = null;
+
+	var iterator = {
+		count: undefined,
+		page: undefined
+	};
+
+	function fail (e) {
+		failure = failure || e;
+		finished = true;
+		settle();
+	}
+
+	function receive (data, page, count, next, error) {
+		loading = false;
+
+		if (finished)
+			return false;
+
+		if (error) {
+			fail(error);
+			return false;
+		}
+
+		if (count !== undefined && count !== null)
+			iterator.count = count * 1;
+
+		iterator.page = page;
+
+		data = $.grep([].concat(data || []), function (obj) { return obj; });
+
+		if (opt.pages) {
+			if (data.length)
+				buffer.push(data);
+		}
+		else
+			buffer = buffer.concat(data);
+
+		next_page = next;
+
+		// Calls report failures by sending an empty last page before their
+		// Promise rejects, so wait for the Promise before finishing.
+		if (!next) {
+			result.then(function () {
+				finished = true;
+				settle();
+			}, fail);
+		}
+
+		settle();
+
+		// Never load the next page automatically
+		return false;
+	}
+
+	function settle () {
+		while (waiting.length) {
+			if (buffer.length)
+				waiting.shift().resolve({ value: buffer.shift(), done: false });
+			else if (failure)
+				waiting.shift().reject(failure);
+			else if (finished)
+				waiting.shift().resolve({ value: undefined, done: true });
+			else
+				break;
+		}
+
+		if (!waiting.length || loading || finished)
+			return;
+
+		if (!result) {
+			loading = true;
+
+			// Run asynchronously so that result is set before any callback
+			result = Promise.resolve().then(function () {
+				return run(receive);
+			});
+
+			result.then(null, fail);
+		}
+		else if (next_page) {
+			loading = true;
+			next_page();
+		}
+	}
+
+	iterator.next = function () {
+		return new Promise(function (resolve, reject) {
+			waiting.push({ resolve: resolve, reject: reject });
+			settle();
+		});
+	};
+
+	iterator['return'] = function () {
+		finished = true;
+		next_page = null;
+		buffer = [];
+		settle();
+
+		return Promise.resolve({ value: undefined, done: true });
+	};
+
+	if (typeof Symbol != 'undefined' && Symbol.asyncIterator) {
+		iterator[Symbol.asyncIterator] = function () {
+			return iterator;
+		};
+	}
+
+	return iterator;
+};
+
+/**
+ * Runs fnc once when the AbortSignal is aborted, or right away if it already
+ * has been.
+ *
+ * @param {AbortSignal} signal The signal, may be empty.
+ * @param {Function} fnc The function to run.
+ */
+$util.on_abort = function (signal, fnc) {
+	if (!signal)
+		return;
+
+	if (signal.aborted)
+		fnc();
+	else
+		signal.addEventListener('abort', fnc);
+};
+
+/**
+ * @param {AbortSignal} signal An aborted signal.
+ * @return The reason the signal was aborted, or an Error named AbortError.
+ */
+$util.abort_error = function (signal) {
+	if (signal && signal.reason)
+		return signal.reason;
+
+	var e = new Error('The request was aborted');
+	e.name = 'AbortError';
+
+	return e;
+};
+
+/**
+ * Runs fnc for each item with at most opt.concurrency calls in progress at
+ * once. Every item gets a result, a failure does not stop the others.
+ *
+ * Options include:
+ * * concurrency - the number of calls at once, defaults to 3
+ * * progress - receives each result along with the number of items done so
+ *   far and the total
+ * * signal - an AbortSignal, items which have not started yet fail with an
+ *   AbortError
+ *
+ * @param {Array} items The items.
+ * @param {Object} opt Options.
+ * @param {Function} fnc Receives (item, index) and returns a Promise.
+ * @return A Promise which resolves with a result per item, in the same order:
+ * {index, item, ok, value} or {index, item, ok: false, error}.
+ */
+$util.each_limit = function (items, opt, fnc) {
+	opt = opt || {};
+
+	var d = $util.deferred();
+	var limit = opt.concurrency || 3;
+	var results = [];
+	var next = 0;
+	var running = 0;
+	var done = 0;
+
+	function settle (result) {
+		done++;
+		results[result.index] = result;
+
+		if (opt.progress)
+			opt.progress(result, done, items.length);
+	}
+
+	function finish (result) {
+		running--;
+		settle(result);
+		start();
+	}
+
+	function run (i) {
+		running++;
+
+		Promise.resolve()
+			.then(function () {
+				return fnc(items[i], i);
+			})
+			.then(function (value) {
+				finish({ index: i, item: items[i], ok: true, value: value });
+			}, function (e) {
+				finish({ index: i, item: items[i], ok: false, error: e });
+			});
+	}
+
+	function start () {
+		// Once aborted, the items which have not started fail in one go
+		while (opt.signal && opt.signal.aborted && next < items.length) {
+			settle({ index: next, item: items[next], ok: false, error: $util.abort_error(opt.signal) });
+			next++;
+		}
+
+		while (running < limit && next < items.length)
+			run(next++);
+
+		if (!running && done == items.length)
+			d.resolve(results);
+	}
+
+	start();
+
+	return d.promise;
+};
+
+/**
+ * Starts the log entry of a data operation and triggers the log event on
+ * botoweb with it. The entry is given a request_id, the start time and
+ * counters which the requests made for the operation add to, so it should
+ * be passed to them as opt.log. Finish it with log_done.
+ *
+ * @param {Object} entry The method, op, model, url (of the model, which
+ * tells its environment), local flag and the filters, id or data of the
+ * operation.
+ * @return The entry.
+ */
+$util.log_op = function (entry) {
+	$.extend(entry, {
+		request_id: ++$util.log_op.last_id,
+		start: new Date().valueOf(),
+		status: 'pending',
+		requests: 0,
+		cached: 0,
+		pages: 0,
+		bytes: 0
+	});
+
+	$(botoweb).triggerHandler('log', [entry]);
+
+	return entry;
+};
+
+$util.log_op.last_id = 0;
+
+/**
+ * Follows the pages of a paged operation for log_done. The Promise of the
+ * operation resolves as soon as the results callback returns false, but the
+ * callback may still load the next page later, so the entry stays open
+ * until a page arrives without a next page or fails.
+ *
+ * @param {Function} fnc The paged results callback of the operation.
+ * @return An object to pass to log_done, its fnc is the callback to pass to
+ * the operation instead.
+ */
+$util.log_pages = function (fnc) {
+	var pages = {
+		received: 0,
+		paused: false,
+		error: null,
+		resume: null
+	};
+
+	pages.fnc = function (data, page, count, next_page, error) {
+		var more = (fnc) ? fnc.apply(this, arguments) : true;
+
+		if (data)
+			pages.received += data.length;
+
+		pages.error = error || null;
+		pages.paused = Boolean(!error && !more && next_page);
+
+		if (!pages.paused && pages.resume)
+			pages.resume();
+
+		return more;
+	};
+
+	return pages;
+};
+
+/**
+ * Finishes a log entry once the operation settles, adding the end time,
+ * duration, status (ok, error or abort), error and the number of results
+ * (objects received, or the count of a count), and triggers the log_end
+ * event on botoweb with it. The entry of a paged operation followed with
+ * log_pages finishes once paging stops.
+ *
+ * @param {Object} entry The entry from log_op.
+ * @param {Promise} p The Promise of the operation.
+ * @param {Object} pages Optional, from log_pages.
+ * @return The Promise.
+ */
+$util.log_done = function (entry, p, pages) {
+	var done = function (status, result, e) {
+		if (pages && pages.paused && status == 'ok') {
+			pages.resume = function () {
+				pages.resume = null;
+
+				if (pages.error)
+					done('error', null, pages.error);
+				else
+					done('ok');
+			};
+
+			return;
+		}
+
+		entry.end = new Date().valueOf();
+		entry.duration = entry.end - entry.start;
+		entry.status = status;
+
+		if (pages)
+			entry.results = pages.received;
+		else if ($.isArray(result))
+			entry.results = result.length;
+		else if (typeof result == 'number' || typeof result == 'string')
+			entry.results = 1 * result;
+		else
+			entry.results = (result) ? 1 : 0;
+
+		if (e)
+			entry.error = e.message;
+
+		$(botoweb).triggerHandler('log_end', [entry]);
+	};
+
+	p.then(function (result) {
+		done('ok', result);
+	}, function (e) {
+		done((e && e.name == 'AbortError') ? 'abort' : 'error', null, e);
+	});
+
+	return p;
 };
 
 /**
@@ -397,6 +832,8 @@ $util.gup = function(name){
 	name = name.replace(/[\[]/,"\\\[").replace(/[\]]/,"\\\]");
 	var regexS = "[\\?&]"+name+"=([^&#]*)";
 	var regex = new RegExp( regexS );
+	if (typeof window == 'undefined')
+		return "";
 	var results = regex.exec( window.location.href );
 	if( results == null )
 		return "";
@@ -6,6 +6,109 @@
 (function () {
 
 botoweb.xml = {
+	/**
+	 * Parses, serializes and creates XML Documents. Defaults to the browser
+	 * DOM, see use() to supply another implementation (e.g. in Node.js).
+	 */
+	parser: {
+		parse: function (str) {
+			return new DOMParser().parseFromString(str, 'text/xml');
+		},
+		serialize: function (doc) {
+			return new XMLSerializer().serializeToString(doc);
+		},
+		create_document: function (root_name) {
+			return document.implementation.createDocument('', root_name, null);
+		}
+	},
+
+	/**
+	 * Replaces the XML parser. Accepts either an object with parse,
+	 * serialize and create_document functions, or a DOM implementation which
+	 * exposes the DOMParser and XMLSerializer constructors and either
+	 * DOMImplementation or document.implementation, such as the xmldom module
+	 * or a jsdom window.
+	 *
+	 * @param {Object} impl The parser or DOM implementation.
+	 */
+	use: function (impl) {
+		if (impl.parse && impl.serialize && impl.create_document) {
+			$xml.parser = impl;
+			return;
+		}
+
+		$xml.parser = {
+			parse: function (str) {
+				return new impl.DOMParser().parseFromString(str, 'text/xml');
+			},
+			serialize: function (doc) {
+				return new impl.XMLSerializer().serializeToString(doc);
+			},
+			create_document: function (root_name) {
+				// A window has a DOMImplementation which cannot be constructed
+				var dom = (impl.document && impl.document.implementation) ? impl.document.implementation : new impl.DOMImplementation();
+
+				return dom.createDocument('', root_name, null);
+			}
+		};
+	},
+
+	/**
+	 * @param {String} str XML text.
+	 * @return The parsed XML Document.
+	 */
+	parse: function (str) {
+		return $xml.parser.parse(str);
+	},
+
+	/**
+	 * @param {Document} doc An XML Document.
+	 * @return The XML text.
+	 */
+	serialize: function (doc) {
+		return $xml.parser.serialize(doc);
+	},
+
+	/**
+	 * Finds the objects of the models in a response. Tag names must match
+	 * exactly, jQuery may match them regardless of case in Node.js, taking a
+	 * project property for an object of the Project model.
+	 *
+	 * @param {String|[String]} names The model names, a list or comma
+	 * separated.
+	 * @return The object nodes.
+	 */
+	find_objects: function (xml, names) {
+		if (!$.isArray(names))
+			names = ('' + names).split(/\s*,\s*/);
+
+		return $(xml).find(names.join(',')).filter(function () {
+			return $.inArray(this.tagName, names) >= 0;
+		});
+	},
+
+	/**
+	 * Reads the Index XML of an API into a schema which can be stored as
+	 * JSON, see botoweb.Environment.
+	 *
+	 * @return The name, version, model definitions (see to_model_def) and the
+	 * XML of the current user.
+	 */
+	to_schema: function (xml) {
+		xml = $(xml);
+
+		var user = xml.find('Index > User:first');
+
+		return {
+			name: xml.find("Index").attr("name"),
+			version: xml.find("Index").attr("version"),
+			models: $.makeArray(xml.find('api').map(function () {
+				return $xml.to_model_def(this);
+			})),
+			user: (user.length) ? $xml.serialize(user.get(0)) : ''
+		};
+	},
+
 	/**
 	 * Parses API XML that defines a model's properties.
 	 *
@@ -13,6 +116,19 @@ botoweb.xml = {
 	 * @type botoweb.Model
 	 */
 	to_model: function (xml) {
+		return botoweb.Model.from_def($xml.to_model_def(xml));
+	},
+
+	/**
+	 * Parses API XML that defines a model's properties into a plain object
+	 * which can be stored as JSON, see botoweb.Model.from_def.
+	 *
+	 * @return The model definition, with name, href, methods and props, each
+	 * prop having the name, type, perm and opt arguments of botoweb.Property,
+	 * and parent, the name of the model it subclasses (from the parent
+	 * attribute of the api node) or null.
+	 */
+	to_model_def: function (xml) {
 		xml = $(xml);
 
 		var methods = {};
@@ -22,13 +138,7 @@ botoweb.xml = {
 			methods[this.nodeName] = $(this).text()
 		});
 
-		var model = new botoweb.Model(
-			xml.attr('name'),
-			xml.find('href:first').text(),
-			methods
-		);
-
-		model.set_props(xml.find('properties property').map(function () {
+		var props = xml.find('properties property').map(function () {
 			var tags = $(this);
 			var opt = {};
 
@@ -87,18 +197,21 @@ botoweb.xml = {
 				});
 			});
 
-			var prop = new botoweb.Property(
-				tags.attr('name'),
-				tags.attr('type'),
-				(tags.attr('perm') || '').split(' '),
-				model,
-				opt
-			);
-
-			return prop;
-		}));
+			return {
+				name: tags.attr('name'),
+				type: tags.attr('type'),
+				perm: (tags.attr('perm') || '').split(' '),
+				opt: opt
+			};
+		});
 
-		return model;
+		return {
+			name: xml.attr('name'),
+			href: xml.find('href:first').text(),
+			parent: xml.attr('parent') || null,
+			methods: methods,
+			props: $.makeArray(props)
+		};
 	},
 
 	/**
@@ -115,15 +228,17 @@ botoweb.xml = {
 		if (!xml.get(0)) return;
 
 		var model;
+		var env = opt.env || botoweb.env;
 
-		if (xml.get(0).tagName in botoweb.env.models)
-			model = botoweb.env.models[xml.get(0).tagName];
+		if (xml.get(0).tagName in env.models)
+			model = env.models[xml.get(0).tagName];
 
 		// Use item_type ONLY if the items returned do not specify their model,
 		// otherwise using item_type can cause strange pseudo typecasting when
-		// we query a superclass and receive subclassed objects.
+		// we query a superclass and receive subclassed objects, which keep
+		// their own model (see botoweb.Model.is_a).
 		else
-			model = botoweb.env.models[opt.item_type];
+			model = env.models[opt.item_type];
 
 		// If the object is cached, return it unless we are reloading the object
 		if (!opt.no_cache && model.objs[xml.attr('id')])
@@ -146,8 +261,10 @@ botoweb.xml = {
 
 		var obj = new botoweb.Object(xml.attr('id'), model, data, opt);
 
-		if (botoweb.ldb && botoweb.ldb.dbh) {
-			botoweb.ldb.cache_props(obj);
+		var ldb = obj.model.env.ldb;
+
+		if (ldb && ldb.dbh) {
+			ldb.cache_props(obj);
 		}
 
 		return obj;
@@ -224,10 +341,10 @@ botoweb.xml = {
 		return new model_prop.instance($.makeArray(d));
 	},
 
-	from_obj: function (model_name, data) {
-		var doc = document.implementation.createDocument('', model_name, null);
+	from_obj: function (model_name, data, env) {
+		var doc = $xml.parser.create_document(model_name);
 		var obj = doc.documentElement;
-		var model = botoweb.env.models[model_name];
+		var model = (env || botoweb.env).models[model_name];
 
 		$.each(data, function (name, val) {
 			if (val == undefined)
@@ -252,6 +369,56 @@ botoweb.xml = {
 		return doc;
 	},
 
+	/**
+	 * Builds the XML payload of a custom method call, see botoweb.invoke. Each
+	 * argument is an element of the method's root element, repeated for each
+	 * value of an array. Objects are sent as references, with the model name
+	 * as the type and the id as the text.
+	 *
+	 * @param {String} method The method name.
+	 * @param {Object} args A map of argument names to values.
+	 * @return The XML Document.
+	 */
+	from_args: function (method, args) {
+		var doc = $xml.parser.create_document(method);
+		var root = doc.documentElement;
+
+		$.each(args || {}, function (name, val) {
+			if (val === undefined || val === null)
+				return;
+
+			$.each(($.isArray(val)) ? val : [val], function (i, v) {
+				var node = $(doc.createElement(name));
+
+				if (v instanceof botoweb.Object)
+					node.attr('type', v.model.name).text(v.id);
+				else if (v instanceof Date)
+					node.attr('type', 'dateTime').text($util.timestamp(v));
+				else if (typeof v == 'boolean')
+					node.attr('type', 'boolean').text((v) ? 'True' : 'False');
+				else if (typeof v == 'number')
+					node.attr('type', (v % 1) ? 'float' : 'integer').text('' + v);
+				else if (typeof v == 'object') {
+					node.attr('type', 'dict');
+
+					$.each(v, function (key, item) {
+						$(doc.createElement('mapping')).attr({
+							name: $util.normalize_string(key),
+							type: 'string'
+						})
+						.text($util.normalize_string(item)).appendTo(node);
+					});
+				}
+				else
+					node.attr('type', 'string').text($util.normalize_string(v));
+
+				node.appendTo(root);
+			});
+		});
+
+		return doc;
+	},
+
 	to_xml: {
 		def: function (val, node, parent) {
 			$.each(val, function () {
@@ -0,0 +1,49 @@
+/**
+ * botoweb.ajax.cache, see helper.js to run.
+ */
+var assert = require('assert');
+var helper = require('./helper');
+
+helper.setup({ cache: { enabled: true } }).then(function (t) {
+	var Task = t.botoweb.env.models.Task;
+
+	// Requests which reached the FakeServer, cached responses never do
+	var sent = function () {
+		return t.mock.requests.length;
+	};
+
+	helper.run({
+		'a count keeps the cached queries of its model': function () {
+			var before;
+
+			return Task.all().then(function () {
+				before = sent();
+
+				return Task.count([]);
+			}).then(function (count) {
+				assert.equal(count, 4);
+				assert.equal(sent(), before + 1);
+
+				return Task.all();
+			}).then(function (tasks) {
+				assert.equal(tasks.length, 4);
+				assert.equal(sent(), before + 1, 'the query was sent again');
+			});
+		},
+
+		'a save clears the cached queries of its model': function () {
+			var before;
+
+			return Task.all().then(function () {
+				return Task.save({ title: [{ val: 'New' }] });
+			}).then(function () {
+				before = sent();
+
+				return Task.all();
+			}).then(function (tasks) {
+				assert.equal(tasks.length, 5);
+				assert.ok(sent() > before, 'the query was served from the cache');
+			});
+		}
+	});
+});
@@ -0,0 +1,47 @@
+/**
+ * botoweb.clock samples, see helper.js to run.
+ */
+var assert = require('assert');
+var helper = require('./helper');
+
+helper.setup({ scheduler: { max_requests: 1, lanes: { interactive: { priority: 0, concurrency: 1 } } } }).then(function (t) {
+	var botoweb = t.botoweb;
+	var url = t.server.base_url + 'slow';
+
+	helper.run({
+		'a request is stamped when it leaves the scheduler': function () {
+			var received;
+			var sent;
+
+			t.mock.on('GET', url, function () {
+				return new Promise(function (resolve) {
+					setTimeout(function () {
+						resolve({ status: 200 });
+					}, 300);
+				});
+			});
+
+			t.mock.on('GET', url + '?fast', function () {
+				received = new Date().valueOf();
+				return { status: 200 };
+			});
+
+			botoweb.ajax.use({
+				response: function (response, req) {
+					if (req.url == url + '?fast')
+						sent = req.clock_sent;
+
+					return response;
+				}
+			});
+
+			// The second request waits for the first one to finish
+			return Promise.all([
+				botoweb.ajax.request({ method: 'GET', url: url }),
+				botoweb.ajax.request({ method: 'GET', url: url + '?fast' })
+			]).then(function () {
+				assert.ok(received - sent < 100, 'stamped ' + (received - sent) + 'ms before it was sent');
+			});
+		}
+	});
+});
@@ -0,0 +1,71 @@
+/**
+ * botoweb.Environment configuration, see helper.js to run.
+ */
+var assert = require('assert');
+var helper = require('./helper');
+
+helper.setup({ retry: { methods: ['GET'], statuses: { 404: { methods: ['HEAD'] } } } }).then(function (t) {
+	var botoweb = t.botoweb;
+	var cfg = botoweb.env.cfg;
+
+	var failed = function (method, status) {
+		return botoweb.transport.response({ status: status, request: { method: method, url: t.server.base_url + 'tasks' } });
+	};
+
+	helper.run({
+		'a narrowed list of methods replaces the default one': function () {
+			assert.deepEqual(cfg.retry.methods, ['GET']);
+			assert.deepEqual(cfg.retry.statuses[404].methods, ['HEAD']);
+
+			// Settings which were not given keep their defaults
+			assert.equal(cfg.retry.max_attempts, 5);
+			assert.equal(cfg.retry.statuses[404].max_attempts, 4);
+			assert.deepEqual(cfg.auth.statuses, [401]);
+
+			return Promise.resolve();
+		},
+
+		'only the narrowed methods are retried': function () {
+			assert.ok(botoweb.ajax.retry_delay('GET', failed('GET', 502), 1, new Date().valueOf()) >= 0);
+			assert.equal(botoweb.ajax.retry_delay('PUT', failed('PUT', 502), 1, new Date().valueOf()), -1);
+			assert.equal(botoweb.ajax.retry_delay('DELETE', failed('DELETE', 504), 1, new Date().valueOf()), -1);
+			assert.equal(botoweb.ajax.retry_delay('GET', failed('GET', 404), 1, new Date().valueOf()), -1);
+
+			return Promise.resolve();
+		},
+
+		'another environment uses its own scheduler and telemetry settings': function () {
+			var fixtures = require('path').join(__dirname, '..', 'example', 'fixtures', 'example.json');
+
+			return botoweb.transport.FakeServer.load(fixtures, { base_url: 'http://localhost/archive/' }).then(function (server) {
+				server.install(t.mock);
+
+				return new Promise(function (resolve) {
+					new botoweb.Environment(server.base_url, resolve, {
+						default_env: false,
+						retry: null,
+						scheduler: { max_requests: 1, lanes: { interactive: { priority: 0, concurrency: 1 } } },
+						telemetry: { enabled: false }
+					});
+				});
+			}).then(function (archive) {
+				var recorded = botoweb.telemetry.buffer.length;
+
+				assert.equal(botoweb.ajax.scheduler.config(archive.base_url + 'tasks').max_requests, 1);
+				assert.equal(botoweb.ajax.scheduler.config(t.server.base_url + 'tasks').max_requests, 4);
+
+				return Promise.all([archive.models.Task.all(), archive.models.Project.all()]).then(function () {
+					var pool = botoweb.ajax.scheduler.pools[archive.base_url];
+
+					assert.ok(pool, 'the archive has no pool of its own');
+					assert.equal(pool.active.length, 0);
+					assert.equal(botoweb.telemetry.buffer.length, recorded, 'operations of the archive were recorded');
+
+					return botoweb.env.models.Task.all();
+				}).then(function () {
+					assert.equal(botoweb.telemetry.buffer.length, recorded + 1);
+				});
+			});
+		}
+	});
+});
@@ -0,0 +1,61 @@
+/**
+ * Loads botoweb into Node.js against botoweb.transport.FakeServer with the
+ * example fixtures, for the tests in this directory. Each test file is a
+ * plain script which exits with status 1 if a test fails:
+ *
+ * npm install jsdom jquery@3
+ * node test/cache.js
+ */
+var path = require('path');
+
+var window = new (require('jsdom').JSDOM)('').window;
+var $ = require('jquery')(window);
+var botoweb = require('../src/botoweb.node.js')({ jQuery: $, xml: window });
+
+var fixtures = path.join(__dirname, '..', 'example', 'fixtures', 'example.json');
+
+// Each cached object is logged, which would drown the results
+console.log = console.warn = function () {};
+
+/**
+ * Starts the default environment on a FakeServer, two objects per page.
+ *
+ * @param {Object} cfg Optional, the environment configuration.
+ * @return A Promise which resolves with {botoweb, server, mock}.
+ */
+exports.setup = function (cfg) {
+	return botoweb.transport.FakeServer.load(fixtures, { page_size: 2 }).then(function (server) {
+		var mock = server.install(new botoweb.transport.Mock());
+
+		return new Promise(function (resolve) {
+			botoweb.init(server.base_url, $.extend({ transport: mock }, cfg), function () {
+				// Failures should fail the test at once rather than be retried,
+				// unless the test is about retries
+				if (!cfg || !cfg.retry)
+					botoweb.env.cfg.retry = null;
+
+				resolve({ botoweb: botoweb, server: server, mock: mock });
+			});
+		});
+	});
+};
+
+/**
+ * Runs the tests one after another and reports each result.
+ *
+ * @param {Object} tests Functions by name, each returning a Promise.
+ */
+exports.run = function (tests) {
+	Object.keys(tests).reduce(function (p, name) {
+		return p.then(function () {
+			return tests[name]();
+		}).then(function () {
+			process.stdout.write('ok - ' + name + '\n');
+		}, function (e) {
+			process.stdout.write('not ok - ' + name + '\n' + (e && (e.stack || e)) + '\n');
+			process.exitCode = 1;
+		});
+	}, Promise.resolve()).then(function () {
+		process.exit();
+	});
+};
@@ -0,0 +1,38 @@
+/**
+ * Queries of the local database which can be checked without one, see
+ * helper.js to run.
+ */
+var assert = require('assert');
+var helper = require('./helper');
+
+helper.setup().then(function (t) {
+	var botoweb = t.botoweb;
+	var Task = botoweb.env.models.Task;
+
+	// Task and its subclass Milestone are stored in tables of their own
+	botoweb.env.ldb = { tables: { Task: {}, Milestone: {} } };
+
+	var rejects = function (query) {
+		var pages = [];
+
+		return Task.query_ldb(query.to_filters(), function (objs, page, count, next_page, error) {
+			pages.push(error);
+		}).then(function () {
+			throw new Error('the query was run');
+		}, function (e) {
+			assert.ok(/limit and offset/.test(e.message), e.message);
+			assert.equal(pages.length, 1);
+			assert.strictEqual(pages[0].message, e.message);
+		});
+	};
+
+	helper.run({
+		'a limit is rejected for a model with subclasses': function () {
+			return rejects(new botoweb.Query().limit(10));
+		},
+
+		'an offset is rejected for a model with subclasses': function () {
+			return rejects(new botoweb.Query().where('title', 'sort', 'asc').offset(2));
+		}
+	});
+});
@@ -0,0 +1,32 @@
+/**
+ * botoweb.Object, see helper.js to run.
+ */
+var assert = require('assert');
+var helper = require('./helper');
+
+helper.setup().then(function (t) {
+	var Task = t.botoweb.env.models.Task;
+
+	helper.run({
+		'a conflict with a deleted object lists only my changes': function () {
+			return Task.get('t1').then(function (local) {
+				var error = local.conflict(new Error('Precondition Failed'), { title: [{ val: 'New' }] }, null);
+
+				assert.strictEqual(error.remote, null);
+				assert.deepEqual(error.fields, { title: { mine: true, theirs: false } });
+			});
+		},
+
+		'a property missing from the server copy is a change of theirs': function () {
+			return Task.get('t1').then(function (local) {
+				return local.remote().then(function (remote) {
+					delete remote.data.title;
+
+					var error = local.conflict(new Error('Precondition Failed'), {}, remote);
+
+					assert.deepEqual(error.fields, { title: { mine: false, theirs: true } });
+				});
+			});
+		}
+	});
+});